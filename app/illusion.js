@@ -1,26 +1,42 @@
 // illusion.js – Tracks hidden influence values and provides simple persistence.
 export const illusion = {
-  state: { pos: 0, neg: 0 },
-  init() {
+  state: { pos: 0, neg: 0, counted: [] },
+  key: 'illusion_stat',
+  /** Start a new game in a world: nothing recorded yet, stored under that world's key. */
+  reset(worldId) {
+    this.key = `illusion_stat_${worldId}`;
+    this.state = { pos: 0, neg: 0, counted: [] };
+    this.persist();
+  },
+  load(state) {
+    if (!state || typeof state.pos !== 'number' || typeof state.neg !== 'number') return;
+    this.state = { pos: state.pos, neg: state.neg, counted: Array.isArray(state.counted) ? [...state.counted] : [] };
+    this.persist();
+  },
+  persist() {
     try {
-      const saved = JSON.parse(localStorage.getItem('illusion_stat') || '{}');
-      if (saved && typeof saved.pos === 'number' && typeof saved.neg === 'number') {
-        this.state = saved;
-      }
+      localStorage.setItem(this.key, JSON.stringify(this.state));
     } catch {}
   },
+  /** Whether `source` (e.g. a dialogue option) is new to this game; it counts as seen from then on. */
+  firstTime(source) {
+    if (this.state.counted.includes(source)) return false;
+    this.state.counted.push(source);
+    this.persist();
+    return true;
+  },
   record(tag, weight = 1) {
     if (tag === 'demiurge_affinity') this.state.pos += weight;
     if (tag === 'resistance') this.state.neg += weight;
-    localStorage.setItem('illusion_stat', JSON.stringify(this.state));
+    this.persist();
   },
   value() {
     const t = this.state.pos + this.state.neg + 10;
     return Math.max(0, Math.min(1, this.state.pos / t));
   },
+  /** The value rounded down to a quarter; it never reaches 1, so the highest tier is 0.75. */
   tier() {
     const v = this.value();
-    return v >= 1 ? 1 : v >= 0.75 ? 0.75 : v >= 0.5 ? 0.5 : v >= 0.25 ? 0.25 : 0;
+    return v >= 0.75 ? 0.75 : v >= 0.5 ? 0.5 : v >= 0.25 ? 0.25 : 0;
   }
 };
-illusion.init();
\ No newline at end of file
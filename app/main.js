@@ -1,5 +1,8 @@
 // main.js – Core game logic for AI world generator v6+ with enriched quests and dialogues
 
+import { illusion } from './illusion.js';
+import { SAVE_VERSION, SaveError, writeSave, readSave, listSaves, exportSave, importSaveFile } from './saves.js';
+
 // Import generated data. These JSON files are created by the generation pipeline
 // Each import uses the "assert" syntax to ensure the file is parsed as JSON.
 // Data placeholders. These will be populated at runtime by loadGameData().
@@ -10,13 +13,17 @@ let statusData = { status_effects: [] };
 let inventoryData = { items: [] };
 let eventsData = { events: [] };
 let questsData = { quests: [] };
+// Tilemap from map.json; null when the world predates the map generator
+let mapData = null;
 
 /**
- * Load all JSON game data from the data directory via fetch. This avoids
- * relying on experimental JSON module imports which may not be supported
- * in all browsers. Returns a promise that resolves when all data is loaded.
+ * Load all JSON game data via fetch. This avoids relying on experimental
+ * JSON module imports which may not be supported in all browsers. With a
+ * world bundle id the files come from worlds/<id>/ (written by the
+ * pipeline), otherwise from the default data directory. Returns a promise
+ * that resolves when all data is loaded.
  */
-async function loadGameData() {
+async function loadGameData(worldId) {
   const files = {
     worldSpec: 'world_spec.json',
     dialoguesData: 'dialogue.json',
@@ -26,7 +33,8 @@ async function loadGameData() {
     eventsData: 'events.json',
     questsData: 'quests.json'
   };
-  const base = './data/';
+  const base = worldId ? `./worlds/${encodeURIComponent(worldId)}/` : './data/';
+  G.worldId = worldId || null;
   // Load each file via fetch and assign to respective variable
   await Promise.all(Object.entries(files).map(async ([key, file]) => {
     try {
@@ -47,6 +55,8 @@ async function loadGameData() {
       console.error('Error loading', file, err);
     }
   }));
+  G.atlas = await loadAtlas(base);
+  mapData = await loadMap(base);
 
   // Ensure that every dialogue node has a speaker. Some models omit the
   // `speaker` field on player lines, which breaks code that expects a
@@ -66,8 +76,134 @@ async function loadGameData() {
     });
   }
   ensureDialoguesHaveSpeaker();
+  normaliseItems();
+  normaliseAbilities();
+  normaliseStatuses();
+  normaliseEvents();
+  normaliseQuests();
+}
+
+/**
+ * Stats each item category falls back to when an inventory predates item
+ * stats (only item_id, name and category), so older worlds stay playable.
+ */
+const ITEM_DEFAULTS = {
+  weapon: { attack: 5, price: 30 },
+  armor: { defence: 3, price: 30 },
+  consumable: { heal: 25, price: 20, stackable: true },
+  quest: { price: 10 }
+};
+
+/** Text colour of item names by rarity. */
+const RARITY_COLORS = {
+  common: '#cfd3df',
+  uncommon: '#8ae6a2',
+  rare: '#6fb4ff',
+  epic: '#c58aff',
+  legendary: '#ffb347'
+};
+
+/** Give every item the full set of stats, filling gaps from the category defaults. */
+function normaliseItems() {
+  inventoryData.items = (inventoryData.items || []).map(item => ({
+    description: '',
+    rarity: 'common',
+    price: 20,
+    stackable: false,
+    attack: 0,
+    defence: 0,
+    heal: 0,
+    buff: null,
+    ...ITEM_DEFAULTS[item.category],
+    ...item
+  }));
+}
+
+/**
+ * What an ability without effect fields does, so worlds generated before
+ * abilities carried them still have usable hotkeys: a short speed buff.
+ */
+const ABILITY_DEFAULTS = { effect: 'speed', magnitude: 0.2, duration: 10, cooldown: 30, cost: 15, range: 0, area: 0 };
+
+/** Energy the player regains per second; abilities spend it. */
+const ENERGY_REGEN = 4;
+
+/** Give every ability the full set of effect fields. */
+function normaliseAbilities() {
+  abilitiesData.abilities = (abilitiesData.abilities || []).map(ab => ({
+    description: '',
+    ...ABILITY_DEFAULTS,
+    ...ab
+  }));
+}
+
+/**
+ * Rules a status effect falls back to when status_effects.json predates
+ * structured effects (only id, name and an `effect` text): a plain timer
+ * that refreshes when applied again.
+ */
+const STATUS_DEFAULTS = {
+  description: '',
+  kind: 'debuff',
+  duration: 8,
+  stacking: 'refresh',
+  max_stacks: 1,
+  damage_per_second: 0,
+  heal_per_second: 0,
+  modifiers: [],
+  immune_to: []
+};
+
+/** Give every status effect the full set of fields; an old `effect` text becomes the description. */
+function normaliseStatuses() {
+  statusData.status_effects = (statusData.status_effects || []).map(({ effect, ...st }) => ({
+    ...STATUS_DEFAULTS,
+    description: effect || '',
+    ...st
+  }));
+}
+
+/** Seconds between the events of a world generated before events had triggers. */
+const EVENT_INTERVAL = 90;
+
+/**
+ * Give every event a trigger, duration and effect list. Events without a
+ * trigger start one after another over time and only show their banner.
+ */
+function normaliseEvents() {
+  eventsData.events = (eventsData.events || []).map((ev, i) => ({
+    description: '',
+    trigger: { type: 'time', at: EVENT_INTERVAL * (i + 1) },
+    duration: 60,
+    effects: [],
+    ...ev
+  }));
+}
+
+/**
+ * Give every quest step an objective. Steps of worlds generated before
+ * objectives existed are deliveries when they need items and a talk with
+ * their NPC otherwise, which is what the Deliver button used to stand for.
+ * Quests and steps without rewards pay the 50 and 20 gold they always did.
+ */
+function normaliseQuests() {
+  questsData.quests = (questsData.quests || []).map(q => ({
+    rewards: { gold: 50 },
+    ...q,
+    steps: (q.steps || []).map(step => ({
+      requires_item_ids: [],
+      objective: { type: (step.requires_item_ids || []).length ? 'deliver' : 'talk' },
+      rewards: { gold: 20 },
+      ...step
+    }))
+  }));
 }
 
+/** Zoom levels the view steps through, in screen pixels per world pixel. */
+const ZOOM_LEVELS = [0.75, 1, 1.5, 2];
+/** How quickly the camera catches up with the player; higher is snappier. */
+const CAMERA_FOLLOW = 6;
+
 // Global game state. Nearly all mutable state lives in this object so it can be
 // easily saved/restored and inspected. Many fields are initialised in initGame().
 const G = {
@@ -76,6 +212,8 @@ const G = {
   ctx: null,
   DPR: 1,
   screen: { w: 0, h: 0, safeBottom: 0 },
+  // World position shown in the middle of the view and its zoom, see updateCamera()
+  camera: { x: 0, y: 0, zoom: 1.5 },
   // Player state
   player: {
     x: 0,
@@ -86,10 +224,17 @@ const G = {
     vy: 0,
     hp: 100,
     maxHp: 100,
+    // Spent by abilities and slowly regained
+    energy: 100,
+    maxEnergy: 100,
     gold: 50,
     level: 1,
     exp: 0,
+    // Attack without a weapon; equipment and buffs add to it
+    baseAttack: 2,
     skills: { charisma: 0.5, strength: 0.5, agility: 0.5 },
+    // Direction of the last step; melee swings go this way
+    facing: { x: 0, y: 1 },
     equipped: { weapon: null, armour: null },
     inventory: [],
     abilities: [],
@@ -97,26 +242,50 @@ const G = {
   },
   // World data
   zones: [],
+  map: null, // tilemap in world coordinates, see initZones()
   npcs: [],
-  objects: [], // spawnable quest items (collectible on map)
-  statusEffects: [], // active status effects on player
+  // Kinds of the enemies roaming each zone and seconds until a missing one
+  // returns, see initEnemies() and respawnEnemies(); the timers are not saved
+  enemyPlan: [],
+  respawnTimers: [],
+  // The player's last melee swing: its hitbox, cooldown and how long it stays drawn
+  melee: { x: 0, y: 0, cooldown: 0, swing: 0 },
+  objects: [], // spawnable quest items and loot (collectible on map)
+  statusEffects: [], // active status effects on player, see applyStatus()
+  // World events: runtime state of each event in events.json (see initEvents),
+  // the log of what happened and the banners waiting to be shown
+  events: [],
+  eventLog: [],
+  banners: [],
   messages: [], // transient UI messages
   questsState: [],
+  // Ending reached by completing the main quest, see reachEnding()
+  ending: null,
+  // Story flags set by dialogue effects and tested by dialogue conditions
+  flags: {},
   // UI state
-  openOverlay: null, // 'quests', 'inventory', 'status', 'shop'
+  openOverlay: null, // 'quests', 'inventory', 'status', 'shop', 'events', 'ending', 'saves'
+  saveSlots: [], // listSaves() as of opening the saves overlay
   talk: null, // current talk state { npcId, dialogueIndex, currentNode }
   // Buttons definitions for overlay and bottom bar
   buttons: [],
   uiZones: { overlay: [], talk: [] },
+  // Last pointer position on the canvas, for hover tooltips
+  pointer: { x: -1, y: -1 },
 
   // Buildings and interiors
   buildings: [],
   interiors: [],
-  obstacles: [],
   inInterior: false,
   currentInterior: null,
   // Track previous player position when entering a building to restore on exit
   previousPosition: { x: 0, y: 0 },
+  // Id of the loaded world bundle (null for the default app/data world)
+  worldId: null,
+  // Sprite atlas with its loaded sheet images (null draws plain shapes)
+  atlas: null,
+  // Seconds since the game started; drives sprite animation
+  time: 0,
 };
 
 /**
@@ -136,11 +305,24 @@ function initGame() {
   window.addEventListener('keydown', onKeyDown, { passive: false });
   window.addEventListener('keyup', onKeyUp, { passive: false });
   G.canvas.addEventListener('pointerdown', onPointerDown, { passive: false });
+  G.canvas.addEventListener('pointermove', onPointerMove, { passive: true });
+  G.canvas.addEventListener('wheel', onWheel, { passive: false });
+  // Every game starts out of the dream, whatever an earlier run reached
+  illusion.reset(currentWorldId());
   // Initialise world zones and NPCs
   initZones();
   initNPCs();
+  // Start the player on the map's spawn tile
+  const spawn = tileCenter(...G.map.spawn);
+  G.player.x = spawn.x;
+  G.player.y = spawn.y;
+  updateCamera(0, true);
   // Initialise quests state and assign quest steps to NPCs
   initQuestsState();
+  // Enemies come after the quests so that none is handed a quest step
+  initEnemies();
+  // World events wait for their triggers
+  initEvents();
   // Initialise player abilities (assign first few abilities to keys)
   initPlayerAbilities();
   // Initialise inventory with any starting items
@@ -158,33 +340,264 @@ function initGame() {
   requestAnimationFrame(loop);
 }
 
-/** Resize the canvas to match the window size and recompute UI layout. */
+/** Hotbar slot size and the gap between the bar and the bottom edge, in screen pixels. */
+const HOTBAR_SIZE = 52;
+const HOTBAR_MARGIN = 24;
+
+/**
+ * Resize the canvas to match the window size and recompute UI layout. The
+ * world keeps its coordinates; only the view onto it changes.
+ */
 function resizeCanvas() {
   G.screen.w = window.innerWidth;
   G.screen.h = window.innerHeight;
   G.canvas.width = (G.screen.w * G.DPR) | 0;
   G.canvas.height = (G.screen.h * G.DPR) | 0;
   G.ctx.setTransform(G.DPR, 0, 0, G.DPR, 0, 0);
-  // Compute safe bottom area for bottom buttons (two rows of 64px + padding)
-  const rowH = 64;
-  const pad = 10;
-  const rows = 2;
-  G.screen.safeBottom = rows * rowH + (rows + 1) * pad;
+  // Keep the view and panels clear of the hotbar, with the same margin above it
+  G.screen.safeBottom = HOTBAR_SIZE + HOTBAR_MARGIN * 2;
   // Recompute UI buttons on resize
   defineButtons();
 }
 
-/** Initialise world zones from loaded worldSpec. Zones are drawn as tinted
- * vertical slices to give a sense of place. */
+/**
+ * Lay out the bottom bar: one hotbar slot per ability key (1–5), centred
+ * just above the bottom edge. Clicking a slot uses its ability like the key.
+ */
+function defineButtons() {
+  const size = HOTBAR_SIZE;
+  const gap = 8;
+  const count = 5;
+  const x0 = (G.screen.w - count * size - (count - 1) * gap) / 2;
+  const y = G.screen.h - size - HOTBAR_MARGIN;
+  G.buttons = [];
+  for (let i = 0; i < count; i++) {
+    G.buttons.push({ x: x0 + i * (size + gap), y, w: size, h: size, slot: i, on: () => activateAbility(i) });
+  }
+}
+
+/**
+ * Load the sprite atlas (sprites.json and its PNG sheets) written by the
+ * pipeline's sprite generator. Resolves with null when the world has none,
+ * in which case everything is drawn as simple shapes.
+ */
+async function loadAtlas(base) {
+  try {
+    const res = await fetch(base + 'sprites.json');
+    if (!res.ok) return null;
+    const atlas = await res.json();
+    atlas.images = {};
+    await Promise.all(Object.entries(atlas.sheets || {}).map(([name, file]) => new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => { atlas.images[name] = img; resolve(); };
+      img.onerror = () => reject(new Error(`Failed to load ${file}`));
+      img.src = base + file;
+    })));
+    return atlas;
+  } catch (err) {
+    console.error('Error loading sprites', err);
+    return null;
+  }
+}
+
+/** Load the tilemap (map.json) written by the pipeline's map generator, or null. */
+async function loadMap(base) {
+  try {
+    const res = await fetch(base + 'map.json');
+    return res.ok ? await res.json() : null;
+  } catch (err) {
+    console.error('Error loading map', err);
+    return null;
+  }
+}
+
+/**
+ * Draw a sprite from the atlas centred on (x, y), scaled to w x h. `anim`
+ * picks the animation (idle or walk), advanced by the game clock, and
+ * `variant` one of the kind's variants. Returns false when the atlas has
+ * no such sprite so the caller can draw its fallback shape.
+ */
+function drawSprite(ctx, key, x, y, w, h, { anim = 'idle', variant = 0 } = {}) {
+  const sprite = G.atlas?.sprites?.[key];
+  const img = sprite && G.atlas.images[sprite.sheet];
+  if (!img) return false;
+  const v = sprite.variants[variant % sprite.variants.length];
+  const frames = v[anim] || v.idle;
+  const fps = sprite.fps?.[anim] || 1;
+  const [sx, sy] = frames[Math.floor(G.time * fps) % frames.length];
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(img, sx, sy, sprite.w, sprite.h, x - w / 2, y - h / 2, w, h);
+  return true;
+}
+
+/** Draw a character sprite, or a coloured circle without an atlas. */
+function drawCharacter(ctx, kind, x, y, radius, color, { moving = false, variant = 0 } = {}) {
+  const size = radius * 2.25;
+  if (drawSprite(ctx, `character:${kind}`, x, y, size, size, { anim: moving ? 'walk' : 'idle', variant })) return;
+  ctx.fillStyle = color;
+  ctx.beginPath(); ctx.arc(x, y, radius, 0, Math.PI * 2); ctx.fill();
+}
+
+/**
+ * Initialise world zones and the tilemap they live on. map.json gives the
+ * terrain, organic zone borders, roads and building plots; worlds without
+ * one get a plain strip per zone (see stripMap). Both grow with the number
+ * of zones. World coordinates are pixels of the map at its tile size with
+ * the origin at its top left corner, whatever the size of the window; the
+ * camera decides what is on screen. Each zone records its centre.
+ */
 function initZones() {
   G.zones = worldSpec.zones || [];
-  // Compute each zone's x position and width based on number of zones
-  const count = G.zones.length;
-  const w = G.screen.w;
-  G.zones.forEach((z, i) => {
-    z.x = (w / count) * i;
-    z.width = w / count;
+  const data = mapData || stripMap();
+  const tile = data.tile_size || 32;
+  // Map zones are matched to worldSpec zones by id so indices agree with G.zones
+  const toZone = data.zone_list.map(z => Math.max(0, G.zones.findIndex(zone => zone.id === z.id)));
+  // Tiles and legend are copied since events change them (see changeTiles)
+  const m = {
+    ...data,
+    tiles: [...data.tiles],
+    terrain: { ...data.terrain },
+    tile,
+    zoneIndex: data.zones.map(row => [...row].map(ch => toZone[parseInt(ch, 36)] || 0)),
+    plots: data.plots.map(p => ({ ...p, zoneIndex: Math.max(0, G.zones.findIndex(zone => zone.id === p.zone)), used: false })),
+  };
+  G.map = m;
+  data.zone_list.forEach((z, i) => {
+    const zone = G.zones[toZone[i]];
+    if (!zone) return;
+    const c = tileCenter(...z.center);
+    zone.cx = c.x;
+    zone.cy = c.y;
   });
+  m.open = openTiles(m);
+  m.image = renderMap(m);
+}
+
+/** Whether a tile lies on a building plot, or within `margin` tiles of one. */
+function onPlot(m, tx, ty, margin = 0) {
+  return m.plots.some(p => tx >= p.x - margin && tx < p.x + p.w + margin && ty >= p.y - margin && ty < p.y + p.h + margin);
+}
+
+/** Open tiles per zone (walkable and not on a plot) for placing NPCs and items. */
+function openTiles(m) {
+  const open = G.zones.map(() => []);
+  for (let ty = 0; ty < m.height; ty++) {
+    for (let tx = 0; tx < m.width; tx++) {
+      const terrain = m.terrain[m.tiles[ty][tx]];
+      if (terrain && !terrain.solid && !onPlot(m, tx, ty)) (open[m.zoneIndex[ty][tx]] || []).push([tx, ty]);
+    }
+  }
+  return open;
+}
+
+/**
+ * Stand-in tilemap for worlds generated before map.json existed: a strip
+ * of open grass per zone, joined by a road with building plots above it.
+ */
+function stripMap() {
+  const count = Math.max(1, G.zones.length);
+  const stripW = 12;
+  const width = stripW * count;
+  const height = 16;
+  const roadY = 11;
+  return {
+    tile_size: 32,
+    width,
+    height,
+    terrain: {
+      '.': { name: 'grass', color: '#4b692f', detail: '#6abe30', solid: false },
+      '=': { name: 'path', color: '#8f563b', detail: '#d9a066', solid: false },
+    },
+    zone_list: G.zones.map((z, i) => ({ id: z.id, name: z.name, center: [i * stripW + stripW / 2, roadY] })),
+    tiles: Array.from({ length: height }, (_, y) => (y === roadY || y === roadY + 1 ? '=' : '.').repeat(width)),
+    zones: Array.from({ length: height }, () => Array.from({ length: width }, (_, x) => Math.floor(x / stripW).toString(36)).join('')),
+    plots: G.zones.flatMap((z, i) => [1, 5, 9].map(x => ({ zone: z.id, x: i * stripW + x, y: roadY - 4, w: 3, h: 3 }))),
+    spawn: [stripW / 2, roadY],
+  };
+}
+
+/**
+ * Render the tilemap once into an offscreen canvas at its native tile
+ * size: terrain colours with a few detail pixels per tile (a raised block
+ * on solid tiles), a faint tint per zone and a dark line along zone borders.
+ */
+function renderMap(m) {
+  const ts = m.tile_size || 32;
+  const canvas = document.createElement('canvas');
+  canvas.width = m.width * ts;
+  canvas.height = m.height * ts;
+  const ctx = canvas.getContext('2d');
+  const dot = Math.max(2, Math.round(ts / 10));
+  for (let ty = 0; ty < m.height; ty++) {
+    for (let tx = 0; tx < m.width; tx++) {
+      const terrain = m.terrain[m.tiles[ty][tx]] || { color: '#000000', solid: true };
+      const x = tx * ts;
+      const y = ty * ts;
+      ctx.fillStyle = terrain.color;
+      ctx.fillRect(x, y, ts, ts);
+      // Detail placed by a hash of the tile position so it never flickers
+      const hash = ((tx * 73856093) ^ (ty * 19349663)) >>> 0;
+      ctx.fillStyle = terrain.detail || terrain.color;
+      if (terrain.solid) {
+        const inset = ts * (0.15 + (hash % 5) / 50);
+        ctx.fillRect(x + inset, y + inset, ts - inset * 2, ts - inset * 2);
+      } else {
+        for (let k = 0; k < 3; k++) {
+          ctx.fillRect(x + ((hash >>> (k * 6)) % (ts - dot)), y + ((hash >>> (k * 6 + 3)) % (ts - dot)), dot, dot);
+        }
+      }
+      const zi = m.zoneIndex[ty][tx];
+      ctx.fillStyle = `hsla(${(zi * 60) % 360},30%,25%,0.15)`;
+      ctx.fillRect(x, y, ts, ts);
+      ctx.fillStyle = 'rgba(0,0,0,0.35)';
+      if (tx + 1 < m.width && m.zoneIndex[ty][tx + 1] !== zi) ctx.fillRect(x + ts - 1, y, 2, ts);
+      if (ty + 1 < m.height && m.zoneIndex[ty + 1][tx] !== zi) ctx.fillRect(x, y + ts - 1, ts, 2);
+    }
+  }
+  return canvas;
+}
+
+/** Tile under a world position as { tx, ty, terrain, zoneIndex }, or null off the map. */
+function tileAt(x, y) {
+  const m = G.map;
+  const tx = Math.floor(x / m.tile);
+  const ty = Math.floor(y / m.tile);
+  if (tx < 0 || ty < 0 || tx >= m.width || ty >= m.height) return null;
+  return { tx, ty, terrain: m.terrain[m.tiles[ty][tx]] || { solid: true }, zoneIndex: m.zoneIndex[ty][tx] };
+}
+
+/** World position of the centre of a tile. */
+function tileCenter(tx, ty) {
+  const m = G.map;
+  return { x: (tx + 0.5) * m.tile, y: (ty + 0.5) * m.tile };
+}
+
+/** Centre of a random open tile in a zone (anywhere on the map if the zone has none). */
+function randomOpenSpot(zoneIndex) {
+  const open = G.map.open[zoneIndex]?.length ? G.map.open[zoneIndex] : G.map.open.flat();
+  if (open.length === 0) return tileCenter(...G.map.spawn);
+  return tileCenter(...open[Math.floor(Math.random() * open.length)]);
+}
+
+/**
+ * Push a body of half-size r at p out of a rectangle along the axis of
+ * smallest penetration. Does nothing when they do not overlap.
+ */
+function pushOut(p, o, r) {
+  if (!(p.x + r > o.x && p.x - r < o.x + o.width && p.y + r > o.y && p.y - r < o.y + o.height)) return;
+  const dxLeft = (o.x - (p.x + r));
+  const dxRight = ((o.x + o.width) - (p.x - r));
+  const dyTop = (o.y - (p.y + r));
+  const dyBottom = ((o.y + o.height) - (p.y - r));
+  const absX = Math.min(Math.abs(dxLeft), Math.abs(dxRight));
+  const absY = Math.min(Math.abs(dyTop), Math.abs(dyBottom));
+  if (absX < absY) {
+    if (Math.abs(dxLeft) < Math.abs(dxRight)) p.x = o.x - r;
+    else p.x = o.x + o.width + r;
+  } else {
+    if (Math.abs(dyTop) < Math.abs(dyBottom)) p.y = o.y - r;
+    else p.y = o.y + o.height + r;
+  }
 }
 
 /** Initialise NPCs by mapping dialogues to NPC objects and assigning them
@@ -204,16 +617,18 @@ function initNPCs() {
     }
     // Assign NPC to a zone cyclically
     const zoneIndex = idx % zoneCount;
-    const zone = G.zones[zoneIndex];
-    // Random position within zone
-    const x = zone.x + zone.width * 0.5;
-    const y = G.screen.h * 0.4 + Math.random() * G.screen.h * 0.1;
+    // Random open tile within zone
+    const { x, y } = randomOpenSpot(zoneIndex);
     // Assign a random skill and difficulty for skill checks
     const skills = ['charisma', 'strength', 'agility'];
     const skill = skills[Math.floor(Math.random() * skills.length)];
     const difficulty = 0.4 + Math.random() * 0.4; // 0.4–0.8
+    const specNpc = (worldSpec.npcs || []).find(n => n.id === npcId);
     G.npcs.push({
       id: npcId,
+      kind: specNpc ? specNpc.kind : null,
+      // Which of the kind's sprite variants this NPC wears
+      variant: idx,
       dialogueIndex: idx,
       x,
       y,
@@ -226,9 +641,8 @@ function initNPCs() {
     });
   });
 
-  // After creating NPCs, initialise buildings and obstacles for exploration
+  // After creating NPCs, put up their houses on the map's building plots
   initBuildings();
-  initObstacles();
 }
 
 /** Initialise quests state by creating an array of quests with progress
@@ -243,19 +657,51 @@ function initQuestsState() {
       title: q.title,
       is_main: q.is_main,
       steps: q.steps,
+      endings: q.endings || [],
+      requires: q.requires || {},
+      rewards: q.rewards,
+      timeLimit: q.time_limit || null,
+      failWhen: q.fail_when || {},
+      // 'not-started', 'in-progress', 'completed' or 'failed' (see failReason)
       status: 'not-started',
       currentStep: 0,
+      // Progress of the current step's objective, see OBJECTIVES
+      progress: 0,
+      // Seconds left of a time limit while in progress
+      timeLeft: null,
+      // Branches offered after completing a branching step, until one is chosen
+      choices: null,
+      failReason: null,
       // stepAssignments: array mapping step index -> npcId
       stepAssignments: [],
     };
     q.steps.forEach((step, i) => {
-      const npc = G.npcs[(qIndex + i) % npcCount];
-      qs.stepAssignments.push(npc.id);
+      qs.stepAssignments.push(assignStepNPC(step, (qIndex + i) % npcCount).id);
     });
     G.questsState.push(qs);
   });
 }
 
+/**
+ * NPC a quest step is handed in to: one of its objective's `npc_kind`,
+ * preferably living in the step's zone, or else the NPC whose turn it is.
+ */
+function assignStepNPC(step, turn) {
+  const zoneIndex = zoneIndexOf(step.location_hint);
+  const ofKind = G.npcs.filter(n => isKind(n, step.objective.npc_kind));
+  return ofKind.find(n => n.zoneIndex === zoneIndex) || ofKind[0] || G.npcs[turn];
+}
+
+/** Whether an NPC is of a kind named in quest data; kinds compare case-insensitively. */
+function isKind(npc, kind) {
+  return Boolean(kind) && String(npc.kind).toLowerCase() === kind.toLowerCase();
+}
+
+/** Index in G.zones of a zone id, or -1. */
+function zoneIndexOf(zoneId) {
+  return G.zones.findIndex(z => z.id === zoneId);
+}
+
 /** Initialise player abilities by assigning the first few abilities from
  * abilitiesData to the player's hotkeys (keys 1–5). */
 function initPlayerAbilities() {
@@ -272,37 +718,23 @@ function initPlayerAbilities() {
 
 /**
  * Initialise buildings for each NPC and corresponding interiors. Each NPC gets a
- * small house in their home zone with a door. Interiors are simple rooms
- * containing the NPC and an exit door. Buildings encourage exploration and
- * provide a space to talk to NPCs privately.
+ * small house on a free building plot of their home zone, with the door in the
+ * middle of its bottom edge; NPCs whose zone has no plot left live outdoors.
+ * Interiors are simple rooms containing the NPC and an exit door. Buildings
+ * encourage exploration and provide a space to talk to NPCs privately.
  */
 function initBuildings() {
   G.buildings = [];
   G.interiors = [];
-  const usedPositions = {};
+  const m = G.map;
   G.npcs.forEach((npc, idx) => {
-    const zone = G.zones[npc.zoneIndex];
-    if (!zone) return;
-    // Determine building size relative to zone
-    const bw = Math.max(80, zone.width * 0.25);
-    const bh = Math.max(80, G.screen.h * 0.15);
-    // Place building at random horizontal offset in zone without overlap
-    let bx;
-    const attempts = 10;
-    for (let a = 0; a < attempts; a++) {
-      const candidateX = zone.x + 30 + Math.random() * (zone.width - bw - 60);
-      const key = `${npc.zoneIndex}-${Math.floor(candidateX / 50)}`;
-      if (!usedPositions[key]) {
-        bx = candidateX;
-        usedPositions[key] = true;
-        break;
-      }
-    }
-    if (bx === undefined) {
-      bx = zone.x + (zone.width - bw) / 2;
-    }
-    // Vertical position: random within upper part of zone
-    const by = 120 + Math.random() * (G.screen.h - G.screen.safeBottom - bh - 180);
+    const plot = m.plots.find(p => !p.used && p.zoneIndex === npc.zoneIndex);
+    if (!plot) return;
+    plot.used = true;
+    const bx = plot.x * m.tile;
+    const by = plot.y * m.tile;
+    const bw = plot.w * m.tile;
+    const bh = plot.h * m.tile;
     const doorX = bx + bw / 2;
     const doorY = by + bh;
     G.buildings.push({
@@ -317,9 +749,9 @@ function initBuildings() {
       doorY,
     });
     // Create interior room for this building
-    const intW = Math.min(G.screen.w - 100, 600);
-    const intH = Math.min(G.screen.h - G.screen.safeBottom - 100, 400);
-    // Interior coordinates are relative to the center of the screen; we'll translate when drawing
+    const intW = 600;
+    const intH = 400;
+    // Interiors have coordinates of their own with the origin in the middle of the room
     const interior = {
       id: `interior_${idx}`,
       npcId: npc.id,
@@ -332,6 +764,8 @@ function initBuildings() {
       spawnY: intH / 2 - 60,
       npc: {
         id: npc.id,
+        kind: npc.kind,
+        variant: npc.variant,
         dialogueIndex: npc.dialogueIndex,
         x: 0,
         y: -intH * 0.25,
@@ -346,28 +780,12 @@ function initBuildings() {
   });
 }
 
-/**
- * Initialise a handful of random obstacles in each zone. Obstacles are
- * rectangular areas the player cannot pass through. They break up open
- * space and encourage exploration.
- */
-function initObstacles() {
-  G.obstacles = [];
-  const obstacleCountPerZone = 3;
-  G.zones.forEach((zone, zi) => {
-    for (let i = 0; i < obstacleCountPerZone; i++) {
-      const w = 40 + Math.random() * 80;
-      const h = 40 + Math.random() * 80;
-      const ox = zone.x + 30 + Math.random() * (zone.width - w - 60);
-      const oy = 140 + Math.random() * (G.screen.h - G.screen.safeBottom - h - 200);
-      G.obstacles.push({ zoneIndex: zi, x: ox, y: oy, width: w, height: h });
-    }
-  });
-}
-
-/** Draw all buildings as rectangles with a visible door. */
+/** Draw all buildings with their zone's sprite, or as rectangles with a visible door. */
 function drawBuildings(ctx) {
   G.buildings.forEach(b => {
+    // The sprite's door spans the middle fifth of its bottom edge, like the entrance
+    const zone = G.zones[b.zoneIndex];
+    if (zone && drawSprite(ctx, `building:${zone.id}`, b.x + b.width / 2, b.y + b.height / 2, b.width, b.height)) return;
     ctx.fillStyle = '#242539';
     ctx.fillRect(b.x, b.y, b.width, b.height);
     // Door as a small rectangle on bottom edge
@@ -380,20 +798,12 @@ function drawBuildings(ctx) {
   });
 }
 
-/** Draw all obstacles as dark rectangles. */
-function drawObstacles(ctx) {
-  ctx.fillStyle = '#1a1a24';
-  G.obstacles.forEach(o => {
-    ctx.fillRect(o.x, o.y, o.width, o.height);
-  });
-}
-
 /** Draw the interior view if the player is inside a building. */
 function drawInterior(ctx) {
   const interior = G.currentInterior;
   if (!interior) return;
-  const intX = (G.screen.w - interior.width) / 2;
-  const intY = (G.screen.h - G.screen.safeBottom - interior.height) / 2;
+  const intX = -interior.width / 2;
+  const intY = -interior.height / 2;
   // Room background
   ctx.fillStyle = '#151724';
   ctx.fillRect(intX, intY, interior.width, interior.height);
@@ -410,12 +820,7 @@ function drawInterior(ctx) {
   ctx.fillRect(doorX, doorY, doorW, doorH);
   // NPC inside
   const npc = interior.npc;
-  const npcScreenX = intX + interior.width / 2 + npc.x;
-  const npcScreenY = intY + interior.height / 2 + npc.y;
-  ctx.fillStyle = npc.color;
-  ctx.beginPath();
-  ctx.arc(npcScreenX, npcScreenY, 14, 0, Math.PI * 2);
-  ctx.fill();
+  drawCharacter(ctx, npc.kind, npc.x, npc.y, 14, npc.color, { moving: Boolean(npc.dx || npc.dy), variant: npc.variant });
   // Draw zone name as interior title
   ctx.fillStyle = '#e6e6ea';
   ctx.font = '18px system-ui';
@@ -436,11 +841,10 @@ function enterBuilding(building) {
   if (!interior) return;
   G.currentInterior = interior;
   G.inInterior = true;
-  // Teleport player to interior spawn (relative to screen centre)
-  const intX = (G.screen.w - interior.width) / 2;
-  const intY = (G.screen.h - G.screen.safeBottom - interior.height) / 2;
-  G.player.x = intX + interior.width / 2 + interior.spawnX;
-  G.player.y = intY + interior.height / 2 + interior.spawnY;
+  // Teleport player to interior spawn (in the room's own coordinates)
+  G.player.x = interior.spawnX;
+  G.player.y = interior.spawnY;
+  updateCamera(0, true);
 }
 
 /** Exit the current interior and return to the world at previous position. */
@@ -451,15 +855,20 @@ function exitBuilding() {
   // Restore player position
   G.player.x = G.previousPosition.x;
   G.player.y = G.previousPosition.y;
+  updateCamera(0, true);
 }
 
 /** Update function called each frame. Handles movement, NPC wandering,
  * messages, cooldowns and quest item pickup. */
 function update(dt) {
-  // Move player according to velocity
+  G.time += dt;
+  // Move player in the held direction at the current speed
   const p = G.player;
-  p.x += p.vx * dt;
-  p.y += p.vy * dt;
+  p.x += Math.sign(p.vx) * p.speed * dt;
+  p.y += Math.sign(p.vy) * p.speed * dt;
+  if (p.vx || p.vy) p.facing = { x: Math.sign(p.vx), y: Math.sign(p.vy) };
+  G.melee.cooldown = Math.max(0, G.melee.cooldown - dt);
+  G.melee.swing = Math.max(0, G.melee.swing - dt);
   // Update depending on whether player is inside an interior
   if (G.inInterior) {
     updateInterior(dt);
@@ -471,104 +880,99 @@ function update(dt) {
     m.time -= dt;
     return m.time > 0;
   });
-  // Update ability cooldowns
+  // Update ability cooldowns and regain energy
   for (const id in G.player.abilityCooldown) {
     G.player.abilityCooldown[id] = Math.max(0, G.player.abilityCooldown[id] - dt);
   }
-  // Apply status effects: adjust player speed
-  let speedMult = 1;
-  for (const eff of G.statusEffects) {
-    if (eff.type === 'speed') speedMult += eff.value;
-  }
-  p.speed = p.baseSpeed * speedMult;
+  p.energy = Math.min(p.maxEnergy, p.energy + ENERGY_REGEN * dt);
+  updateEvents(dt);
+  updateQuests(dt);
+  // Run status effects (damage and healing over time, expiry) and apply their speed modifiers
+  tickStatusEffects(p, dt);
+  p.speed = p.baseSpeed * speedFactor(p);
+  updateCamera(dt);
+}
+
+/** Items currently equipped, skipping empty slots. */
+function equippedItems() {
+  return Object.values(G.player.equipped).map(getItem).filter(Boolean);
+}
+
+/** Player attack: base value plus equipment and attack buffs. */
+function playerAttack() {
+  return Math.max(0, G.player.baseAttack + equippedItems().reduce((sum, item) => sum + item.attack, 0) + effectTotal('attack'));
+}
+
+/** Player defence from equipment and defence buffs; subtracted from damage taken. */
+function playerDefence() {
+  return equippedItems().reduce((sum, item) => sum + item.defence, 0) + effectTotal('defence');
 }
 
 /**
  * Update logic when the player is in the world (not inside an interior). Handles
- * clamping to world boundaries, NPC wandering, collisions with obstacles and
+ * clamping to the map, NPC wandering, collisions with solid tiles and
  * buildings, and quest item pickups.
  */
 function updateWorld(dt) {
   const p = G.player;
-  // Clamp player within world bounds
-  p.x = Math.max(16, Math.min(G.screen.w - 16, p.x));
-  p.y = Math.max(80, Math.min(G.screen.h - G.screen.safeBottom - 16, p.y));
-  // Update NPC wandering
+  const m = G.map;
+  // Clamp player within the map
+  p.x = Math.max(16, Math.min(m.width * m.tile - 16, p.x));
+  p.y = Math.max(16, Math.min(m.height * m.tile - 16, p.y));
+  // Update NPC status effects, enemies going after the player and wandering
   G.npcs.forEach(npc => {
-    if (Math.random() < 0.01) {
+    tickStatusEffects(npc, dt);
+    const pace = speedFactor(npc);
+    const engaged = npc.hostile && steerEnemy(npc, dt);
+    if (!engaged && Math.random() < 0.01) {
       const angle = Math.random() * Math.PI * 2;
       npc.dx = Math.cos(angle) * 40;
       npc.dy = Math.sin(angle) * 40;
     }
-    npc.x += npc.dx * dt;
-    npc.y += npc.dy * dt;
-    // Keep inside its zone horizontally and vertical bounds
-    const z = G.zones[npc.zoneIndex];
-    if (npc.x < z.x + 20) { npc.x = z.x + 20; npc.dx = Math.abs(npc.dx); }
-    if (npc.x > z.x + z.width - 20) { npc.x = z.x + z.width - 20; npc.dx = -Math.abs(npc.dx); }
-    if (npc.y < 80) { npc.y = 80; npc.dy = Math.abs(npc.dy); }
-    if (npc.y > G.screen.h - G.screen.safeBottom - 20) { npc.y = G.screen.h - G.screen.safeBottom - 20; npc.dy = -Math.abs(npc.dy); }
+    // Stay on open ground inside the home zone; turn around at its edge
+    const nx = npc.x + npc.dx * pace * dt;
+    const ny = npc.y + npc.dy * pace * dt;
+    const tile = tileAt(nx, ny);
+    if (tile && !tile.terrain.solid && tile.zoneIndex === npc.zoneIndex) {
+      npc.x = nx;
+      npc.y = ny;
+    } else {
+      npc.dx = -npc.dx;
+      npc.dy = -npc.dy;
+    }
   });
-  // Collision with obstacles: push player out
-  G.obstacles.forEach(o => {
-    if (G.player.x + 16 > o.x && G.player.x - 16 < o.x + o.width &&
-        G.player.y + 16 > o.y && G.player.y - 16 < o.y + o.height) {
-      // Determine smallest penetration axis
-      const dxLeft = (o.x - (p.x + 16));
-      const dxRight = ((o.x + o.width) - (p.x - 16));
-      const dyTop = (o.y - (p.y + 16));
-      const dyBottom = ((o.y + o.height) - (p.y - 16));
-      // Choose the minimal absolute displacement
-      const absX = Math.min(Math.abs(dxLeft), Math.abs(dxRight));
-      const absY = Math.min(Math.abs(dyTop), Math.abs(dyBottom));
-      if (absX < absY) {
-        // Move horizontally
-        if (Math.abs(dxLeft) < Math.abs(dxRight)) p.x = o.x - 16;
-        else p.x = o.x + o.width + 16;
-      } else {
-        // Move vertically
-        if (Math.abs(dyTop) < Math.abs(dyBottom)) p.y = o.y - 16;
-        else p.y = o.y + o.height + 16;
+  // Collision with solid tiles: push the player out of each one it overlaps.
+  // The body shrinks on small tiles so two-tile roads stay passable.
+  const r = Math.min(16, m.tile * 0.45);
+  const tx0 = Math.floor((p.x - r) / m.tile);
+  const ty0 = Math.floor((p.y - r) / m.tile);
+  for (let ty = ty0; ty <= ty0 + 2; ty++) {
+    for (let tx = tx0; tx <= tx0 + 2; tx++) {
+      const tile = tileAt((tx + 0.5) * m.tile, (ty + 0.5) * m.tile);
+      if (tile && tile.terrain.solid) {
+        pushOut(p, { x: tx * m.tile, y: ty * m.tile, width: m.tile, height: m.tile }, r);
       }
     }
-  });
+  }
   // Collision with buildings (block except at door)
   G.buildings.forEach(b => {
-    // Check if within building rectangle
-    if (p.x + 16 > b.x && p.x - 16 < b.x + b.width &&
-        p.y + 16 > b.y && p.y - 16 < b.y + b.height) {
-      // Door region along bottom centre
-      const doorW = b.width * 0.2;
-      const doorX0 = b.doorX - doorW / 2;
-      const doorX1 = b.doorX + doorW / 2;
-      const doorY0 = b.doorY - 10; // door height 10
-      // If player is within door region allow entrance by clicking but still push out vertically to avoid clipping
-      const withinDoor = p.x > doorX0 && p.x < doorX1 && p.y + 16 > b.y + b.height;
-      if (!withinDoor) {
-        // Push player out of building
-        const dxLeft = (b.x - (p.x + 16));
-        const dxRight = ((b.x + b.width) - (p.x - 16));
-        const dyTop = (b.y - (p.y + 16));
-        const dyBottom = ((b.y + b.height) - (p.y - 16));
-        const absX = Math.min(Math.abs(dxLeft), Math.abs(dxRight));
-        const absY = Math.min(Math.abs(dyTop), Math.abs(dyBottom));
-        if (absX < absY) {
-          if (Math.abs(dxLeft) < Math.abs(dxRight)) p.x = b.x - 16;
-          else p.x = b.x + b.width + 16;
-        } else {
-          if (Math.abs(dyTop) < Math.abs(dyBottom)) p.y = b.y - 16;
-          else p.y = b.y + b.height + 16;
-        }
-      }
-    }
+    // Door region along bottom centre
+    const doorW = b.width * 0.2;
+    const doorX0 = b.doorX - doorW / 2;
+    const doorX1 = b.doorX + doorW / 2;
+    // If player is within door region allow entrance by clicking
+    const withinDoor = p.x > doorX0 && p.x < doorX1 && p.y + 16 > b.y + b.height;
+    if (!withinDoor) pushOut(p, b, 16);
   });
+  respawnEnemies(dt);
   // Quest item pickups in world
   for (let i = G.objects.length - 1; i >= 0; i--) {
     const obj = G.objects[i];
     const dx = obj.x - p.x;
     const dy = obj.y - p.y;
     if (dx * dx + dy * dy < 20 * 20) {
-      if (!p.inventory.includes(obj.itemId)) {
+      // Items scattered for a quest and loot may be collected more than once
+      if (obj.questId || obj.loot || !p.inventory.includes(obj.itemId)) {
         p.inventory.push(obj.itemId);
         addMessage(`Collected ${getItemName(obj.itemId)}`);
       }
@@ -584,15 +988,12 @@ function updateWorld(dt) {
 function updateInterior(dt) {
   const interior = G.currentInterior;
   if (!interior) return;
-  // Interior bounding box on screen
-  const intX = (G.screen.w - interior.width) / 2;
-  const intY = (G.screen.h - G.screen.safeBottom - interior.height) / 2;
   // Clamp player within interior (padding 16)
   const pad = 16;
-  const minX = intX + pad;
-  const maxX = intX + interior.width - pad;
-  const minY = intY + pad;
-  const maxY = intY + interior.height - pad;
+  const minX = -interior.width / 2 + pad;
+  const maxX = interior.width / 2 - pad;
+  const minY = -interior.height / 2 + pad;
+  const maxY = interior.height / 2 - pad;
   G.player.x = Math.max(minX, Math.min(maxX, G.player.x));
   G.player.y = Math.max(minY, Math.min(maxY, G.player.y));
   // Interior NPC wandering: small random movement
@@ -613,44 +1014,87 @@ function updateInterior(dt) {
   if (npc.y > halfH) { npc.y = halfH; npc.dy = -Math.abs(npc.dy); }
 }
 
+/** Size of the view onto the world: the window above the bottom bar. */
+function viewSize() {
+  return { w: G.screen.w, h: G.screen.h - G.screen.safeBottom };
+}
+
+/** Area the camera may show: the current room indoors, the whole map outside. */
+function cameraBounds() {
+  const interior = G.currentInterior;
+  if (G.inInterior && interior) return { x: -interior.width / 2, y: -interior.height / 2, w: interior.width, h: interior.height };
+  const m = G.map;
+  return { x: 0, y: 0, w: m.width * m.tile, h: m.height * m.tile };
+}
+
+/**
+ * Ease the camera towards the player while keeping the view inside the
+ * camera bounds; an area smaller than the view is centred in it. `snap`
+ * moves it there at once, for teleports and loading.
+ */
+function updateCamera(dt, snap = false) {
+  const cam = G.camera;
+  const view = viewSize();
+  const b = cameraBounds();
+  const clamp = (at, min, size, span) => {
+    const half = span / 2 / cam.zoom;
+    if (size <= half * 2) return min + size / 2;
+    return Math.max(min + half, Math.min(min + size - half, at));
+  };
+  const k = snap ? 1 : 1 - Math.exp(-CAMERA_FOLLOW * dt);
+  cam.x += (clamp(G.player.x, b.x, b.w, view.w) - cam.x) * k;
+  cam.y += (clamp(G.player.y, b.y, b.h, view.h) - cam.y) * k;
+}
+
+/** World position under a point on the screen. */
+function screenToWorld(x, y) {
+  const view = viewSize();
+  const cam = G.camera;
+  return { x: cam.x + (x - view.w / 2) / cam.zoom, y: cam.y + (y - view.h / 2) / cam.zoom };
+}
+
+/** Step through ZOOM_LEVELS: 1 zooms in, -1 out. */
+function changeZoom(step) {
+  const at = Math.max(0, ZOOM_LEVELS.indexOf(G.camera.zoom));
+  G.camera.zoom = ZOOM_LEVELS[Math.max(0, Math.min(ZOOM_LEVELS.length - 1, at + step))];
+}
+
 /** Main draw function that renders everything on canvas. */
 function draw() {
   const ctx = G.ctx;
   ctx.fillStyle = '#12121a';
   ctx.fillRect(0, 0, G.screen.w, G.screen.h);
+  // The world is drawn in world coordinates through the camera, the UI on top in screen pixels
+  const view = viewSize();
+  const cam = G.camera;
+  ctx.save();
+  ctx.translate(view.w / 2, view.h / 2);
+  ctx.scale(cam.zoom, cam.zoom);
+  ctx.translate(-cam.x, -cam.y);
   // If inside an interior, render the interior room and its contents
   if (G.inInterior) {
     // Draw interior room and occupant
     drawInterior(ctx);
     // Draw the player after interior so they appear on top
-    ctx.fillStyle = '#52d1ff';
-    ctx.beginPath(); ctx.arc(G.player.x, G.player.y, 16, 0, Math.PI * 2); ctx.fill();
+    drawPlayer(ctx);
   } else {
-    // Draw world: zones, grid, obstacles, buildings, objects, NPCs, player
+    // Draw world: tilemap and zones, buildings, objects, NPCs, player
     drawZones(ctx);
-    // Grid overlay
-    ctx.strokeStyle = '#202230';
-    ctx.lineWidth = 1;
-    for (let x = 0; x < G.screen.w; x += 32) {
-      ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, G.screen.h); ctx.stroke();
-    }
-    for (let y = 0; y < G.screen.h; y += 32) {
-      ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(G.screen.w, y); ctx.stroke();
-    }
-    drawObstacles(ctx);
     drawBuildings(ctx);
     drawObjects(ctx);
-    // NPCs
+    // NPCs, enemies with their HP
     G.npcs.forEach(npc => {
-      ctx.fillStyle = npc.color;
-      ctx.beginPath(); ctx.arc(npc.x, npc.y, 14, 0, Math.PI * 2); ctx.fill();
+      drawCharacter(ctx, npc.kind, npc.x, npc.y, NPC_RADIUS, npc.color, { moving: Boolean(npc.dx || npc.dy), variant: npc.variant });
+      if (npc.hostile) drawEnemyHP(ctx, npc);
     });
-    // Player
-    ctx.fillStyle = '#52d1ff';
-    ctx.beginPath(); ctx.arc(G.player.x, G.player.y, 16, 0, Math.PI * 2); ctx.fill();
+    drawPlayer(ctx);
+    drawSwing(ctx);
   }
+  ctx.restore();
+  drawIllusion(ctx);
   // Draw HUD (health bar, gold, level) always
   drawHUD(ctx);
+  drawEventBanner(ctx);
   // Draw overlay (inventory, quests, status, shop) if any
   drawOpenOverlay(ctx);
   // Draw talk overlay if in conversation
@@ -659,31 +1103,96 @@ function draw() {
   drawMessages(ctx);
 }
 
-/** Draw world zones as translucent tinted rectangles with names. */
+/**
+ * Tint the world by illusion tier: a warm haze that thickens as the player
+ * gives in, drifting heat bands from tier 0.5 and a glowing edge from 0.75.
+ * Nothing at tier 0.
+ */
+function drawIllusion(ctx) {
+  const tier = illusion.tier();
+  if (tier === 0) return;
+  const { w, h } = G.screen;
+  const pulse = 0.5 + 0.5 * Math.sin(G.time * 1.5);
+  ctx.fillStyle = `rgba(255,200,120,${(0.05 + 0.05 * pulse) * tier})`;
+  ctx.fillRect(0, 0, w, h);
+  if (tier >= 0.5) {
+    const bands = Math.round(6 * tier);
+    ctx.fillStyle = `rgba(255,240,200,${0.06 * tier})`;
+    for (let i = 0; i < bands; i++) {
+      const by = ((i / bands) * h + G.time * 20) % h;
+      ctx.fillRect(0, by + Math.sin(G.time + i) * 8, w, 6 + 10 * tier);
+    }
+  }
+  if (tier >= 0.75) {
+    const edge = 40 * tier;
+    ctx.fillStyle = `rgba(255,170,90,${0.12 + 0.08 * pulse})`;
+    ctx.fillRect(0, 0, w, edge);
+    ctx.fillRect(0, h - edge, w, edge);
+    ctx.fillRect(0, edge, edge, h - 2 * edge);
+    ctx.fillRect(w - edge, edge, edge, h - 2 * edge);
+  }
+}
+
+/** Draw the player, walking while moving. */
+function drawPlayer(ctx) {
+  const p = G.player;
+  drawCharacter(ctx, 'player', p.x, p.y, PLAYER_RADIUS, '#52d1ff', { moving: Boolean(p.vx || p.vy) });
+}
+
+/** Draw an enemy's HP bar above its head. */
+function drawEnemyHP(ctx, npc) {
+  const w = 28;
+  const x = npc.x - w / 2;
+  const y = npc.y - NPC_RADIUS - 10;
+  ctx.fillStyle = 'rgba(0,0,0,0.6)';
+  ctx.fillRect(x - 1, y - 1, w + 2, 6);
+  ctx.fillStyle = '#e0553a';
+  ctx.fillRect(x, y, w * Math.max(0, npc.hp / npc.maxHp), 4);
+}
+
+/** Draw the player's melee swing while it lasts: the weapon's icon on the hitbox, or an arc. */
+function drawSwing(ctx) {
+  const { x, y, swing } = G.melee;
+  if (swing <= 0) return;
+  const p = G.player;
+  const weapon = p.equipped.weapon;
+  if (weapon && drawSprite(ctx, `item:${weapon}`, x, y, 24, 24)) return;
+  const angle = Math.atan2(y - p.y, x - p.x);
+  ctx.strokeStyle = 'rgba(255,255,255,0.7)';
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  ctx.arc(p.x, p.y, PLAYER_RADIUS + MELEE_REACH / 2, angle - 0.8, angle + 0.8);
+  ctx.stroke();
+}
+
+/** Draw the pre-rendered tilemap and the zone names. */
 function drawZones(ctx) {
-  if (!G.zones || G.zones.length === 0) return;
+  const m = G.map;
+  if (!m) return;
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(m.image, 0, 0, m.width * m.tile, m.height * m.tile);
+  // Zone names centred above each zone's centre
+  ctx.fillStyle = 'rgba(255,255,255,0.6)';
+  ctx.font = '16px system-ui';
   G.zones.forEach((zone, i) => {
-    const hue = (i * 60) % 360;
-    ctx.fillStyle = `hsla(${hue},30%,25%,0.15)`;
-    ctx.fillRect(zone.x, 0, zone.width, G.screen.h - G.screen.safeBottom);
-    // Zone name
-    ctx.fillStyle = 'rgba(255,255,255,0.3)';
-    ctx.font = '16px system-ui';
-    ctx.fillText(zone.name || `Zone ${i + 1}`, zone.x + 12, 24);
+    if (zone.cx === undefined) return;
+    const name = zone.name || `Zone ${i + 1}`;
+    ctx.fillText(name, zone.cx - ctx.measureText(name).width / 2, zone.cy - m.tile);
   });
 }
 
-/** Draw all collectible objects as yellow circles. */
+/** Draw all collectible objects with their item icon, or as yellow circles. */
 function drawObjects(ctx) {
-  ctx.fillStyle = '#ffd447';
   G.objects.forEach(obj => {
+    if (drawSprite(ctx, `item:${obj.itemId}`, obj.x, obj.y, 24, 24)) return;
+    ctx.fillStyle = '#ffd447';
     ctx.beginPath(); ctx.arc(obj.x, obj.y, 8, 0, Math.PI * 2); ctx.fill();
   });
 }
 
-/** Draw player's HUD: health bar, gold, level. */
+/** Draw player's HUD: health and energy bars, gold, level and the ability hotbar. */
 function drawHUD(ctx) {
-  const { hp, maxHp, gold, level } = G.player;
+  const { hp, maxHp, energy, maxEnergy, gold, level } = G.player;
   // Health bar
   const barW = 200;
   const barH = 12;
@@ -697,9 +1206,144 @@ function drawHUD(ctx) {
   ctx.fillStyle = '#cfd3df';
   ctx.font = '12px system-ui';
   ctx.fillText(`HP ${Math.ceil(hp)}/${maxHp}`, x + 4, y + 10);
+  // Energy bar
+  ctx.fillStyle = '#2a2f45';
+  ctx.fillRect(x, y + 16, barW, 6);
+  ctx.fillStyle = '#6fb4ff';
+  ctx.fillRect(x, y + 16, barW * (energy / maxEnergy), 6);
   // Gold and level
-  ctx.fillText(`Gold: ${gold}`, x, y + 28);
-  ctx.fillText(`Level: ${level}`, x, y + 44);
+  ctx.fillStyle = '#cfd3df';
+  ctx.fillText(`Gold: ${gold}`, x, y + 38);
+  ctx.fillText(`Level: ${level}`, x, y + 54);
+  drawStatusIcons(ctx);
+  drawHotbar(ctx);
+}
+
+/**
+ * Draw an icon per active player status effect along the top right: green
+ * edged for buffs and red for debuffs, with the stack count, a bar for the
+ * time left and the seconds remaining underneath. Hovering shows details.
+ */
+function drawStatusIcons(ctx) {
+  const size = 30;
+  const gap = 6;
+  let hovered = null;
+  G.statusEffects.forEach((eff, i) => {
+    const icon = { x: G.screen.w - 12 - size - i * (size + gap), y: 12, w: size, h: size };
+    const color = eff.def.kind === 'buff' ? '#8ae6a2' : '#ff7a59';
+    ctx.fillStyle = 'rgba(20,22,34,0.85)';
+    ctx.fillRect(icon.x, icon.y, size, size);
+    if (!drawSprite(ctx, `status:${eff.id}`, icon.x + size / 2, icon.y + size / 2, 24, 24)) {
+      const initials = eff.name.split(/\s+/).slice(0, 2).map(w => w[0]).join('').toUpperCase();
+      ctx.fillStyle = color;
+      ctx.font = '12px system-ui';
+      ctx.fillText(initials, icon.x + (size - ctx.measureText(initials).width) / 2, icon.y + 19);
+    }
+    ctx.strokeStyle = color;
+    ctx.strokeRect(icon.x, icon.y, size, size);
+    ctx.fillStyle = color;
+    ctx.fillRect(icon.x, icon.y + size - 3, size * Math.max(0, eff.time / eff.duration), 3);
+    ctx.font = '10px system-ui';
+    if (eff.stacks > 1) {
+      ctx.fillStyle = '#e6e6ea';
+      ctx.fillText(String(eff.stacks), icon.x + size - 8, icon.y + 10);
+    }
+    ctx.fillStyle = '#cfd3df';
+    const secs = `${Math.ceil(eff.time)}s`;
+    ctx.fillText(secs, icon.x + (size - ctx.measureText(secs).width) / 2, icon.y + size + 11);
+    if (pointerIn(icon)) hovered = eff;
+  });
+  if (hovered && !G.openOverlay && !G.talk) {
+    const color = hovered.def.kind === 'buff' ? '#8ae6a2' : '#ff7a59';
+    const stacks = hovered.stacks > 1 ? ` ×${hovered.stacks}` : '';
+    drawTooltip(ctx, `${hovered.name}${stacks}`, color, hovered.def.description, statusStatLines(hovered.def, hovered.stacks),
+      G.pointer.x - 230, G.pointer.y + 14);
+  }
+}
+
+/** Icon colour of an ability by effect. */
+const EFFECT_COLORS = {
+  damage: '#ff7a59',
+  heal: '#8ae6a2',
+  speed: '#6fb4ff',
+  attack: '#ffb347',
+  defence: '#cfd3df',
+  regen: '#7fe0c0',
+  strength: '#c58aff',
+  agility: '#c58aff',
+  charisma: '#c58aff'
+};
+
+/**
+ * Draw the ability hotbar: each slot shows its key, an icon and the
+ * ability name, dims when the player lacks the energy and is covered by a
+ * sweep that shrinks as the cooldown runs out. Hovering shows the details.
+ */
+function drawHotbar(ctx) {
+  const p = G.player;
+  let hovered = null;
+  G.buttons.forEach(b => {
+    const ab = p.abilities[b.slot];
+    ctx.fillStyle = 'rgba(20,22,34,0.85)';
+    ctx.fillRect(b.x, b.y, b.w, b.h);
+    ctx.strokeStyle = '#444';
+    ctx.strokeRect(b.x, b.y, b.w, b.h);
+    ctx.fillStyle = '#9aa0b0';
+    ctx.font = '11px system-ui';
+    ctx.fillText(String(b.slot + 1), b.x + 4, b.y + 12);
+    if (!ab) return;
+    const cx = b.x + b.w / 2;
+    const cy = b.y + b.h / 2;
+    if (!drawSprite(ctx, `ability:${ab.id}`, cx, cy, 32, 32)) {
+      ctx.fillStyle = EFFECT_COLORS[ab.effect] || '#cfd3df';
+      ctx.globalAlpha = p.energy < ab.cost ? 0.35 : 1;
+      ctx.beginPath(); ctx.arc(cx, cy, 13, 0, Math.PI * 2); ctx.fill();
+      ctx.globalAlpha = 1;
+    }
+    // Cooldown sweep: a dark wedge starting at twelve o'clock
+    const left = p.abilityCooldown[ab.id] || 0;
+    if (left > 0) {
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(b.x, b.y, b.w, b.h);
+      ctx.clip();
+      ctx.fillStyle = 'rgba(0,0,0,0.6)';
+      ctx.beginPath();
+      ctx.moveTo(cx, cy);
+      ctx.arc(cx, cy, b.w * 0.72, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * Math.min(1, left / ab.cooldown));
+      ctx.closePath();
+      ctx.fill();
+      ctx.restore();
+      ctx.fillStyle = '#e6e6ea';
+      ctx.font = '13px system-ui';
+      const secs = String(Math.ceil(left));
+      ctx.fillText(secs, cx - ctx.measureText(secs).width / 2, cy + 5);
+    }
+    // Name under the slot, shortened to its width
+    ctx.fillStyle = '#cfd3df';
+    ctx.font = '10px system-ui';
+    let name = ab.name;
+    while (name.length > 1 && ctx.measureText(name).width > b.w + 6) name = name.slice(0, -2) + '…';
+    ctx.fillText(name, cx - ctx.measureText(name).width / 2, b.y + b.h + 12);
+    if (pointerIn(b)) hovered = ab;
+  });
+  if (hovered && !G.openOverlay && !G.talk) {
+    drawTooltip(ctx, hovered.name, EFFECT_COLORS[hovered.effect], hovered.description, abilityStatLines(hovered), G.pointer.x + 14, G.pointer.y + 10);
+  }
+}
+
+/** Describe an ability's effect, targeting and costs as short lines for tooltips. */
+function abilityStatLines(ab) {
+  const lines = [];
+  if (ab.effect === 'damage') lines.push(`${ab.magnitude} damage`);
+  else if (ab.effect === 'heal') lines.push(`Heals ${ab.magnitude} HP`);
+  else lines.push(`${ab.effect} ${buffValue(ab.effect, ab.magnitude)} for ${ab.duration}s`);
+  if (ab.range > 0) lines.push(`Range ${ab.range}${ab.area > 0 ? ` · area ${ab.area}` : ''}`);
+  else if (ab.area > 0) lines.push(`Area ${ab.area} around you`);
+  const status = getStatus(ab.applies_status);
+  if (status) lines.push(`Applies ${status.name}`);
+  lines.push(`${ab.cost} energy · ${ab.cooldown}s cooldown`);
+  return lines;
 }
 
 /** Draw all transient messages at the top of the screen. */
@@ -722,9 +1366,12 @@ function drawOpenOverlay(ctx) {
   else if (G.openOverlay === 'inventory') drawInventoryOverlay(ctx);
   else if (G.openOverlay === 'status') drawStatusOverlay(ctx);
   else if (G.openOverlay === 'shop') drawShopOverlay(ctx);
+  else if (G.openOverlay === 'events') drawEventsOverlay(ctx);
+  else if (G.openOverlay === 'ending') drawEndingOverlay(ctx);
+  else if (G.openOverlay === 'saves') drawSavesOverlay(ctx);
 }
 
-/** Draw the quests overlay listing all quests, their status and current step. */
+/** Draw the quests overlay: available, active, completed and failed quests, each with what matters for it. */
 function drawQuestsOverlay(ctx) {
   const w = Math.min(420, G.screen.w - 40);
   const h = Math.min(500, G.screen.h - G.screen.safeBottom - 40);
@@ -738,51 +1385,134 @@ function drawQuestsOverlay(ctx) {
   ctx.font = '13px system-ui';
   let curY = y + 46;
   G.uiZones.overlay = [];
-  G.questsState.forEach((qs, index) => {
-    ctx.fillStyle = '#cfd3df';
-    const status = qs.status.replace('-', ' ');
-    ctx.fillText(`${qs.title} (${status})`, x + 16, curY);
+  // Quests locked by a story flag stay secret, like dialogue options
+  const groups = [
+    ['Available', G.questsState.filter(qs => qs.status === 'not-started' && !unmetConditions(qs.requires).includes(null))],
+    ['Active', G.questsState.filter(qs => qs.status === 'in-progress')],
+    ['Completed', G.questsState.filter(qs => qs.status === 'completed')],
+    ['Failed', G.questsState.filter(qs => qs.status === 'failed')]
+  ];
+  groups.forEach(([heading, list]) => {
+    if (list.length === 0) return;
+    ctx.fillStyle = '#ffd447';
+    ctx.fillText(heading, x + 16, curY);
     curY += 18;
-    if (qs.status === 'not-started') {
-      // Draw start button
-      const bw = 80, bh = 28;
-      const bx = x + 16;
-      const by = curY;
-      ctx.fillStyle = '#2a2f45';
-      ctx.fillRect(bx, by, bw, bh);
+    list.forEach(qs => {
       ctx.fillStyle = '#cfd3df';
-      ctx.fillText('Start', bx + 22, by + 18);
-      // Register zone
-      G.uiZones.overlay.push({ x: bx, y: by, w: bw, h: bh, on: () => startQuest(qs.id) });
-      curY += bh + 8;
-    } else {
-      // Show current step goal and NPC
-      const stepIdx = qs.currentStep;
-      const step = qs.steps[stepIdx];
-      if (step) {
-        ctx.fillStyle = '#9aa0b0';
-        ctx.fillText(`→ ${step.goal}`, x + 16, curY);
-        curY += 16;
-        const npcId = qs.stepAssignments[stepIdx];
-        const npcName = getNPCName(npcId);
-        ctx.fillText(`Deliver to: ${npcName}`, x + 16, curY);
+      ctx.fillText(qs.title, x + 16, curY);
+      if (qs.timeLeft !== null) {
+        ctx.fillStyle = qs.timeLeft < 30 ? '#ff8a8a' : '#9aa0b0';
+        ctx.fillText(`${Math.ceil(qs.timeLeft)}s left`, x + w - 90, curY);
+      }
+      curY += 18;
+      if (qs.status === 'not-started') curY = drawAvailableQuest(ctx, qs, x, curY, w);
+      else if (qs.status === 'in-progress') curY = drawActiveQuest(ctx, qs, x, curY, w);
+      else if (qs.ending) {
+        // Completed main quest: its ending can be read again
+        ctx.fillStyle = '#ffd447';
+        ctx.fillText(`Ending: ${qs.ending.title}`, x + 16, curY);
+        G.uiZones.overlay.push({ x: x + 16, y: curY - 14, w: w - 32, h: 20, on: () => {
+          G.ending = qs.ending;
+          G.openOverlay = 'ending';
+        }});
         curY += 20;
-        // Show required items list
-        if (step.requires_item_ids && step.requires_item_ids.length) {
-          ctx.fillText('Required items:', x + 16, curY);
-          curY += 16;
-          step.requires_item_ids.forEach(itemId => {
-            ctx.fillText(`• ${getItemName(itemId)}`, x + 24, curY);
-            curY += 14;
-          });
-        }
+      } else if (qs.failReason) {
+        ctx.fillStyle = '#9aa0b0';
+        ctx.fillText(`Failed: ${qs.failReason}`, x + 16, curY);
+        curY += 18;
       }
       curY += 8;
-    }
-    curY += 8;
+    });
   });
 }
 
+/**
+ * Draw a quest that has not been started: its rewards and time limit, then
+ * a Start button, or what it still needs while locked. Returns the next y.
+ */
+function drawAvailableQuest(ctx, qs, x, curY, w) {
+  ctx.fillStyle = '#9aa0b0';
+  const reward = describeRewards(qs.rewards);
+  if (reward) {
+    ctx.fillText(`Reward: ${reward}`, x + 16, curY);
+    curY += 16;
+  }
+  if (qs.timeLimit) {
+    ctx.fillText(`Time limit: ${qs.timeLimit}s`, x + 16, curY);
+    curY += 16;
+  }
+  const unmet = unmetConditions(qs.requires);
+  if (unmet.length > 0) {
+    ctx.fillText(`Needs ${unmet.join(', ')}`, x + 16, curY);
+    return curY + 18;
+  }
+  // Draw start button
+  const bw = 80, bh = 28;
+  const bx = x + 16;
+  const by = curY;
+  ctx.fillStyle = '#2a2f45';
+  ctx.fillRect(bx, by, bw, bh);
+  ctx.fillStyle = '#cfd3df';
+  ctx.fillText('Start', bx + 22, by + 18);
+  // Register zone
+  G.uiZones.overlay.push({ x: bx, y: by, w: bw, h: bh, on: () => startQuest(qs.id) });
+  return curY + bh + 8;
+}
+
+/**
+ * Draw a quest in progress: the current step's goal and objective, or the
+ * branches to choose from after a branching step. Returns the next y.
+ */
+function drawActiveQuest(ctx, qs, x, curY, w) {
+  const stepIdx = qs.currentStep;
+  const step = qs.steps[stepIdx];
+  ctx.fillStyle = '#9aa0b0';
+  ctx.fillText(`→ ${step.goal}`, x + 16, curY);
+  curY += 16;
+  if (qs.choices) {
+    // One button per branch of the step just completed
+    qs.choices.forEach(branch => {
+      ctx.fillStyle = '#2a2f45';
+      ctx.fillRect(x + 24, curY, w - 48, 26);
+      ctx.fillStyle = '#cfd3df';
+      ctx.fillText(branch.choice_text, x + 34, curY + 17);
+      G.uiZones.overlay.push({ x: x + 24, y: curY, w: w - 48, h: 26, on: () => chooseQuestBranch(qs, branch) });
+      curY += 30;
+    });
+    return curY;
+  }
+  // The step's objective with its progress counter
+  const objective = OBJECTIVES[step.objective.type];
+  const needed = objectiveNeeded(step);
+  const progress = Math.min(qs.progress, needed);
+  ctx.fillStyle = progress >= needed ? '#8ae6a2' : '#cfd3df';
+  ctx.fillText(`${objective ? objective.label(step, qs, stepIdx) : step.objective.type} (${progress}/${needed})`, x + 24, curY);
+  ctx.fillStyle = '#9aa0b0';
+  ctx.fillText(`Step ${stepIdx + 1}/${qs.steps.length}`, x + w - 90, curY);
+  curY += 20;
+  // Show required items list for deliveries
+  if (step.objective.type === 'deliver' && step.requires_item_ids.length) {
+    ctx.fillText('Required items:', x + 16, curY);
+    curY += 16;
+    step.requires_item_ids.forEach(itemId => {
+      ctx.fillText(`• ${getItemName(itemId)}`, x + 24, curY);
+      curY += 14;
+    });
+  }
+  return curY;
+}
+
+/** Short text of what a reward gives, e.g. "50 gold, 100 exp, Rope"; empty for none. */
+function describeRewards(rewards) {
+  if (!rewards) return '';
+  return [
+    rewards.gold > 0 && `${rewards.gold} gold`,
+    rewards.exp > 0 && `${rewards.exp} exp`,
+    ...(rewards.item_ids || []).map(getItemName),
+    ...(rewards.ability_ids || []).map(id => (abilitiesData.abilities || []).find(a => a.id === id)?.name).filter(Boolean)
+  ].filter(Boolean).join(', ');
+}
+
 /** Draw the inventory overlay showing equipped items and inventory list. */
 function drawInventoryOverlay(ctx) {
   const w = Math.min(380, G.screen.w - 40);
@@ -804,25 +1534,108 @@ function drawInventoryOverlay(ctx) {
     ctx.fillText(`${slot}: ${name}`, x + 24, curY);
     curY += 16;
   });
-  curY += 8;
+  ctx.fillStyle = '#9aa0b0';
+  ctx.fillText(`Attack ${playerAttack()} · Defence ${playerDefence()}`, x + 24, curY);
+  curY += 24;
   ctx.fillStyle = '#9aa0b0'; ctx.fillText('Items:', x + 16, curY);
   curY += 16;
   G.uiZones.overlay = [];
-  // List inventory items with click actions for equip/use
-  G.player.inventory.forEach((itemId, i) => {
-    const item = inventoryData.items.find(it => it.item_id === itemId);
+  let hovered = null;
+  // List inventory items, stacks of the same item on one line, with click
+  // actions for equip/use
+  const counts = new Map();
+  G.player.inventory.forEach(itemId => counts.set(itemId, (counts.get(itemId) || 0) + 1));
+  counts.forEach((count, itemId) => {
+    const item = getItem(itemId);
     const name = item ? item.name : itemId;
     const cat = item ? item.category : 'unknown';
-    ctx.fillStyle = '#cfd3df';
-    ctx.fillText(`${name} [${cat}]`, x + 24, curY);
+    const worn = Object.values(G.player.equipped).includes(itemId) ? ' (equipped)' : '';
+    const icon = drawSprite(ctx, `item:${itemId}`, x + 31, curY - 5, 14, 14);
+    ctx.fillStyle = item ? RARITY_COLORS[item.rarity] || '#cfd3df' : '#cfd3df';
+    ctx.fillText(`${name}${count > 1 ? ` ×${count}` : ''} [${cat}]${worn}`, x + (icon ? 44 : 24), curY);
     // Define zone for click: toggles equip/unequip or uses consumable
-    const lineHeight = 16;
-    G.uiZones.overlay.push({
-      x: x + 24, y: curY - 14, w: w - 48, h: lineHeight,
-      on: () => onInventoryItemClick(itemId)
-    });
+    const zone = { x: x + 24, y: curY - 14, w: w - 48, h: 16, on: () => onInventoryItemClick(itemId) };
+    G.uiZones.overlay.push(zone);
+    if (item && pointerIn(zone)) hovered = item;
     curY += 16;
   });
+  if (hovered) drawItemTooltip(ctx, hovered, G.pointer.x + 14, G.pointer.y + 10);
+}
+
+/** Whether the pointer is over a UI zone. */
+function pointerIn(zone) {
+  const { x, y } = G.pointer;
+  return x >= zone.x && x <= zone.x + zone.w && y >= zone.y && y <= zone.y + zone.h;
+}
+
+/** Describe an item's stats as short lines for tooltips. */
+function itemStatLines(item) {
+  const lines = [];
+  if (item.attack) lines.push(`Attack +${item.attack}`);
+  if (item.defence) lines.push(`Defence +${item.defence}`);
+  if (item.heal) lines.push(`Heals ${item.heal} HP`);
+  if (item.buff) {
+    const { type, magnitude, duration } = item.buff;
+    lines.push(`${type} ${buffValue(type, magnitude)} for ${duration}s`);
+  }
+  lines.push(`${item.rarity} · ${getItemPrice(item)}g${item.stackable ? ' · stackable' : ''}`);
+  return lines;
+}
+
+/** A buff's magnitude as players read it: speed as a percentage, regen per second. */
+function buffValue(type, magnitude) {
+  const sign = magnitude < 0 ? '' : '+';
+  if (type === 'speed') return `${sign}${Math.round(magnitude * 100)}%`;
+  if (type === 'regen') return `${magnitude} HP/s`;
+  return `${sign}${magnitude}`;
+}
+
+/** Describe what a status effect does at a number of stacks as short lines. */
+function statusStatLines(def, stacks = 1) {
+  const lines = [];
+  if (def.damage_per_second) lines.push(`${def.damage_per_second * stacks} damage/s`);
+  if (def.heal_per_second) lines.push(`Heals ${def.heal_per_second * stacks} HP/s`);
+  def.modifiers.forEach(m => lines.push(`${m.stat} ${buffValue(m.stat, m.value * stacks)}`));
+  const immune = def.immune_to.map(id => getStatus(id)?.name || id);
+  if (immune.length) lines.push(`Immune to ${immune.join(', ')}`);
+  if (def.max_stacks > 1) lines.push(`Stacks up to ${def.max_stacks}`);
+  return lines;
+}
+
+/** Draw a tooltip box with an item's name, description and stats, kept on screen. */
+function drawItemTooltip(ctx, item, px, py) {
+  drawTooltip(ctx, item.name, RARITY_COLORS[item.rarity], item.description, itemStatLines(item), px, py);
+}
+
+/** Draw a tooltip box with a coloured title, wrapped description and stat lines, kept on screen. */
+function drawTooltip(ctx, title, color, description, stats, px, py) {
+  const w = 220;
+  ctx.font = '12px system-ui';
+  const desc = [];
+  let line = '';
+  (description || '').split(' ').forEach(word => {
+    if (line && ctx.measureText(`${line} ${word}`).width > w - 16) {
+      desc.push(line);
+      line = word;
+    } else line = line ? `${line} ${word}` : word;
+  });
+  if (line) desc.push(line);
+  const h = 26 + (desc.length + stats.length) * 15 + 4;
+  const x = Math.min(px, G.screen.w - w - 4);
+  const y = Math.min(py, G.screen.h - h - 4);
+  ctx.fillStyle = 'rgba(10,11,18,0.95)';
+  ctx.fillRect(x, y, w, h);
+  ctx.strokeStyle = color || '#444';
+  ctx.strokeRect(x, y, w, h);
+  ctx.fillStyle = color || '#e6e6ea';
+  ctx.font = '13px system-ui';
+  ctx.fillText(title, x + 8, y + 18);
+  ctx.font = '12px system-ui';
+  let curY = y + 34;
+  ctx.fillStyle = '#9aa0b0';
+  desc.forEach(l => { ctx.fillText(l, x + 8, curY); curY += 15; });
+  ctx.fillStyle = '#cfd3df';
+  stats.forEach(l => { ctx.fillText(l, x + 8, curY); curY += 15; });
 }
 
 /** Draw the status overlay showing player's stats and active status effects. */
@@ -839,20 +1652,156 @@ function drawStatusOverlay(ctx) {
   ctx.fillStyle = '#cfd3df';
   ctx.fillText(`HP: ${Math.ceil(p.hp)}/${p.maxHp}`, x + 16, curY); curY += 16;
   ctx.fillText(`Gold: ${p.gold}`, x + 16, curY); curY += 16;
-  ctx.fillText(`Level: ${p.level}`, x + 16, curY); curY += 16;
+  ctx.fillText(`Level: ${p.level} (${p.exp}/${expToLevel(p.level)} exp)`, x + 16, curY); curY += 16;
+  ctx.fillText(`Attack: ${playerAttack()}  Defence: ${playerDefence()}`, x + 16, curY); curY += 16;
   ctx.fillText('Skills:', x + 16, curY); curY += 16;
   for (const s in p.skills) {
-    ctx.fillText(`• ${s}: ${p.skills[s].toFixed(2)}`, x + 24, curY);
+    ctx.fillText(`• ${s}: ${(p.skills[s] + effectTotal(s)).toFixed(2)}`, x + 24, curY);
     curY += 14;
   }
   curY += 8;
   ctx.fillText('Active Effects:', x + 16, curY); curY += 16;
   G.statusEffects.forEach(eff => {
-    ctx.fillText(`• ${eff.name} (${eff.time.toFixed(1)}s)`, x + 24, curY);
+    const stacks = eff.stacks > 1 ? ` ×${eff.stacks}` : '';
+    ctx.fillText(`• ${eff.name}${stacks} (${eff.time.toFixed(1)}s)`, x + 24, curY);
     curY += 14;
   });
 }
 
+/** Draw the ending reached by completing the main quest; any click closes it. */
+function drawEndingOverlay(ctx) {
+  const ending = G.ending;
+  if (!ending) return;
+  const w = Math.min(480, G.screen.w - 40);
+  const h = Math.min(300, G.screen.h - G.screen.safeBottom - 40);
+  const x = (G.screen.w - w) / 2;
+  const y = (G.screen.h - G.screen.safeBottom - h) / 2;
+  ctx.fillStyle = 'rgba(0,0,0,0.6)';
+  ctx.fillRect(0, 0, G.screen.w, G.screen.h);
+  ctx.fillStyle = '#1e2130';
+  ctx.fillRect(x, y, w, h);
+  ctx.strokeStyle = '#ffd447';
+  ctx.strokeRect(x, y, w, h);
+  ctx.fillStyle = '#9aa0b0';
+  ctx.font = '13px system-ui';
+  ctx.fillText(ending.quest, x + 20, y + 28);
+  ctx.fillStyle = '#ffd447';
+  ctx.font = '22px system-ui';
+  ctx.fillText(ending.title, x + 20, y + 58);
+  ctx.fillStyle = '#cfd3df';
+  ctx.font = '15px system-ui';
+  wrapText(ctx, ending.text, x + 20, y + 90, w - 40, 20);
+  ctx.fillStyle = '#9aa0b0';
+  ctx.font = '12px system-ui';
+  ctx.fillText('Click to continue', x + 20, y + h - 16);
+  G.uiZones.overlay = [];
+}
+
+/** Draw the banner of the event that started most recently, fading out at the end. */
+function drawEventBanner(ctx) {
+  const banner = G.banners[0];
+  if (!banner) return;
+  const w = Math.min(420, G.screen.w - 40);
+  const x = (G.screen.w - w) / 2;
+  const y = 12;
+  ctx.globalAlpha = Math.min(1, banner.time);
+  ctx.fillStyle = 'rgba(30,33,48,0.92)';
+  ctx.fillRect(x, y, w, 52);
+  ctx.strokeStyle = '#ffb347';
+  ctx.strokeRect(x, y, w, 52);
+  ctx.fillStyle = '#ffb347';
+  ctx.font = '15px system-ui';
+  ctx.fillText(banner.title, x + 12, y + 20);
+  ctx.fillStyle = '#cfd3df';
+  ctx.font = '12px system-ui';
+  let text = banner.text;
+  while (text.length > 1 && ctx.measureText(text).width > w - 24) text = text.slice(0, -2) + '…';
+  ctx.fillText(text, x + 12, y + 40);
+  ctx.globalAlpha = 1;
+}
+
+/** Clock time of the game as m:ss. */
+function formatTime(seconds) {
+  const s = Math.floor(seconds);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+/** Draw the events overlay: running events with their time left, then the log, newest first. */
+function drawEventsOverlay(ctx) {
+  const w = Math.min(420, G.screen.w - 40);
+  const h = Math.min(500, G.screen.h - G.screen.safeBottom - 40);
+  const x = (G.screen.w - w) / 2;
+  const y = (G.screen.h - G.screen.safeBottom - h) / 2;
+  ctx.fillStyle = '#1e2130';
+  ctx.fillRect(x, y, w, h);
+  ctx.fillStyle = '#e6e6ea';
+  ctx.font = '18px system-ui';
+  ctx.fillText('Events', x + 16, y + 24);
+  ctx.font = '13px system-ui';
+  G.uiZones.overlay = [];
+  let curY = y + 46;
+  const active = G.events.filter(ev => ev.status === 'active');
+  ctx.fillStyle = '#ffb347';
+  ctx.fillText(active.length ? 'Happening now:' : 'Nothing is happening right now.', x + 16, curY);
+  curY += 18;
+  active.forEach(ev => {
+    const zone = G.zones[ev.zoneIndex];
+    const left = ev.def.duration > 0 ? `${formatTime(ev.endsAt - G.time)} left` : 'lasting';
+    ctx.fillStyle = '#cfd3df';
+    ctx.fillText(`• ${ev.def.title}${zone ? ` (${zone.name})` : ''}, ${left}`, x + 24, curY);
+    curY += 16;
+  });
+  curY += 10;
+  ctx.fillStyle = '#9aa0b0';
+  for (let i = G.eventLog.length - 1; i >= 0 && curY < y + h - 10; i--) {
+    const entry = G.eventLog[i];
+    ctx.fillText(`[${formatTime(entry.time)}] ${entry.text}`, x + 16, curY);
+    curY += 16;
+  }
+}
+
+/**
+ * Draw the saves overlay: one row per slot with what it holds and Save and
+ * Load buttons (the autosave can only be loaded), then Export and Import.
+ */
+function drawSavesOverlay(ctx) {
+  const w = Math.min(420, G.screen.w - 40);
+  const h = Math.min(400, G.screen.h - G.screen.safeBottom - 40);
+  const x = (G.screen.w - w) / 2;
+  const y = (G.screen.h - G.screen.safeBottom - h) / 2;
+  ctx.fillStyle = '#1e2130';
+  ctx.fillRect(x, y, w, h);
+  ctx.fillStyle = '#e6e6ea';
+  ctx.font = '18px system-ui';
+  ctx.fillText('Saves', x + 16, y + 24);
+  ctx.font = '13px system-ui';
+  G.uiZones.overlay = [];
+  const button = (label, bx, by, on) => {
+    ctx.fillStyle = '#2a2f45';
+    ctx.fillRect(bx, by, 64, 26);
+    ctx.fillStyle = '#cfd3df';
+    ctx.fillText(label, bx + 12, by + 17);
+    G.uiZones.overlay.push({ x: bx, y: by, w: 64, h: 26, on });
+  };
+  let curY = y + 46;
+  G.saveSlots.forEach(({ slot, save, error }) => {
+    ctx.fillStyle = '#cfd3df';
+    ctx.fillText(slot === 'auto' ? 'Autosave' : `Slot ${slot}`, x + 16, curY + 12);
+    ctx.fillStyle = error ? '#ff8a8a' : '#9aa0b0';
+    let info = error || '(empty)';
+    if (save) info = `Level ${save.player.level} · ${new Date(save.savedAt).toLocaleString()}`;
+    ctx.fillText(info, x + 16, curY + 28);
+    if (slot !== 'auto') button('Save', x + w - 156, curY, () => saveGame(slot));
+    if (save) button('Load', x + w - 84, curY, () => loadGame(slot));
+    curY += 44;
+  });
+  curY += 8;
+  button('Export', x + 16, curY, exportGame);
+  button('Import', x + 88, curY, importGame);
+  ctx.fillStyle = '#9aa0b0';
+  ctx.fillText('The game autosaves whenever a quest step is completed.', x + 16, curY + 48);
+}
+
 /** Draw the shop overlay where player can buy random items. */
 function drawShopOverlay(ctx) {
   const w = Math.min(380, G.screen.w - 40);
@@ -869,19 +1818,19 @@ function drawShopOverlay(ctx) {
   // Show shop items (we generate new random stock on each open)
   if (!G.shopStock) initShopStock();
   G.uiZones.overlay = [];
+  let hovered = null;
   G.shopStock.forEach(item => {
     const price = getItemPrice(item);
     const affordable = G.player.gold >= price;
-    ctx.fillStyle = affordable ? '#cfd3df' : '#6b6f80';
+    ctx.fillStyle = affordable ? RARITY_COLORS[item.rarity] || '#cfd3df' : '#6b6f80';
     ctx.fillText(`${item.name} [${item.category}] - ${price}g`, x + 24, curY);
     // Click to purchase
-    const lineH = 16;
-    G.uiZones.overlay.push({
-      x: x + 24, y: curY - 14, w: w - 48, h: lineH,
-      on: () => purchaseItem(item)
-    });
+    const zone = { x: x + 24, y: curY - 14, w: w - 48, h: 16, on: () => purchaseItem(item) };
+    G.uiZones.overlay.push(zone);
+    if (pointerIn(zone)) hovered = item;
     curY += 16;
   });
+  if (hovered) drawItemTooltip(ctx, hovered, G.pointer.x + 14, G.pointer.y + 10);
 }
 
 /** Initialise shop stock with a random sample of items. */
@@ -895,7 +1844,9 @@ function initShopStock() {
 /** Handle purchasing an item from the shop. Deduct gold and add to inventory. */
 function purchaseItem(item) {
   const price = getItemPrice(item);
-  if (G.player.gold >= price) {
+  if (!item.stackable && G.player.inventory.includes(item.item_id)) {
+    addMessage(`You already have ${item.name}`);
+  } else if (G.player.gold >= price) {
     G.player.gold -= price;
     G.player.inventory.push(item.item_id);
     addMessage(`Bought ${item.name}`);
@@ -906,12 +1857,9 @@ function purchaseItem(item) {
   }
 }
 
-/** Get price for an item based on its category. */
+/** Shop price of an item in gold, after the price changes of active world events. */
 function getItemPrice(item) {
-  const cat = item.category;
-  if (cat === 'weapon' || cat === 'armor') return 30;
-  if (cat === 'quest') return 10;
-  return 20; // consumable or unknown
+  return Math.max(1, Math.round(item.price * eventPriceFactor()));
 }
 
 /** Add a transient message to the queue. */
@@ -926,9 +1874,14 @@ function getNPCName(npcId) {
   return name.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
 }
 
+/** Look up an item by id; null when the id is unknown. */
+function getItem(itemId) {
+  return inventoryData.items.find(it => it.item_id === itemId) || null;
+}
+
 /** Convert an item id to its display name. */
 function getItemName(itemId) {
-  const item = inventoryData.items.find(it => it.item_id === itemId);
+  const item = getItem(itemId);
   return item ? item.name : itemId;
 }
 
@@ -954,6 +1907,13 @@ function onKeyDown(e) {
   if (e.code === 'KeyQ') toggleOverlay('quests');
   if (e.code === 'KeyS') toggleOverlay('status');
   if (e.code === 'KeyP') toggleOverlay('shop');
+  if (e.code === 'KeyL') toggleOverlay('events');
+  if (e.code === 'KeyO') toggleOverlay('saves');
+  // Melee attack with the equipped weapon
+  if (e.code === 'Space') playerMelee();
+  // Zoom the view
+  if (e.code === 'Equal' || e.code === 'NumpadAdd') changeZoom(1);
+  if (e.code === 'Minus' || e.code === 'NumpadSubtract') changeZoom(-1);
 }
 
 /** Keyup event handler stops movement. */
@@ -971,6 +1931,20 @@ function toggleOverlay(name) {
   else G.openOverlay = name;
   // Refresh shop stock when opening shop
   if (G.openOverlay === 'shop') initShopStock();
+  if (G.openOverlay === 'saves') G.saveSlots = listSaves(currentWorldId());
+}
+
+/** Track the pointer for hover tooltips. */
+function onPointerMove(e) {
+  const rect = G.canvas.getBoundingClientRect();
+  G.pointer.x = e.clientX - rect.left;
+  G.pointer.y = e.clientY - rect.top;
+}
+
+/** The mouse wheel zooms the view. */
+function onWheel(e) {
+  e.preventDefault();
+  if (e.deltaY) changeZoom(e.deltaY < 0 ? 1 : -1);
 }
 
 /** Handle pointer down events for clicks and taps. */
@@ -1001,26 +1975,32 @@ function onPointerDown(e) {
       }
     }
     // Click outside talk overlay closes conversation
-    G.talk = null;
+    endTalk();
+    return;
+  }
+  // Hotbar slots
+  const slot = G.buttons.find(b => x >= b.x && x <= b.x + b.w && y >= b.y && y <= b.y + b.h);
+  if (slot) {
+    slot.on();
     return;
   }
+  // Everything below is in the world, so work in world coordinates
+  const at = screenToWorld(x, y);
   // If inside an interior, handle interior interactions
   if (G.inInterior) {
     // Determine interior door area
     const interior = G.currentInterior;
-    const intX = (G.screen.w - interior.width) / 2;
-    const intY = (G.screen.h - G.screen.safeBottom - interior.height) / 2;
     const doorW = interior.width * 0.2;
     const doorH = 10;
-    const doorX0 = intX + interior.width / 2 - doorW / 2;
-    const doorY0 = intY + interior.height - doorH;
-    if (x >= doorX0 && x <= doorX0 + doorW && y >= doorY0 && y <= doorY0 + doorH) {
+    const doorX0 = -doorW / 2;
+    const doorY0 = interior.height / 2 - doorH;
+    if (at.x >= doorX0 && at.x <= doorX0 + doorW && at.y >= doorY0 && at.y <= doorY0 + doorH) {
       // Exit interior when clicking door
       exitBuilding();
       return;
     }
     // Check click on interior NPC
-    const npc = pickNPCAt(x, y);
+    const npc = pickNPCAt(at.x, at.y);
     if (npc) {
       startTalk(npc);
       return;
@@ -1035,38 +2015,31 @@ function onPointerDown(e) {
     const dh = 10;
     const dx0 = b.doorX - dw / 2;
     const dy0 = b.doorY - dh;
-    if (x >= dx0 && x <= dx0 + dw && y >= dy0 && y <= dy0 + dh) {
+    if (at.x >= dx0 && at.x <= dx0 + dw && at.y >= dy0 && at.y <= dy0 + dh) {
       enterBuilding(b);
       return;
     }
   }
-  // Check NPC click in world: start talk if within range
-  const npc = pickNPCAt(x, y);
+  // Check NPC click in world: attack an enemy, otherwise start talk if within range
+  const npc = pickNPCAt(at.x, at.y);
   if (npc) {
-    startTalk(npc);
+    if (npc.hostile) playerMelee(npc);
+    else startTalk(npc);
     return;
   }
   // Otherwise close overlays
   G.openOverlay = null;
 }
 
-/** Find NPC at given coordinates (within 20px radius). */
+/**
+ * Find NPC at given world coordinates (within 20px radius); indoors these
+ * are the room's own coordinates, see drawInterior().
+ */
 function pickNPCAt(x, y) {
   if (G.inInterior) {
     // Check against the interior occupant
-    const interior = G.currentInterior;
-    if (interior) {
-      const intX = (G.screen.w - interior.width) / 2;
-      const intY = (G.screen.h - G.screen.safeBottom - interior.height) / 2;
-      const npc = interior.npc;
-      const npcScreenX = intX + interior.width / 2 + npc.x;
-      const npcScreenY = intY + interior.height / 2 + npc.y;
-      const dx = npcScreenX - x;
-      const dy = npcScreenY - y;
-      if (dx * dx + dy * dy < 20 * 20) {
-        return npc;
-      }
-    }
+    const npc = G.currentInterior?.npc;
+    if (npc && (npc.x - x) ** 2 + (npc.y - y) ** 2 < 20 * 20) return npc;
     return null;
   } else {
     for (const npc of G.npcs) {
@@ -1084,16 +2057,34 @@ function pickNPCAt(x, y) {
 function startTalk(npc) {
   if (!npc) return;
   const dialogue = dialoguesData.dialogues[npc.dialogueIndex];
-  if (!dialogue) return;
+  if (!dialogue) {
+    // Visitors brought by an event have no dialogue of their own
+    if (npc.visitor) addMessage(`The ${npc.kind} is here for the ${npc.visitor}.`);
+    return;
+  }
   G.talk = {
     npcId: npc.id,
     dialogueIndex: npc.dialogueIndex,
-    currentNode: dialogue.nodes[0],
+    currentNode: null,
   };
-  // If this node grants items immediately, grant them
-  if (G.talk.currentNode.grants_item_ids) {
-    grantItems(G.talk.currentNode.grants_item_ids);
-  }
+  enterNode(dialogue.nodes[0]);
+}
+
+/** End the conversation; having finished it counts for talk objectives. */
+function endTalk() {
+  const npc = G.talk && G.npcs.find(n => n.id === G.talk.npcId);
+  G.talk = null;
+  if (npc) questHappened('talk', npc);
+}
+
+/**
+ * Move the conversation to a node: grant its items and run its effects.
+ * An effect may end the conversation (e.g. by finishing the main quest).
+ */
+function enterNode(node) {
+  G.talk.currentNode = node;
+  if (node.grants_item_ids) grantItems(node.grants_item_ids);
+  runEffects(node.effects);
 }
 
 /** Grant items to player inventory with messages and gold rewards. */
@@ -1117,9 +2108,11 @@ function drawTalkOverlay(ctx) {
   const w = Math.min(460, G.screen.w - 40);
   let textHeight = 60;
   // Roughly calculate height based on text length
-  const textLines = Math.ceil(ctx.measureText(node.text).width / (w - 60));
+  const text = nodeText(node);
+  const options = talkOptions(dialogue, node);
+  const textLines = Math.ceil(ctx.measureText(text).width / (w - 60));
   textHeight += textLines * 18;
-  const optionCount = (node.options ? node.options.length : 0) + 1; // including deliver button maybe
+  const optionCount = options.length + 1; // including deliver button maybe
   const h = textHeight + optionCount * 46 + 60;
   const x = (G.screen.w - w) / 2;
   const y = G.screen.h - G.screen.safeBottom - h - 20;
@@ -1141,48 +2134,188 @@ function drawTalkOverlay(ctx) {
   ctx.fillRect(x + 14, y + 40, w - 28, textHeight);
   ctx.fillStyle = '#cfd3df';
   ctx.font = '14px system-ui';
-  wrapText(ctx, node.text, x + 24, y + 60, w - 48, 18);
+  wrapText(ctx, text, x + 24, y + 60, w - 48, 18);
   let oy = y + 40 + textHeight + 10;
   G.uiZones.talk = [];
-  // Dialogue options
-  if (node.options && node.options.length > 0) {
-    node.options.forEach(option => {
-      ctx.fillStyle = '#2a2f45'; ctx.fillRect(x + 14, oy, w - 28, 40);
-      ctx.fillStyle = '#cfd3df'; ctx.font = '16px system-ui';
-      ctx.fillText(option.choice_text, x + 26, oy + 26);
+  // Dialogue options the illusion tier and their conditions allow; options
+  // with unmet conditions may be shown disabled with what they need
+  if (options.length > 0) {
+    options.forEach(({ option, unmet }) => {
+      const disabled = unmet.length > 0;
+      ctx.fillStyle = disabled ? '#23263a' : '#2a2f45'; ctx.fillRect(x + 14, oy, w - 28, 40);
+      ctx.fillStyle = disabled ? '#6b7080' : '#cfd3df'; ctx.font = '16px system-ui';
+      ctx.fillText(option.choice_text, x + 26, oy + (disabled ? 20 : 26));
+      if (disabled) {
+        ctx.font = '11px system-ui';
+        ctx.fillText(`Needs ${unmet.join(', ')}`, x + 26, oy + 34);
+        G.uiZones.talk.push({ x: x + 14, y: oy, w: w - 28, h: 40, on: () => addMessage(`Needs ${unmet.join(', ')}`) });
+        oy += 46;
+        return;
+      }
       G.uiZones.talk.push({ x: x + 14, y: oy, w: w - 28, h: 40, on: () => {
-        // On option click: grant items, record tags and move to next node
+        // On option click: grant items, record tags, run effects and move to next node
         if (option.grants_item_ids) grantItems(option.grants_item_ids);
-        if (option.to_id) {
-          const next = dialogue.nodes.find(n => n.node_id === option.to_id);
-          if (next) {
-            G.talk.currentNode = next;
-            // Grant items for next node
-            if (next.grants_item_ids) grantItems(next.grants_item_ids);
-          }
-        } else {
-          // End talk
-          G.talk = null;
-        }
+        recordTags(option.tags, 1, `${dialogue.id}/${node.node_id}/${option.choice_text}`);
+        runEffects(option.effects);
+        if (!G.talk) return;
+        const next = option.to_id && dialogue.nodes.find(n => n.node_id === option.to_id);
+        if (next) enterNode(next);
+        else if (!option.to_id) endTalk();
       }});
       oy += 46;
     });
   }
   // Deliver items button if this NPC is assigned to any active quest step requiring delivery
-  const deliverInfo = getDeliverInfoForNPC(G.talk.npcId);
+  const npc = G.npcs.find(n => n.id === G.talk.npcId);
+  const deliverInfo = npc && getDeliverInfoForNPC(npc);
   if (deliverInfo) {
     ctx.fillStyle = '#2a2f45'; ctx.fillRect(x + 14, oy, w - 28, 40);
     ctx.fillStyle = '#cfd3df'; ctx.font = '16px system-ui';
     ctx.fillText('Deliver items', x + 26, oy + 26);
     G.uiZones.talk.push({ x: x + 14, y: oy, w: w - 28, h: 40, on: () => {
-      finishQuestStepsOnTalk(G.talk.npcId);
+      finishQuestStepsOnTalk(npc);
     }});
     oy += 46;
   }
   // Close button
   ctx.fillStyle = '#2a2f45'; ctx.fillRect(x + 14, oy, w - 28, 40);
   ctx.fillStyle = '#cfd3df'; ctx.fillText('Close', x + 26, oy + 26);
-  G.uiZones.talk.push({ x: x + 14, y: oy, w: w - 28, h: 40, on: () => { G.talk = null; } });
+  G.uiZones.talk.push({ x: x + 14, y: oy, w: w - 28, h: 40, on: endTalk });
+}
+
+/**
+ * Whether the illusion tier lets a dialogue node or option through its
+ * optional `min_tier`/`max_tier` gate.
+ */
+function tierAllows(entry) {
+  const tier = illusion.tier();
+  return (entry.min_tier ?? 0) <= tier && tier <= (entry.max_tier ?? 1);
+}
+
+/**
+ * Options of a dialogue node to show, as `{ option, unmet }` where `unmet`
+ * describes the failed conditions of a disabled option. An option is left
+ * out when its own tier gate or that of the node it leads to is closed, or
+ * when the conditions of either fail, unless it says `when_unmet: "disable"`
+ * and every failed condition is one the player can work towards (see
+ * CONDITIONS). The first node of a dialogue is always shown.
+ */
+function talkOptions(dialogue, node) {
+  return (node.options || []).flatMap(option => {
+    const next = option.to_id && dialogue.nodes.find(n => n.node_id === option.to_id);
+    if (!tierAllows(option) || (next && !tierAllows(next))) return [];
+    const unmet = [...unmetConditions(option.requires), ...(next ? unmetConditions(next.requires) : [])];
+    if (unmet.length > 0 && (option.when_unmet !== 'disable' || unmet.includes(null))) return [];
+    return [{ option, unmet }];
+  });
+}
+
+/**
+ * Conditions a dialogue node or option or a quest can require (its
+ * `requires`), by key: `test` checks the player against the value and
+ * `describe` names what a disabled option or locked quest still needs.
+ * Story flags have no description: options and quests failing them are
+ * always hidden.
+ */
+const CONDITIONS = {
+  item: { test: id => G.player.inventory.includes(id), describe: id => getItemName(id) },
+  quest_step: {
+    test: ({ quest_id, step }) => questReached(quest_id, step),
+    describe: ({ quest_id, step }) => {
+      const qs = G.questsState.find(q => q.id === quest_id);
+      if (!qs) return 'an unknown quest';
+      return step >= qs.steps.length ? `${qs.title} finished` : `${qs.title}: ${qs.steps[step].goal}`;
+    }
+  },
+  skill: {
+    test: ({ name, min }) => (G.player.skills[name] || 0) + effectTotal(name) >= min,
+    describe: ({ name, min }) => `${name} ${min}`
+  },
+  flag: { test: flag => Boolean(G.flags[flag]), describe: () => null },
+  not_flag: { test: flag => !G.flags[flag], describe: () => null },
+  gold: { test: gold => G.player.gold >= gold, describe: gold => `${gold} gold` },
+  level: { test: level => G.player.level >= level, describe: level => `level ${level}` },
+  quests_done: {
+    test: ids => ids.every(id => G.questsState.some(q => q.id === id && q.status === 'completed')),
+    describe: ids => ids.map(id => `${G.questsState.find(q => q.id === id)?.title || 'an unknown quest'} done`).join(', ')
+  }
+};
+
+/** Descriptions (null for flags) of the conditions in `requires` the player fails; unknown keys are ignored. */
+function unmetConditions(requires) {
+  return Object.entries(requires || {})
+    .filter(([key, value]) => CONDITIONS[key] && !CONDITIONS[key].test(value))
+    .map(([key, value]) => CONDITIONS[key].describe(value));
+}
+
+/** Whether conditions that say when something happens hold; having none known means never. */
+function conditionsHold(conditions) {
+  return Object.keys(conditions || {}).some(key => CONDITIONS[key]) && unmetConditions(conditions).length === 0;
+}
+
+/**
+ * Whether a quest has been started and reached a step; a completed quest
+ * has reached every step, including `steps.length` which means finished.
+ */
+function questReached(questId, step) {
+  const qs = G.questsState.find(q => q.id === questId);
+  if (!qs || qs.status === 'not-started') return false;
+  return qs.status === 'completed' || qs.currentStep >= step;
+}
+
+/**
+ * What dialogue effects do, by `type`. Effects only touch game state
+ * through these, so a dialogue can do nothing else; unknown types are
+ * ignored.
+ */
+const DIALOGUE_EFFECTS = {
+  start_quest: effect => startQuest(effect.quest_id),
+  complete_step: effect => {
+    const qs = G.questsState.find(q => q.id === effect.quest_id);
+    // Only the step it names, so repeating the option or node does nothing more
+    if (qs && qs.status === 'in-progress' && qs.currentStep === effect.step) completeQuestStep(qs);
+  },
+  take_item: effect => {
+    const idx = G.player.inventory.indexOf(effect.item_id);
+    if (idx < 0) return;
+    G.player.inventory.splice(idx, 1);
+    addMessage(`Handed over ${getItemName(effect.item_id)}`);
+  },
+  give_gold: effect => {
+    const amount = Math.max(-G.player.gold, Math.round(effect.amount || 0));
+    if (amount === 0) return;
+    G.player.gold += amount;
+    addMessage(amount > 0 ? `Received ${amount} gold` : `Paid ${-amount} gold`);
+  },
+  set_flag: effect => { G.flags[effect.flag] = true; },
+  apply_status: effect => applyStatus(G.player, effect.status_id)
+};
+
+/** Run dialogue effects in order. */
+function runEffects(effects) {
+  (effects || []).forEach(effect => DIALOGUE_EFFECTS[effect.type]?.(effect));
+}
+
+/** Text of a node at the current tier: the `tier_text` entry with the highest `min_tier` reached, else `text`. */
+function nodeText(node) {
+  const tier = illusion.tier();
+  const variant = (node.tier_text || []).filter(v => v.min_tier <= tier).sort((a, b) => b.min_tier - a.min_tier)[0];
+  return variant ? variant.text : node.text;
+}
+
+/**
+ * Record the tags of a chosen option with the illusion tracker; only
+ * `demiurge_affinity` and `resistance` move it. With a `source` the tags
+ * count once per game, so repeating an option does not push further. A
+ * change of tier is hinted at with a message.
+ */
+function recordTags(tags, weight = 1, source = null) {
+  if (!tags?.length || (source !== null && !illusion.firstTime(source))) return;
+  const before = illusion.tier();
+  (tags || []).forEach(tag => illusion.record(tag, weight));
+  const after = illusion.tier();
+  if (after > before) addMessage('The world feels warmer, more certain');
+  else if (after < before) addMessage('For a moment the world looks thin');
 }
 
 /** Word-wrap helper. */
@@ -1203,47 +2336,635 @@ function wrapText(ctx, text, x, y, maxWidth, lineHeight) {
   ctx.fillText(line, x, y);
 }
 
-/** Activate an ability by index. Applies effects and sets cooldowns. */
+/**
+ * Activate an ability by hotbar index. Its definition decides everything:
+ * damage hits the hostiles it targets (see abilityTargets), heal restores
+ * HP and any other effect is a timed buff on the player. The ability's
+ * status, if any, goes to whatever it affected. Nothing is spent while the
+ * ability is cooling down, unaffordable or has no target.
+ */
 function activateAbility(idx) {
-  const ab = G.player.abilities[idx];
+  const p = G.player;
+  const ab = p.abilities[idx];
   if (!ab) return;
-  if (G.player.abilityCooldown[ab.id] > 0) {
+  if (p.abilityCooldown[ab.id] > 0) {
     addMessage(`${ab.name} is on cooldown`);
     return;
   }
-  // Example ability effects: heal, speed boost, strength buff, random effect
-  if (/heal/i.test(ab.name) || /potion/i.test(ab.name)) {
-    healPlayer(25);
-  } else if (/speed/i.test(ab.name)) {
-    G.statusEffects.push({ name: ab.name, type: 'speed', value: 0.5, time: 10 });
-  } else if (/strength/i.test(ab.name)) {
-    G.statusEffects.push({ name: ab.name, type: 'strength', value: 0.5, time: 10 });
+  if (p.energy < ab.cost) {
+    addMessage(`Not enough energy for ${ab.name}`);
+    return;
+  }
+  if (ab.effect === 'damage') {
+    const targets = abilityTargets(ab);
+    if (targets.length === 0) {
+      addMessage(`No target in range for ${ab.name}`);
+      return;
+    }
+    targets.forEach(npc => {
+      damageNPC(npc, ab.magnitude);
+      if (ab.applies_status) applyStatus(npc, ab.applies_status);
+    });
   } else {
-    // Random buff
-    const types = ['speed', 'strength'];
-    const type = types[Math.floor(Math.random() * types.length)];
-    G.statusEffects.push({ name: ab.name, type, value: 0.3, time: 10 });
+    if (ab.effect === 'heal') healPlayer(ab.magnitude);
+    else applyStatus(p, buffStatus(`ability:${ab.id}`, ab.name, ab.effect, ab.magnitude, ab.duration));
+    if (ab.applies_status) applyStatus(p, ab.applies_status);
   }
-  G.player.abilityCooldown[ab.id] = 30; // 30s cooldown
+  p.energy -= ab.cost;
+  p.abilityCooldown[ab.id] = ab.cooldown;
   addMessage(`Used ability: ${ab.name}`);
 }
 
+/**
+ * Hostile NPCs an offensive ability hits. With a range it aims at the
+ * nearest hostile within range and also hits those within `area` of it;
+ * without one it hits every hostile within `area` of the player. Nothing
+ * is hit indoors.
+ */
+function abilityTargets(ab) {
+  if (G.inInterior) return [];
+  const p = G.player;
+  const hostiles = G.npcs.filter(npc => npc.hostile);
+  const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+  let centre = p;
+  if (ab.range > 0) {
+    const inRange = hostiles.filter(npc => dist(npc, p) <= ab.range).sort((a, b) => dist(a, p) - dist(b, p));
+    if (inRange.length === 0) return [];
+    centre = inRange[0];
+    if (ab.area <= 0) return [centre];
+  }
+  return hostiles.filter(npc => dist(npc, centre) <= ab.area);
+}
+
+/**
+ * Damage an NPC; one brought to zero HP is defeated and leaves the world.
+ * A defeated enemy gives its experience and may drop loot.
+ */
+function damageNPC(npc, amount) {
+  if (!G.npcs.includes(npc)) return;
+  npc.hp = (npc.hp ?? npc.maxHp ?? amount) - amount;
+  if (npc.hp > 0) return;
+  G.npcs = G.npcs.filter(n => n !== npc);
+  addMessage(`${npc.dialogueIndex >= 0 ? getNPCName(npc.id) : `The ${npc.kind}`} was defeated`);
+  if (npc.hostile) {
+    if (npc.exp > 0) gainExp(npc.exp);
+    dropLoot(npc);
+  }
+  questHappened('defeat', npc);
+}
+
+/**
+ * Enemy stats in the first zone; each later zone adds ENEMY_SCALING of
+ * them. Enemies chase a player within `sight` and hit once their body is
+ * within `reach` of the player's, every `cooldown` seconds.
+ */
+const ENEMY_STATS = { hp: 30, attack: 6, exp: 15, speed: 70, sight: 180, reach: 8, cooldown: 1.2 };
+const ENEMY_SCALING = 0.25;
+/** Enemies roaming each zone but the one the player starts in. */
+const ENEMIES_PER_ZONE = 2;
+/** Seconds before an enemy missing from a zone is replaced. */
+const ENEMY_RESPAWN = 45;
+// Hitbox radii of the player's and NPCs' bodies, as drawn
+const PLAYER_RADIUS = 16;
+const NPC_RADIUS = 14;
+/** Player melee: how far the swing reaches past the body and seconds between swings. */
+const MELEE_REACH = 24;
+const MELEE_COOLDOWN = 0.5;
+/** Chance a defeated enemy drops an item, and how often each rarity is picked. */
+const LOOT_CHANCE = 0.5;
+const LOOT_WEIGHTS = { common: 10, uncommon: 5, rare: 2, epic: 1, legendary: 0.25 };
+
+/**
+ * NPC kinds that are enemies: world_spec's hostile_kinds or, for worlds
+ * generated before it existed, the kinds their defeat objectives name.
+ */
+function hostileKinds() {
+  const kinds = worldSpec.hostile_kinds ?? questsData.quests.flatMap(q => q.steps)
+    .filter(step => step.objective.type === 'defeat').map(step => step.objective.npc_kind);
+  return [...new Set(kinds.filter(Boolean))];
+}
+
+/** Whether NPCs of a kind are enemies. */
+function isHostileKind(kind) {
+  return hostileKinds().some(k => isKind({ kind }, k));
+}
+
+/** Combat stats of an enemy in a zone; merged into an NPC to make it hostile. */
+function enemyStats(zoneIndex) {
+  const scale = 1 + ENEMY_SCALING * Math.max(0, zoneIndex);
+  const hp = Math.round(ENEMY_STATS.hp * scale);
+  return {
+    hostile: true,
+    hp,
+    maxHp: hp,
+    attack: Math.round(ENEMY_STATS.attack * scale),
+    exp: Math.round(ENEMY_STATS.exp * scale),
+    attackCooldown: 0,
+  };
+}
+
+/**
+ * Plan which enemies roam each zone and send them out. A zone gets the
+ * hostile kinds whose world_spec NPCs live there, or else all of them in
+ * turn; the zone the player starts in stays safe. The NPCs of those kinds
+ * themselves stay peaceful and can be talked to.
+ */
+function initEnemies() {
+  const kinds = hostileKinds();
+  const spawn = tileCenter(...G.map.spawn);
+  const safe = tileAt(spawn.x, spawn.y)?.zoneIndex;
+  G.enemyPlan = G.zones.map((zone, zi) => {
+    if (zi === safe || kinds.length === 0) return [];
+    const local = kinds.filter(k => (worldSpec.npcs || []).some(n => n.home_zone === zone.id && isKind(n, k)));
+    const pool = local.length > 0 ? local : kinds;
+    return Array.from({ length: ENEMIES_PER_ZONE }, (_, i) => pool[(zi + i) % pool.length]);
+  });
+  G.respawnTimers = G.zones.map(() => null);
+  G.enemyPlan.forEach((plan, zi) => plan.forEach((kind, i) => spawnEnemy(kind, zi, i)));
+}
+
+/** Put an enemy of a kind in a zone, out of the player's sight where possible. */
+function spawnEnemy(kind, zoneIndex, variant) {
+  let spot = randomOpenSpot(zoneIndex);
+  for (let tries = 0; tries < 5 && Math.hypot(spot.x - G.player.x, spot.y - G.player.y) < ENEMY_STATS.sight; tries++) {
+    spot = randomOpenSpot(zoneIndex);
+  }
+  G.npcs.push({
+    id: `enemy_${zoneIndex + 1}_${Math.random().toString(36).slice(2, 8)}`,
+    kind,
+    variant,
+    dialogueIndex: -1,
+    // Counted against the zone's enemy plan, unlike enemies brought by events
+    roaming: true,
+    x: spot.x,
+    y: spot.y,
+    zoneIndex,
+    color: '#e0553a',
+    skill: 'strength',
+    difficulty: 0.5,
+    dx: 0,
+    dy: 0,
+    ...enemyStats(zoneIndex),
+  });
+}
+
+/** Keep every zone at its enemy plan, replacing a missing enemy ENEMY_RESPAWN seconds after it went. */
+function respawnEnemies(dt) {
+  G.enemyPlan.forEach((plan, zi) => {
+    const count = G.npcs.filter(n => n.roaming && n.zoneIndex === zi).length;
+    if (count >= plan.length) {
+      G.respawnTimers[zi] = null;
+      return;
+    }
+    G.respawnTimers[zi] = (G.respawnTimers[zi] ?? ENEMY_RESPAWN) - dt;
+    if (G.respawnTimers[zi] > 0) return;
+    G.respawnTimers[zi] = null;
+    spawnEnemy(plan[count], zi, count);
+  });
+}
+
+/**
+ * Chase and attack: an enemy that sees the player heads for them and,
+ * once within reach, stands and hits them through damagePlayer(). Returns
+ * whether it is after the player; if not it wanders like anyone else.
+ * Like every NPC it never leaves its home zone, so the player can get away.
+ */
+function steerEnemy(npc, dt) {
+  npc.attackCooldown = Math.max(0, (npc.attackCooldown || 0) - dt);
+  const p = G.player;
+  const dx = p.x - npc.x;
+  const dy = p.y - npc.y;
+  const dist = Math.hypot(dx, dy);
+  if (dist > ENEMY_STATS.sight) return false;
+  if (dist > PLAYER_RADIUS + NPC_RADIUS + ENEMY_STATS.reach) {
+    npc.dx = (dx / dist) * ENEMY_STATS.speed;
+    npc.dy = (dy / dist) * ENEMY_STATS.speed;
+    return true;
+  }
+  npc.dx = 0;
+  npc.dy = 0;
+  if (npc.attackCooldown === 0) {
+    npc.attackCooldown = ENEMY_STATS.cooldown;
+    damagePlayer(npc.attack);
+  }
+  return true;
+}
+
+/**
+ * Swing the equipped weapon, or bare fists, the way the player faces or
+ * at a clicked `target`. Every enemy whose body touches the swing's
+ * hitbox takes the player's attack (see playerAttack). Outdoors only.
+ */
+function playerMelee(target = null) {
+  const p = G.player;
+  if (G.inInterior || G.melee.cooldown > 0) return;
+  if (target) p.facing = { x: target.x - p.x, y: target.y - p.y };
+  const len = Math.hypot(p.facing.x, p.facing.y) || 1;
+  const x = p.x + (p.facing.x / len) * (PLAYER_RADIUS + MELEE_REACH / 2);
+  const y = p.y + (p.facing.y / len) * (PLAYER_RADIUS + MELEE_REACH / 2);
+  G.melee = { x, y, cooldown: MELEE_COOLDOWN, swing: 0.15 };
+  G.npcs.filter(npc => npc.hostile && Math.hypot(npc.x - x, npc.y - y) < MELEE_REACH + NPC_RADIUS)
+    .forEach(npc => damageNPC(npc, playerAttack()));
+}
+
+/** Maybe leave an item where an enemy fell, drawn from the world's items with rarer ones less likely. */
+function dropLoot(npc) {
+  const pool = (inventoryData.items || []).filter(item => item.category !== 'quest');
+  if (pool.length === 0 || Math.random() >= LOOT_CHANCE) return;
+  const weight = item => LOOT_WEIGHTS[item.rarity] ?? 1;
+  let roll = Math.random() * pool.reduce((sum, item) => sum + weight(item), 0);
+  const item = pool.find(i => (roll -= weight(i)) < 0) || pool[pool.length - 1];
+  G.objects.push({ itemId: item.item_id, loot: true, x: npc.x, y: npc.y });
+}
+
+/** Status effect definition by id from status_effects.json, or null. */
+function getStatus(id) {
+  return (statusData.status_effects || []).find(st => st.id === id) || null;
+}
+
+/**
+ * Active status effects of the player or an NPC. Each entry is
+ * `{ id, name, def, time, duration, stacks }` where `def` is the definition
+ * it was applied from and `time` the seconds left of `duration`.
+ */
+function statusList(target) {
+  return target === G.player ? G.statusEffects : (target.statusEffects ||= []);
+}
+
+/**
+ * A timed buff from an item or ability as a status definition, so it runs
+ * through the same engine: regen heals over time, any other type is a stat
+ * modifier. Using the same source again refreshes it.
+ */
+function buffStatus(id, name, type, magnitude, duration) {
+  const effect = type === 'regen' ? { heal_per_second: magnitude } : { modifiers: [{ stat: type, value: magnitude }] };
+  return { ...STATUS_DEFAULTS, id, name, kind: 'buff', duration, ...effect };
+}
+
+/**
+ * Apply a status effect, given by id from status_effects.json or as a
+ * definition, to the player or an NPC. It does not take hold while an
+ * active effect is immune to it. Applied again while active it follows
+ * its stacking rule: `refresh` restarts the timer, `stack` also adds a
+ * stack up to `max_stacks` and `extend` adds its duration to the time
+ * left. A new effect removes the active effects it is immune to. Returns
+ * whether the effect was applied.
+ */
+function applyStatus(target, idOrDef) {
+  const def = typeof idOrDef === 'string' ? getStatus(idOrDef) : idOrDef;
+  if (!def) return false;
+  const list = statusList(target);
+  const isPlayer = target === G.player;
+  const ward = list.find(eff => eff.def.immune_to.includes(def.id));
+  if (ward) {
+    if (isPlayer) addMessage(`${ward.name} protects you from ${def.name}`);
+    return false;
+  }
+  const active = list.find(eff => eff.id === def.id);
+  if (active) {
+    if (def.stacking === 'extend') active.time += def.duration;
+    else active.time = def.duration;
+    if (def.stacking === 'stack') active.stacks = Math.min(def.max_stacks, active.stacks + 1);
+    active.duration = Math.max(active.duration, active.time);
+    return true;
+  }
+  for (let i = list.length - 1; i >= 0; i--) {
+    if (!def.immune_to.includes(list[i].id)) continue;
+    if (isPlayer) addMessage(`${def.name} removed ${list[i].name}`);
+    list.splice(i, 1);
+  }
+  list.push({ id: def.id, name: def.name, def, time: def.duration, duration: def.duration, stacks: 1 });
+  return true;
+}
+
+/**
+ * Advance the status effects of the player or an NPC by `dt` seconds:
+ * deal their damage and healing over time (times their stacks, only for
+ * the time they had left) and drop the ones that expired.
+ */
+function tickStatusEffects(target, dt) {
+  const list = statusList(target);
+  if (list.length === 0) return;
+  const isPlayer = target === G.player;
+  let damage = 0;
+  let heal = 0;
+  list.forEach(eff => {
+    const secs = Math.min(dt, eff.time);
+    damage += eff.def.damage_per_second * eff.stacks * secs;
+    heal += eff.def.heal_per_second * eff.stacks * secs;
+    eff.time -= dt;
+  });
+  for (let i = list.length - 1; i >= 0; i--) {
+    if (list[i].time > 0) continue;
+    if (isPlayer) addMessage(`${list[i].name} wore off`);
+    list.splice(i, 1);
+  }
+  if (isPlayer) {
+    target.hp = Math.min(target.maxHp, target.hp + heal - damage);
+    if (target.hp <= 0) faint();
+  } else if (target.hp !== undefined) {
+    target.hp = Math.min(target.maxHp ?? Infinity, target.hp + heal);
+    if (damage > 0) damageNPC(target, damage);
+  }
+}
+
+/**
+ * Move speed multiplier from the speed modifiers of the active status
+ * effects. They multiply rather than add so that a stun (-1) stops the
+ * target whatever else is speeding it up.
+ */
+function speedFactor(target) {
+  return statusList(target).reduce((factor, eff) =>
+    eff.def.modifiers.reduce((f, m) => (m.stat === 'speed' ? f * Math.max(0, 1 + m.value * eff.stacks) : f), factor), 1);
+}
+
+/** Sum of one stat's modifiers over the active status effects of the player or an NPC, times their stacks. */
+function effectTotal(stat, target = G.player) {
+  return statusList(target).reduce((sum, eff) =>
+    sum + eff.stacks * eff.def.modifiers.reduce((s, m) => s + (m.stat === stat ? m.value : 0), 0), 0);
+}
+
 /** Heal the player and clamp HP to max. */
 function healPlayer(amount) {
   G.player.hp = Math.min(G.player.maxHp, G.player.hp + amount);
   addMessage(`Healed ${amount} HP`);
 }
 
-/** Damage the player. If HP falls to zero, faint and respawn. */
+/** Damage the player, less their defence. If HP falls to zero, faint and respawn. */
 function damagePlayer(amount) {
-  G.player.hp -= amount;
-  if (G.player.hp <= 0) {
-    G.player.hp = G.player.maxHp;
-    G.player.x = G.screen.w / 2;
-    G.player.y = G.screen.h / 2;
-    G.player.gold = Math.max(0, G.player.gold - 10);
-    addMessage('You fainted! Lost some gold.');
+  G.player.hp -= Math.max(1, Math.round(amount - playerDefence()));
+  if (G.player.hp <= 0) faint();
+}
+
+/** Recover from fainting: full HP, no status effects, back at the spawn and some gold lost. */
+function faint() {
+  G.player.hp = G.player.maxHp;
+  G.statusEffects = [];
+  exitBuilding();
+  const spawn = tileCenter(...G.map.spawn);
+  G.player.x = spawn.x;
+  G.player.y = spawn.y;
+  updateCamera(0, true);
+  G.player.gold = Math.max(0, G.player.gold - 10);
+  addMessage('You fainted! Lost some gold.');
+}
+
+/** Runtime state for every event: it waits for its trigger, runs and is then over. */
+function initEvents() {
+  G.events = eventsData.events.map(def => ({
+    def,
+    zoneIndex: zoneIndexOf(def.location),
+    status: 'pending',
+    endsAt: 0,
+    undo: [],
+    // Seconds until the event's zone statuses are next applied
+    tick: 0
+  }));
+  G.eventLog = [];
+  G.banners = [];
+}
+
+/** Zone the player is walking in, or -1 indoors and off the map. */
+function playerZoneIndex() {
+  if (G.inInterior) return -1;
+  return tileAt(G.player.x, G.player.y)?.zoneIndex ?? -1;
+}
+
+/**
+ * Start events whose trigger fired, end those whose time is up and keep
+ * applying the zone statuses of the running ones once a second.
+ */
+function updateEvents(dt) {
+  G.events.forEach(ev => {
+    if (ev.status === 'pending') {
+      if (eventTriggered(ev)) startEvent(ev);
+      return;
+    }
+    if (ev.status !== 'active') return;
+    if (ev.def.duration > 0 && G.time >= ev.endsAt) {
+      endEvent(ev);
+      return;
+    }
+    ev.tick -= dt;
+    if (ev.tick > 0) return;
+    ev.tick = 1;
+    if (ev.zoneIndex < 0 || playerZoneIndex() !== ev.zoneIndex) return;
+    ev.def.effects.filter(e => e.type === 'zone_status').forEach(e => applyStatus(G.player, e.status_id));
+  });
+  // Banners are shown one at a time
+  if (G.banners.length > 0 && (G.banners[0].time -= dt) <= 0) G.banners.shift();
+}
+
+/**
+ * Whether a pending event's trigger has fired: a moment of game time, the
+ * player entering the event's zone, or a quest step being completed.
+ */
+function eventTriggered(ev) {
+  const trigger = ev.def.trigger;
+  if (trigger.type === 'time') return G.time >= (trigger.at || 0);
+  if (trigger.type === 'enter_zone') return ev.zoneIndex >= 0 && playerZoneIndex() === ev.zoneIndex;
+  if (trigger.type === 'quest_step') {
+    const qs = G.questsState.find(q => q.id === trigger.quest_id);
+    return Boolean(qs) && (qs.status === 'completed' || (qs.status === 'in-progress' && qs.currentStep > (trigger.step || 0)));
+  }
+  return false;
+}
+
+/**
+ * Apply the effects of an event that was running when the game was saved
+ * to the freshly set up world, without its banner and log entry. Things it
+ * spawned come back with the save, so they are not spawned again.
+ */
+function resumeEvent(ev) {
+  ev.undo = ev.def.effects.map(effect => EVENT_EFFECTS[effect.type]?.(ev, effect, true)).filter(Boolean);
+}
+
+/** Start an event: apply its effects, show its banner and log it. */
+function startEvent(ev) {
+  ev.status = 'active';
+  ev.endsAt = G.time + ev.def.duration;
+  ev.undo = ev.def.effects.map(effect => EVENT_EFFECTS[effect.type]?.(ev, effect)).filter(Boolean);
+  const zone = G.zones[ev.zoneIndex];
+  G.banners.push({ title: ev.def.title, text: ev.def.description, time: 6 });
+  logEvent(`${ev.def.title} began${zone ? ` in ${zone.name}` : ''}`);
+}
+
+/** End a running event and undo its effects. */
+function endEvent(ev) {
+  ev.status = 'over';
+  ev.undo.reverse().forEach(undo => undo());
+  ev.undo = [];
+  logEvent(`${ev.def.title} ended`);
+  addMessage(`${ev.def.title} is over`);
+}
+
+function logEvent(text) {
+  G.eventLog.push({ time: G.time, text });
+}
+
+/**
+ * What each event effect does when its event starts. Each returns a
+ * function that undoes it when the event ends, or nothing. Shop prices and
+ * zone statuses are read from the running events instead (see
+ * eventPriceFactor and updateEvents). When `resumed` (see resumeEvent)
+ * spawns only return their undo: what they spawned is tagged with the
+ * event's id and restored from the save.
+ */
+const EVENT_EFFECTS = {
+  block_path: (ev, effect) => changeTiles(roadSite(ev.zoneIndex), effect.radius || 2, terrainChar(blockTerrain(ev.zoneIndex)), t => !t.solid),
+  open_path: (ev, effect) => changeTiles(roadSite(ev.zoneIndex), effect.radius || 2, terrainChar('path'), t => t.solid),
+  spawn_item: (ev, effect, resumed) => {
+    if (!resumed) {
+      G.objects.push(...Array.from({ length: effect.count || 1 }, () => ({ itemId: effect.item_id, eventId: ev.def.id, ...randomOpenSpot(ev.zoneIndex) })));
+    }
+    return () => { G.objects = G.objects.filter(o => o.eventId !== ev.def.id); };
+  },
+  spawn_npc: (ev, effect, resumed) => {
+    const undo = () => { G.npcs = G.npcs.filter(n => n.eventId !== ev.def.id); };
+    if (resumed) return undo;
+    const kind = effect.kind || 'visitor';
+    const npcs = Array.from({ length: effect.count || 1 }, (_, i) => {
+      const { x, y } = randomOpenSpot(ev.zoneIndex);
+      return {
+        id: `${ev.def.id}_${i + 1}`,
+        kind,
+        variant: i,
+        dialogueIndex: -1,
+        visitor: ev.def.title,
+        eventId: ev.def.id,
+        x,
+        y,
+        zoneIndex: tileAt(x, y)?.zoneIndex ?? 0,
+        color: `hsl(${(i * 45 + 30) % 360},40%,65%)`,
+        skill: 'charisma',
+        difficulty: 0.5,
+        dx: 0,
+        dy: 0,
+        ...(isHostileKind(kind) ? enemyStats(ev.zoneIndex) : {}),
+      };
+    });
+    G.npcs.push(...npcs);
+    return undo;
+  },
+  shop_prices: () => null,
+  zone_status: () => null
+};
+
+/** Product of the shop price multipliers of the running events. */
+function eventPriceFactor() {
+  return G.events.filter(ev => ev.status === 'active').reduce((factor, ev) =>
+    ev.def.effects.reduce((f, e) => (e.type === 'shop_prices' ? f * (e.multiplier ?? 1) : f), factor), 1);
+}
+
+/** Legend entries events may need on a map that does not have them yet. */
+const EVENT_TERRAINS = {
+  path: { char: '=', name: 'path', color: '#8f563b', detail: '#d9a066', solid: false },
+  rock: { char: '#', name: 'rock', color: '#323c39', detail: '#696a6a', solid: true }
+};
+
+/** Map character of a terrain by name, adding it to the legend from EVENT_TERRAINS if missing. */
+function terrainChar(name) {
+  const m = G.map;
+  const found = Object.keys(m.terrain).find(ch => m.terrain[ch].name === name);
+  if (found) return found;
+  const { char, ...terrain } = EVENT_TERRAINS[name] || EVENT_TERRAINS.rock;
+  m.terrain[char] = terrain;
+  return char;
+}
+
+/** Terrain that blocks a zone's road: its first solid feature (lava, trees...), else rock. */
+function blockTerrain(zoneIndex) {
+  const m = G.map;
+  const features = m.zone_list.find(z => z.id === G.zones[zoneIndex]?.id)?.features || [];
+  return features.find(name => Object.values(m.terrain).some(t => t.name === name && t.solid)) || 'rock';
+}
+
+/**
+ * Tile where the road leaves a zone: the road tile next to another zone
+ * that is nearest the zone's centre (side paths to doors cross borders
+ * further out), or the centre itself when no road crosses the border.
+ * Null for an unknown zone.
+ */
+function roadSite(zoneIndex) {
+  const zone = G.zones[zoneIndex];
+  const centre = zone && tileAt(zone.cx, zone.cy);
+  if (!centre) return null;
+  const m = G.map;
+  const road = terrainChar('path');
+  let best = [centre.tx, centre.ty];
+  let bestD = Infinity;
+  for (let ty = 1; ty < m.height - 1; ty++) {
+    for (let tx = 1; tx < m.width - 1; tx++) {
+      if (m.zoneIndex[ty][tx] !== zoneIndex || m.tiles[ty][tx] !== road) continue;
+      if (![[1, 0], [-1, 0], [0, 1], [0, -1]].some(([dx, dy]) => m.zoneIndex[ty + dy][tx + dx] !== zoneIndex)) continue;
+      const d = (tx - centre.tx) ** 2 + (ty - centre.ty) ** 2;
+      if (d < bestD) { bestD = d; best = [tx, ty]; }
+    }
+  }
+  return best;
+}
+
+/**
+ * Turn the tiles within `radius` of a site that pass `should(terrain)`
+ * into terrain `ch`, leaving the map edge and building plots (with the
+ * tiles around them, doors included) alone. Returns a function putting
+ * back whatever has not been changed again since, or null when nothing
+ * changed.
+ */
+function changeTiles(site, radius, ch, should) {
+  if (!site) return null;
+  const m = G.map;
+  const [cx, cy] = site;
+  const changed = [];
+  for (let ty = Math.max(1, cy - radius); ty <= Math.min(m.height - 2, cy + radius); ty++) {
+    for (let tx = Math.max(1, cx - radius); tx <= Math.min(m.width - 2, cx + radius); tx++) {
+      if ((tx - cx) ** 2 + (ty - cy) ** 2 > radius * radius + 1 || onPlot(m, tx, ty, 1)) continue;
+      const from = m.tiles[ty][tx];
+      if (from === ch || !m.terrain[from] || !should(m.terrain[from])) continue;
+      setTile(tx, ty, ch);
+      changed.push([tx, ty, from]);
+    }
   }
+  if (changed.length === 0) return null;
+  mapChanged();
+  return () => {
+    changed.forEach(([tx, ty, from]) => { if (m.tiles[ty][tx] === ch) setTile(tx, ty, from); });
+    mapChanged();
+  };
+}
+
+function setTile(tx, ty, ch) {
+  const row = G.map.tiles[ty];
+  G.map.tiles[ty] = row.slice(0, tx) + ch + row.slice(tx + 1);
+}
+
+/**
+ * Redraw the map after tiles changed, and move anything now standing in
+ * solid ground (the player, NPCs, items) to the nearest open tile.
+ */
+function mapChanged() {
+  const m = G.map;
+  m.open = openTiles(m);
+  m.image = renderMap(m);
+  const free = body => {
+    if (tileAt(body.x, body.y)?.terrain.solid) Object.assign(body, nearestOpenSpot(body.x, body.y, body.zoneIndex));
+  };
+  free(G.inInterior ? G.previousPosition : G.player);
+  G.npcs.forEach(free);
+  G.objects.forEach(free);
+}
+
+/** Centre of the open tile nearest to a position, within a zone when given one that has open tiles. */
+function nearestOpenSpot(x, y, zoneIndex) {
+  let best = null;
+  let bestD = Infinity;
+  const open = G.map.open[zoneIndex]?.length ? G.map.open[zoneIndex] : G.map.open.flat();
+  open.forEach(([tx, ty]) => {
+    const c = tileCenter(tx, ty);
+    const d = (c.x - x) ** 2 + (c.y - y) ** 2;
+    if (d < bestD) { bestD = d; best = c; }
+  });
+  return best || tileCenter(...G.map.spawn);
 }
 
 /** Start a quest by id. Spawns items for first step and updates status. */
@@ -1251,45 +2972,166 @@ function startQuest(id) {
   const qs = G.questsState.find(q => q.id === id);
   if (!qs) return;
   if (qs.status !== 'not-started') return;
+  if (unmetConditions(qs.requires).length > 0) {
+    addMessage(`${qs.title} cannot be started yet`);
+    return;
+  }
   qs.status = 'in-progress';
   qs.currentStep = 0;
+  qs.progress = 0;
+  qs.timeLeft = qs.timeLimit;
   addMessage(`Started quest: ${qs.title}`);
   // Spawn items for first step
   spawnItemsForStep(qs, 0);
 }
 
-/** Spawn items required for given quest step, ignoring those granted via dialogue. */
+/**
+ * Spawn items required for given quest step, ignoring those granted via
+ * dialogue: all copies a collect objective still needs, else one of each
+ * required item. They go to the step's zone, or anywhere without one.
+ */
 function spawnItemsForStep(qs, stepIndex) {
   const step = qs.steps[stepIndex];
   if (!step) return;
+  const { item_id: collectId, count = 1 } = step.objective;
+  const wanted = collectId ? [{ id: collectId, count }] : step.requires_item_ids.map(id => ({ id, count: 1 }));
   // Determine which items need to be spawned (exclude those in player's inventory or items granted by NPCs)
   const toSpawn = [];
-  (step.requires_item_ids || []).forEach(id => {
+  wanted.forEach(({ id, count: needed }) => {
     // Check if this item can be obtained via dialogue (granted_item_ids) – skip spawn in such case
     const grantedByDialogue = dialoguesData.dialogues.some(dlg => dlg.nodes.some(n => (n.grants_item_ids || []).includes(id)));
     if (grantedByDialogue) return;
-    // Check if player already has this item or it's on map
-    if (!G.player.inventory.includes(id) && !G.objects.some(o => o.itemId === id)) {
-      toSpawn.push(id);
-    }
+    // Count what the player already has and what lies on the map
+    const have = countItem(id) + G.objects.filter(o => o.itemId === id).length;
+    for (let i = have; i < needed; i++) toSpawn.push(id);
   });
-  // Spawn at random positions within world
+  const zoneIndex = zoneIndexOf(step.location_hint);
   toSpawn.forEach(itemId => {
     const zoneCount = G.zones.length || 1;
-    const zone = G.zones[Math.floor(Math.random() * zoneCount)];
-    const x = zone.x + Math.random() * zone.width;
-    const y = 80 + Math.random() * (G.screen.h - G.screen.safeBottom - 120);
-    G.objects.push({ itemId, x, y });
+    const { x, y } = randomOpenSpot(zoneIndex >= 0 ? zoneIndex : Math.floor(Math.random() * zoneCount));
+    G.objects.push({ itemId, x, y, questId: qs.id });
   });
 }
 
-/** Determine if there is a quest step ready for delivery to the given NPC. */
-function getDeliverInfoForNPC(npcId) {
+/** How many of an item the player carries. */
+function countItem(itemId) {
+  return G.player.inventory.filter(id => id === itemId).length;
+}
+
+/**
+ * Quest objective types. `needed(step)` is the progress that completes a
+ * step (1 unless given), `poll(qs, step)` reads progress off the world
+ * every frame and `on[happening](qs, stepIdx, data)` says whether a
+ * happening reported through questHappened() counts once towards it.
+ * `manual` objectives are shown but completed by the player (the Deliver
+ * button). `label` describes the objective in the quests overlay.
+ */
+const OBJECTIVES = {
+  visit: {
+    label: step => `Visit ${G.zones[zoneIndexOf(step.location_hint)]?.name || 'the place'}`,
+    poll: (qs, step) => (zoneIndexOf(step.location_hint) >= 0 && playerZoneIndex() === zoneIndexOf(step.location_hint) ? 1 : 0)
+  },
+  talk: {
+    label: (step, qs, stepIdx) => `Talk to ${stepNPCName(qs, stepIdx)}`,
+    on: { talk: (qs, stepIdx, npc) => stepWantsNPC(qs, stepIdx, npc) }
+  },
+  collect: {
+    label: step => `Collect ${step.objective.item_id ? getItemName(step.objective.item_id) : step.requires_item_ids.map(getItemName).join(', ')}`,
+    needed: step => (step.objective.item_id ? step.objective.count || 1 : step.requires_item_ids.length),
+    poll: (qs, step) => (step.objective.item_id
+      ? countItem(step.objective.item_id)
+      : step.requires_item_ids.filter(id => G.player.inventory.includes(id)).length)
+  },
+  deliver: {
+    label: (step, qs, stepIdx) => `Deliver to ${stepNPCName(qs, stepIdx)}`,
+    needed: step => step.requires_item_ids.length,
+    poll: (qs, step) => step.requires_item_ids.filter(id => G.player.inventory.includes(id)).length,
+    manual: true
+  },
+  defeat: {
+    label: step => `Defeat ${step.objective.npc_kind || 'foes'}`,
+    needed: step => step.objective.count || 1,
+    on: { defeat: (qs, stepIdx, npc) => isKind(npc, qs.steps[stepIdx].objective.npc_kind) }
+  },
+  event: {
+    label: step => `Wait for ${eventsData.events.find(e => e.id === step.objective.event_id)?.title || 'something to happen'}`,
+    poll: (qs, step) => (G.events.some(ev => ev.def.id === step.objective.event_id && ev.status !== 'pending') ? 1 : 0)
+  }
+};
+
+/** Progress a quest step needs, from its objective type. */
+function objectiveNeeded(step) {
+  return OBJECTIVES[step.objective.type]?.needed?.(step) ?? 1;
+}
+
+/**
+ * Run down time limits and fail quests whose time is up or whose
+ * `fail_when` conditions all hold, then read the progress of polled
+ * objectives and complete every step whose objective is met, possibly
+ * several in a row. Quests waiting for a branch to be chosen stand still.
+ */
+function updateQuests(dt) {
+  G.questsState.forEach(qs => {
+    if (qs.status !== 'in-progress') return;
+    if (qs.timeLeft !== null) {
+      qs.timeLeft -= dt;
+      if (qs.timeLeft <= 0) {
+        failQuest(qs, 'out of time');
+        return;
+      }
+    }
+    if (conditionsHold(qs.failWhen)) {
+      failQuest(qs, 'the chance has passed');
+      return;
+    }
+    while (qs.status === 'in-progress' && !qs.choices) {
+      const step = qs.steps[qs.currentStep];
+      const objective = OBJECTIVES[step.objective.type];
+      if (!objective) return;
+      if (objective.poll) qs.progress = objective.poll(qs, step);
+      if (objective.manual || qs.progress < objectiveNeeded(step)) return;
+      completeQuestStep(qs);
+    }
+  });
+}
+
+/**
+ * Report something that happened in the game (`talk` with the NPC whose
+ * conversation ended, `defeat` with the NPC defeated) to the current step
+ * of every quest in progress; updateQuests() completes what it finishes.
+ */
+function questHappened(happening, data) {
+  G.questsState.forEach(qs => {
+    if (qs.status !== 'in-progress' || qs.choices) return;
+    const counts = OBJECTIVES[qs.steps[qs.currentStep].objective.type]?.on?.[happening];
+    if (counts && counts(qs, qs.currentStep, data)) qs.progress++;
+  });
+}
+
+/**
+ * Whether an NPC is the one a quest step asks for: any NPC of the
+ * objective's `npc_kind` when the world has one, else the NPC the step was
+ * assigned to.
+ */
+function stepWantsNPC(qs, stepIdx, npc) {
+  const kind = qs.steps[stepIdx].objective.npc_kind;
+  if (G.npcs.some(n => isKind(n, kind))) return isKind(npc, kind);
+  return qs.stepAssignments[stepIdx] === npc.id;
+}
+
+/** Who a quest step is handed in to, for the quests overlay. */
+function stepNPCName(qs, stepIdx) {
+  const kind = qs.steps[stepIdx].objective.npc_kind;
+  return G.npcs.some(n => isKind(n, kind)) ? `a ${kind}` : getNPCName(qs.stepAssignments[stepIdx]);
+}
+
+/** Determine if there is a delivery step ready to hand to the given NPC. */
+function getDeliverInfoForNPC(npc) {
   for (const qs of G.questsState) {
     if (qs.status === 'in-progress') {
       const stepIdx = qs.currentStep;
-      if (qs.stepAssignments[stepIdx] === npcId) {
-        const step = qs.steps[stepIdx];
+      const step = qs.steps[stepIdx];
+      if (step.objective.type === 'deliver' && stepWantsNPC(qs, stepIdx, npc)) {
         // Check if player has all required items
         const hasAll = (step.requires_item_ids || []).every(id => G.player.inventory.includes(id));
         if (hasAll) return { qs, stepIdx };
@@ -1300,14 +3142,13 @@ function getDeliverInfoForNPC(npcId) {
 }
 
 /** Finish quest steps for an NPC if requirements are met. Performs skill check. */
-function finishQuestStepsOnTalk(npcId) {
-  const info = getDeliverInfoForNPC(npcId);
+function finishQuestStepsOnTalk(npc) {
+  const info = getDeliverInfoForNPC(npc);
   if (!info) {
     addMessage('You do not have the required items');
     return;
   }
   const { qs, stepIdx } = info;
-  const npc = G.npcs.find(n => n.id === npcId);
   const step = qs.steps[stepIdx];
   // Perform skill check based on NPC skill and difficulty
   const skill = npc.skill;
@@ -1324,35 +3165,164 @@ function finishQuestStepsOnTalk(npcId) {
     const idxInInv = G.player.inventory.indexOf(id);
     if (idxInInv >= 0) G.player.inventory.splice(idxInInv, 1);
   });
-  // Advance step
-  qs.currentStep++;
-  if (qs.currentStep >= qs.steps.length) {
-    qs.status = 'completed';
-    addMessage(`Quest completed: ${qs.title}`);
-    G.player.gold += 50;
+  completeQuestStep(qs);
+}
+
+/**
+ * Complete the current step of a quest in progress and reward it. A
+ * branching step waits for the player to choose one of its branches in the
+ * quests overlay; any other goes on to its `next_step`, by default the one
+ * after it.
+ */
+function completeQuestStep(qs) {
+  if (qs.choices) return;
+  const step = qs.steps[qs.currentStep];
+  qs.progress = 0;
+  addMessage(`Step completed: ${step.goal}`);
+  grantRewards(step.rewards);
+  if (step.branches?.length) {
+    qs.choices = step.branches;
+    addMessage(`${qs.title}: choose how to go on (Q)`);
   } else {
-    addMessage(`Step completed: ${step.goal}`);
-    G.player.gold += 20;
-    // Spawn items for next step
+    goToQuestStep(qs, step.next_step ?? qs.currentStep + 1);
+  }
+  autosave();
+}
+
+/** Take one of the branches offered by a quest's branching step. */
+function chooseQuestBranch(qs, branch) {
+  qs.choices = null;
+  addMessage(`You chose: ${branch.choice_text}`);
+  goToQuestStep(qs, branch.next_step);
+}
+
+/**
+ * Move a quest on to a step and spawn its items or, past the last step,
+ * complete the quest (reaching an ending for the main quest).
+ */
+function goToQuestStep(qs, stepIndex) {
+  qs.currentStep = stepIndex;
+  qs.progress = 0;
+  if (qs.currentStep < qs.steps.length) {
     spawnItemsForStep(qs, qs.currentStep);
+    return;
+  }
+  qs.status = 'completed';
+  qs.timeLeft = null;
+  addMessage(`Quest completed: ${qs.title}`);
+  grantRewards(qs.rewards);
+  if (qs.is_main) reachEnding(qs);
+}
+
+/** Fail a quest in progress; it cannot be taken up again. */
+function failQuest(qs, reason) {
+  qs.status = 'failed';
+  qs.failReason = reason;
+  qs.choices = null;
+  qs.timeLeft = null;
+  addMessage(`Quest failed: ${qs.title} (${reason})`);
+}
+
+/**
+ * Give the player a quest or step reward: gold, experience, items,
+ * abilities and a push of the illusion by `affinity`.
+ */
+function grantRewards(rewards) {
+  if (!rewards) return;
+  const p = G.player;
+  if (rewards.gold > 0) {
+    p.gold += rewards.gold;
+    addMessage(`Received ${rewards.gold} gold`);
   }
+  if (rewards.exp > 0) gainExp(rewards.exp);
+  (rewards.item_ids || []).forEach(id => {
+    if (!getItem(id)) return;
+    p.inventory.push(id);
+    addMessage(`Received ${getItemName(id)}`);
+  });
+  (rewards.ability_ids || []).forEach(learnAbility);
+  if (rewards.affinity) recordTags([rewards.affinity > 0 ? 'demiurge_affinity' : 'resistance'], Math.abs(rewards.affinity));
+}
+
+/** Experience needed to go from a level to the next. */
+function expToLevel(level) {
+  return 100 * level;
+}
+
+/** Add experience, levelling up (more HP, fully healed) as often as it reaches the next level. */
+function gainExp(amount) {
+  const p = G.player;
+  p.exp += amount;
+  addMessage(`+${amount} exp`);
+  while (p.exp >= expToLevel(p.level)) {
+    p.exp -= expToLevel(p.level);
+    p.level++;
+    p.maxHp += 10;
+    p.hp = p.maxHp;
+    addMessage(`Level up! You are now level ${p.level}`);
+  }
+}
+
+/** Put an ability from abilities.json on the first free hotbar slot. */
+function learnAbility(id) {
+  const ab = (abilitiesData.abilities || []).find(a => a.id === id);
+  const p = G.player;
+  if (!ab || p.abilities.some(a => a.id === id)) return;
+  if (p.abilities.length >= 5) {
+    addMessage(`No free slot to learn ${ab.name}`);
+    return;
+  }
+  p.abilities.push(ab);
+  p.abilityCooldown[ab.id] = 0;
+  addMessage(`Learned ${ab.name} (${p.abilities.length})`);
+}
+
+/** Endings for a main quest that defines none, lowest illusion value first. */
+const DEFAULT_ENDINGS = [
+  {
+    title: 'Awake',
+    min_value: 0,
+    text: 'You saw the seams in the world and pulled at them until it came apart. What lies beyond is colder and harder, and real.'
+  },
+  {
+    title: 'Between Dreams',
+    min_value: 0.2,
+    text: 'You finished what you came to do, yet never quite decided what this world is. Some nights it feels like home; some mornings it does not.'
+  },
+  {
+    title: "The Dreamer's Guest",
+    min_value: 0.45,
+    text: 'The world welcomed you and you welcomed it back. Whoever dreams it smiles, and you no longer wonder why.'
+  }
+];
+
+/**
+ * Show the ending of a completed main quest picked by the final illusion
+ * value: the ending with the highest `min_value` reached, or the lowest one
+ * when none is.
+ */
+function reachEnding(qs) {
+  const endings = [...(qs.endings.length ? qs.endings : DEFAULT_ENDINGS)].sort((a, b) => a.min_value - b.min_value);
+  const value = illusion.value();
+  const ending = endings.filter(e => e.min_value <= value).pop() || endings[0];
+  qs.ending = { ...ending, quest: qs.title };
+  G.ending = qs.ending;
+  G.talk = null;
+  G.openOverlay = 'ending';
 }
 
 /** Perform a skill check: returns true if random number < player skill - npc difficulty + random buff. */
 function performSkillCheck(skill, difficulty) {
   const playerSkill = G.player.skills[skill] || 0;
-  // Incorporate status effects: strength buffs add to relevant skills
-  let bonus = 0;
-  G.statusEffects.forEach(eff => {
-    if (eff.type === skill) bonus += eff.value;
-  });
+  // Status effects modify skills like any other stat
+  const bonus = effectTotal(skill);
   const roll = Math.random();
   return roll < (playerSkill + bonus) - difficulty + 0.5;
 }
 
 /** Handle clicking an inventory item: equip/unequip or use consumable. */
 function onInventoryItemClick(itemId) {
-  const item = inventoryData.items.find(it => it.item_id === itemId);
+  const item = getItem(itemId);
   if (!item) return;
   const cat = item.category;
   if (cat === 'weapon' || cat === 'armor') {
@@ -1366,17 +3336,14 @@ function onInventoryItemClick(itemId) {
       addMessage(`Equipped ${item.name}`);
     }
   } else if (cat === 'consumable') {
-    // Use consumable: heal or buff
-    if (/heal|potion|elixir/i.test(item.name)) {
-      healPlayer(30);
-    } else {
-      // Random buff
-      const types = ['speed', 'strength'];
-      const type = types[Math.floor(Math.random() * types.length)];
-      G.statusEffects.push({ name: item.name, type, value: 0.3, time: 15 });
-      addMessage(`Used ${item.name}`);
+    // Use consumable: heal and/or apply its buff
+    if (item.heal > 0) healPlayer(item.heal);
+    if (item.buff) {
+      const { type, magnitude, duration } = item.buff;
+      applyStatus(G.player, buffStatus(`item:${item.item_id}`, item.name, type, magnitude, duration));
     }
-    // Remove from inventory
+    addMessage(`Used ${item.name}`);
+    // Remove one from the stack
     const idx = G.player.inventory.indexOf(itemId);
     if (idx >= 0) G.player.inventory.splice(idx, 1);
   } else {
@@ -1389,8 +3356,253 @@ function showInventory() {
   toggleOverlay('inventory');
 }
 
-// Start the game once the DOM is loaded and data has been fetched
+/** Id saves record for the loaded world: its bundle id, or `default` for app/data. */
+function currentWorldId() {
+  return G.worldId || 'default';
+}
+
+/**
+ * A world position as a point on the map in tiles. Saves store positions
+ * this way so they do not depend on the map's tile size.
+ */
+function mapPoint({ x, y }) {
+  const m = G.map;
+  return { x: x / m.tile, y: y / m.tile };
+}
+
+/** World position of a point on the map in tiles, see mapPoint(). */
+function worldPoint({ x, y }) {
+  const m = G.map;
+  return { x: x * m.tile, y: y * m.tile };
+}
+
+/**
+ * Everything needed to pick the game up again, as plain data: the player,
+ * spawned items, NPCs, status effects, quests, events, story flags, the
+ * illusion and the world it belongs to. A save made indoors puts the
+ * player back outside the door.
+ */
+function snapshotGame() {
+  const { x, y, vx, vy, abilities, ...player } = G.player;
+  return structuredClone({
+    version: SAVE_VERSION,
+    world: { id: currentWorldId(), title: worldSpec.title || '' },
+    savedAt: new Date().toISOString(),
+    time: G.time,
+    player: { ...player, ...mapPoint(G.inInterior ? G.previousPosition : G.player), abilities: abilities.map(a => a.id) },
+    statusEffects: G.statusEffects,
+    objects: G.objects.map(o => ({ ...o, ...mapPoint(o) })),
+    npcs: G.npcs.map(n => ({ ...n, ...mapPoint(n) })),
+    quests: G.questsState.map(qs => ({
+      id: qs.id,
+      status: qs.status,
+      currentStep: qs.currentStep,
+      progress: qs.progress,
+      timeLeft: qs.timeLeft,
+      choosing: Boolean(qs.choices),
+      failReason: qs.failReason,
+      ending: qs.ending || null,
+      stepAssignments: qs.stepAssignments
+    })),
+    events: G.events.map(ev => ({ id: ev.def.id, status: ev.status, endsAt: ev.endsAt, tick: ev.tick })),
+    eventLog: G.eventLog,
+    flags: G.flags,
+    ending: G.ending,
+    illusion: illusion.state
+  });
+}
+
+/**
+ * Replace the running game with a save. The world is set up afresh as at
+ * the start and the save is laid over it; running events apply their
+ * effects again. Throws a SaveError for a save of another world. The save
+ * must have passed migrateSave() (readSave() and importSaveFile() see to
+ * that), which checks everything read here before the world is reset.
+ */
+function restoreGame(save) {
+  if (save.world.id !== currentWorldId()) {
+    throw new SaveError(`This save belongs to the world "${save.world.title || save.world.id}"; open that world to load it`);
+  }
+  initZones();
+  initNPCs();
+  initQuestsState();
+  initEnemies();
+  initEvents();
+  initPlayerAbilities();
+  G.time = save.time;
+  const { x, y, abilities, ...player } = save.player;
+  Object.assign(G.player, player, worldPoint({ x, y }), { vx: 0, vy: 0 });
+  G.player.abilities = abilities.map(id => (abilitiesData.abilities || []).find(a => a.id === id)).filter(Boolean);
+  G.statusEffects = save.statusEffects;
+  G.objects = save.objects.map(o => ({ ...o, ...worldPoint(o) }));
+  G.npcs = save.npcs.map(n => ({ ...n, ...worldPoint(n) }));
+  // Occupants of the houses are copies of their NPC
+  G.interiors.forEach(interior => {
+    const npc = G.npcs.find(n => n.id === interior.npcId);
+    if (npc) Object.assign(interior.npc, { skill: npc.skill, difficulty: npc.difficulty });
+  });
+  save.quests.forEach(saved => {
+    const qs = G.questsState.find(q => q.id === saved.id);
+    if (!qs) return;
+    const { choosing, ...state } = saved;
+    Object.assign(qs, state);
+    qs.choices = choosing ? qs.steps[qs.currentStep]?.branches || null : null;
+  });
+  save.events.forEach(saved => {
+    const ev = G.events.find(e => e.def.id === saved.id);
+    if (!ev) return;
+    Object.assign(ev, { status: saved.status, endsAt: saved.endsAt, tick: saved.tick });
+    if (ev.status === 'active') resumeEvent(ev);
+  });
+  G.eventLog = save.eventLog;
+  G.flags = save.flags;
+  G.ending = save.ending;
+  illusion.load(save.illusion);
+  G.inInterior = false;
+  G.currentInterior = null;
+  G.talk = null;
+  G.openOverlay = null;
+  updateCamera(0, true);
+}
+
+/** Save the game to a slot. */
+function saveGame(slot) {
+  try {
+    writeSave(currentWorldId(), slot, snapshotGame());
+    addMessage(`Saved to slot ${slot}`);
+  } catch (err) {
+    addMessage(err.message);
+  }
+  G.saveSlots = listSaves(currentWorldId());
+}
+
+/** Load the save in a slot, telling the player when that is not possible. */
+function loadGame(slot) {
+  try {
+    const save = readSave(currentWorldId(), slot);
+    if (!save) return;
+    restoreGame(save);
+    addMessage(slot === 'auto' ? 'Loaded the autosave' : `Loaded slot ${slot}`);
+  } catch (err) {
+    addMessage(err instanceof SaveError ? err.message : `Could not load the save: ${err.message}`);
+  }
+}
+
+/** Write the autosave; a full storage only costs a message. */
+function autosave() {
+  try {
+    writeSave(currentWorldId(), 'auto', snapshotGame());
+  } catch (err) {
+    addMessage(err.message);
+  }
+}
+
+/** Download the current game as a save file. */
+function exportGame() {
+  exportSave(snapshotGame(), `${currentWorldId()}-save-${new Date().toISOString().slice(0, 10)}.json`);
+}
+
+/** Load a save file the player picks. */
+async function importGame() {
+  try {
+    const save = await importSaveFile();
+    if (!save) return;
+    restoreGame(save);
+    addMessage('Loaded the imported save');
+  } catch (err) {
+    // Nothing awaits this click handler, so every failure ends up as a message
+    addMessage(err instanceof SaveError ? err.message : `Could not load the save: ${err.message}`);
+  }
+}
+
+/** Fetch the list of generated world bundles. Returns [] when there are none. */
+async function loadWorldIndex() {
+  try {
+    const res = await fetch('./worlds/index.json');
+    if (!res.ok) return [];
+    const json = await res.json();
+    return Array.isArray(json.worlds) ? json.worlds : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Show a world-picker screen listing the default world and every bundle in
+ * the library. Choosing one reloads the page with ?world=<id> so the
+ * selection is part of the URL and can be bookmarked.
+ */
+function showWorldPicker(worlds) {
+  const canvas = document.getElementById('game');
+  const ctx = canvas.getContext('2d');
+  const DPR = Math.max(1, Math.min(3, window.devicePixelRatio || 1));
+  const entries = [
+    { id: 'default', title: 'Default world', theme: 'bundled with the game' },
+    ...worlds
+  ];
+  const rowH = 52;
+  let scroll = 0;
+  let zones = [];
+  function draw() {
+    const w = window.innerWidth;
+    const h = window.innerHeight;
+    canvas.width = (w * DPR) | 0;
+    canvas.height = (h * DPR) | 0;
+    ctx.setTransform(DPR, 0, 0, DPR, 0, 0);
+    ctx.fillStyle = '#12121a';
+    ctx.fillRect(0, 0, w, h);
+    const pw = Math.min(520, w - 40);
+    const x = (w - pw) / 2;
+    ctx.fillStyle = '#e6e6ea';
+    ctx.font = '22px system-ui';
+    ctx.fillText('Choose a world', x, 48);
+    zones = [];
+    let y = 72 - scroll;
+    entries.forEach(entry => {
+      if (y + rowH > 64 && y < h) {
+        ctx.fillStyle = '#1e2130';
+        ctx.fillRect(x, y, pw, rowH - 6);
+        ctx.fillStyle = '#e6e6ea';
+        ctx.font = '16px system-ui';
+        ctx.fillText(entry.title || entry.id, x + 14, y + 20);
+        ctx.fillStyle = '#9aa0b0';
+        ctx.font = '12px system-ui';
+        const date = entry.created ? new Date(entry.created).toLocaleString() : '';
+        ctx.fillText([entry.theme, date].filter(Boolean).join(' · '), x + 14, y + 38);
+        zones.push({ x, y, w: pw, h: rowH - 6, id: entry.id });
+      }
+      y += rowH;
+    });
+  }
+  function onPick(e) {
+    const rect = canvas.getBoundingClientRect();
+    const px = e.clientX - rect.left;
+    const py = e.clientY - rect.top;
+    const hit = zones.find(z => px >= z.x && px <= z.x + z.w && py >= z.y && py <= z.y + z.h);
+    if (hit) window.location.search = `?world=${encodeURIComponent(hit.id)}`;
+  }
+  function onWheel(e) {
+    const max = Math.max(0, entries.length * rowH + 72 - window.innerHeight);
+    scroll = Math.max(0, Math.min(max, scroll + e.deltaY));
+    draw();
+  }
+  canvas.addEventListener('pointerdown', onPick);
+  canvas.addEventListener('wheel', onWheel, { passive: true });
+  window.addEventListener('resize', draw, { passive: true });
+  draw();
+}
+
+// Start the game once the DOM is loaded and data has been fetched. Without a
+// ?world= parameter the player first picks a world if the library has any.
 window.addEventListener('DOMContentLoaded', async () => {
-  await loadGameData();
+  const param = new URLSearchParams(window.location.search).get('world');
+  if (!param) {
+    const worlds = await loadWorldIndex();
+    if (worlds.length > 0) {
+      showWorldPicker(worlds);
+      return;
+    }
+  }
+  await loadGameData(param && param !== 'default' ? param : null);
   initGame();
 });
\ No newline at end of file
@@ -0,0 +1,145 @@
+// saves.js – Save slots in localStorage, versioned save migrations and export/import as JSON files.
+
+/** Version of the save format written by this build; see MIGRATIONS. */
+export const SAVE_VERSION = 1;
+
+/** Save slots of each world: the autosave plus three the player saves to. */
+export const SLOTS = ['auto', '1', '2', '3'];
+
+/**
+ * Upgrades of older saves, keyed by the version they upgrade from: each
+ * takes a save of that version and returns it in the next one. Whenever
+ * the save format changes, bump SAVE_VERSION and add the step from the
+ * previous version here so existing saves keep loading.
+ */
+const MIGRATIONS = {};
+
+/** A save that cannot be read, written or loaded; its message is shown to the player. */
+export class SaveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SaveError';
+  }
+}
+
+/** Storage key of a slot; every world has its own slots. */
+function slotKey(worldId, slot) {
+  return `save_${worldId}_slot_${slot}`;
+}
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isPoint = value => isObject(value) && Number.isFinite(value.x) && Number.isFinite(value.y);
+const isId = value => typeof value === 'string' && value !== '';
+/** A check for a list whose every entry passes `check`. */
+const listOf = check => value => Array.isArray(value) && value.every(check);
+
+/**
+ * The parts of a save the game lays over a fresh world, with a check for
+ * each that covers what restoring reads from its entries, so a damaged
+ * save is refused before any of the running game is replaced. The rest
+ * (ending, illusion) may be missing or null.
+ */
+const SAVE_FIELDS = {
+  time: Number.isFinite,
+  player: value => isPoint(value) && listOf(isId)(value.abilities) && Array.isArray(value.inventory) &&
+    isObject(value.skills) && isObject(value.equipped) &&
+    ['hp', 'maxHp', 'gold', 'level', 'exp'].every(key => Number.isFinite(value[key])),
+  statusEffects: listOf(effect => isObject(effect) && isId(effect.id) && Number.isFinite(effect.time)),
+  objects: listOf(isPoint),
+  npcs: listOf(npc => isPoint(npc) && isId(npc.id)),
+  quests: listOf(quest => isObject(quest) && isId(quest.id) && typeof quest.status === 'string' &&
+    Number.isInteger(quest.currentStep)),
+  events: listOf(event => isObject(event) && isId(event.id) && typeof event.status === 'string'),
+  eventLog: listOf(isObject),
+  flags: isObject
+};
+
+/**
+ * Bring a parsed save up to SAVE_VERSION through MIGRATIONS and check it
+ * has everything restoring it needs. Throws a SaveError for anything that
+ * is not a save, comes from a newer build or is incomplete.
+ */
+export function migrateSave(save) {
+  if (!save || typeof save !== 'object' || typeof save.version !== 'number' || !save.world) {
+    throw new SaveError('Not a save file');
+  }
+  if (save.version > SAVE_VERSION) {
+    throw new SaveError(`This save was made by a newer version of the game (format ${save.version})`);
+  }
+  let current = save;
+  for (let version = save.version; version < SAVE_VERSION; version++) {
+    if (!MIGRATIONS[version]) throw new SaveError(`Saves of format ${version} can no longer be loaded`);
+    current = { ...MIGRATIONS[version](current), version: version + 1 };
+  }
+  const broken = Object.keys(SAVE_FIELDS).filter(field => !SAVE_FIELDS[field](current[field]));
+  if (!isId(current.world.id)) broken.unshift('world');
+  if (broken.length) throw new SaveError(`This save is damaged or incomplete (${broken.join(', ')})`);
+  return current;
+}
+
+/** Write a save to one of a world's slots. */
+export function writeSave(worldId, slot, save) {
+  try {
+    localStorage.setItem(slotKey(worldId, slot), JSON.stringify(save));
+  } catch (err) {
+    throw new SaveError(`Could not save: ${err.message}`);
+  }
+}
+
+/** The save in one of a world's slots brought up to date, or null when the slot is empty. */
+export function readSave(worldId, slot) {
+  const text = localStorage.getItem(slotKey(worldId, slot));
+  if (text === null) return null;
+  let save;
+  try {
+    save = JSON.parse(text);
+  } catch {
+    throw new SaveError(`The save in slot ${slot} is damaged`);
+  }
+  return migrateSave(save);
+}
+
+/** Every slot of a world as `{ slot, save, error }`: the save or null, and why it cannot be read. */
+export function listSaves(worldId) {
+  return SLOTS.map(slot => {
+    try {
+      return { slot, save: readSave(worldId, slot), error: null };
+    } catch (err) {
+      return { slot, save: null, error: err.message };
+    }
+  });
+}
+
+/** Offer a save as a JSON file download. */
+export function exportSave(save, filename) {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(save, null, 2)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Let the player pick an exported save file. Resolves with the save
+ * brought up to date, or null when no file was picked; rejects with a
+ * SaveError when the file is not a readable save.
+ */
+export function importSaveFile() {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('cancel', () => resolve(null));
+    input.addEventListener('change', async () => {
+      const file = input.files[0];
+      if (!file) return resolve(null);
+      try {
+        resolve(migrateSave(JSON.parse(await file.text())));
+      } catch (err) {
+        reject(err instanceof SaveError ? err : new SaveError(`${file.name} is not a save file`));
+      }
+    });
+    input.click();
+  });
+}
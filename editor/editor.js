@@ -0,0 +1,899 @@
+// editor.js – Browser side of the world content editor (served by scripts/editor.js)
+//
+// Opens the default world or a library bundle, shows dialogues as an
+// editable node graph, quests as step lists and every other file as a
+// table. Each edit is sent to /api/check, which runs the same reference
+// rules as scripts/lint_world.js, and the issues are listed at the bottom.
+
+/** Editor tabs: the world file each one edits and, for tables, its list and id key. */
+const TABS = [
+  { id: 'world', label: 'World', file: 'world_spec' },
+  { id: 'dialogue', label: 'Dialogue', file: 'dialogue' },
+  { id: 'quests', label: 'Quests', file: 'quests' },
+  { id: 'inventory', label: 'Inventory', file: 'inventory', list: 'items', key: 'item_id', prefix: 'item_' },
+  { id: 'abilities', label: 'Abilities', file: 'abilities', list: 'abilities', key: 'id', prefix: 'ab_' },
+  { id: 'status_effects', label: 'Status effects', file: 'status_effects', list: 'status_effects', key: 'id', prefix: 'st_' },
+  { id: 'events', label: 'Events', file: 'events', list: 'events', key: 'id', prefix: 'ev_' }
+];
+
+/**
+ * Fields holding references and the kind of id they hold. The editor offers
+ * a picker for them and renaming an id updates every field of its kind.
+ */
+const REFS = {
+  home_zone: 'zone',
+  location: 'zone',
+  location_hint: 'zone',
+  speaker: 'npc',
+  requires_item_ids: 'item',
+  grants_item_ids: 'item',
+  applies_status: 'status',
+  immune_to: 'status',
+  item_id: 'item',
+  item: 'item',
+  status_id: 'status',
+  quest_id: 'quest'
+};
+
+/** Fields with a fixed set of values (see scripts/schemas.js), edited with a select. */
+const ENUMS = {
+  category: ['consumable', 'weapon', 'armor', 'quest'],
+  rarity: ['common', 'uncommon', 'rare', 'epic', 'legendary'],
+  effect: ['damage', 'heal', 'speed', 'strength', 'agility', 'charisma', 'attack', 'defence', 'regen'],
+  kind: ['buff', 'debuff'],
+  stacking: ['refresh', 'stack', 'extend'],
+  when_unmet: ['hide', 'disable']
+};
+
+// Size of a node box in the dialogue graph and the spacing of the layout
+const NODE_W = 180;
+const NODE_H = 64;
+const COL_W = 240;
+const ROW_H = 96;
+
+// Editor state
+const E = {
+  worlds: [],
+  id: null,
+  files: null,
+  tab: 'dialogue',
+  dialogue: 0,
+  node: null,
+  quest: 0,
+  issues: [],
+  graph: [],
+  dirty: false,
+  // Dialogue graph node positions by "<dialogue id>/<node id>", kept for the session
+  positions: new Map(),
+  flash: null
+};
+
+/** Create an element. Props starting with "on" become listeners; `text` sets textContent. */
+function el(tag, props = {}, ...children) {
+  const node = tag.startsWith('svg:')
+    ? document.createElementNS('http://www.w3.org/2000/svg', tag.slice(4))
+    : document.createElement(tag);
+  Object.entries(props).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === false) return;
+    if (key.startsWith('on')) node.addEventListener(key.slice(2), value);
+    else if (key === 'text') node.textContent = value;
+    else if (key === 'value' && !tag.startsWith('svg:')) node.value = value;
+    else if (key === 'checked') node.checked = value;
+    else node.setAttribute(key === 'className' ? 'class' : key, value === true ? '' : value);
+  });
+  children.flat().forEach(child => {
+    if (child === null || child === undefined || child === false) return;
+    node.append(child instanceof Node ? child : document.createTextNode(String(child)));
+  });
+  return node;
+}
+
+/** Call the editor API. Errors carry the server's JSON body in `details`. */
+async function api(method, url, body) {
+  const res = await fetch(url, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const json = await res.json();
+  if (!res.ok) {
+    const err = new Error(json.error || `${method} ${url} failed (${res.status})`);
+    err.status = res.status;
+    err.details = json;
+    throw err;
+  }
+  return json;
+}
+
+function setStatus(text) {
+  document.getElementById('status').textContent = text;
+}
+
+// --- World data helpers ---
+
+function zones() { return E.files.world_spec?.zones || []; }
+function npcs() { return E.files.world_spec?.npcs || []; }
+function items() { return E.files.inventory?.items || []; }
+function statuses() { return E.files.status_effects?.status_effects || []; }
+function dialogues() { return E.files.dialogue?.dialogues || []; }
+function quests() { return E.files.quests?.quests || []; }
+
+/** Choices for a reference kind as `{ value, label }`. */
+function choicesFor(kind) {
+  if (kind === 'zone') return zones().map(z => ({ value: z.id, label: `${z.name} (${z.id})` }));
+  if (kind === 'item') return items().map(i => ({ value: i.item_id, label: `${i.name} (${i.item_id})` }));
+  if (kind === 'npc') return [{ value: 'player', label: 'player' }, ...npcs().map(n => ({ value: n.id, label: `${n.kind} (${n.id})` }))];
+  if (kind === 'status') return statuses().map(st => ({ value: st.id, label: `${st.name} (${st.id})` }));
+  if (kind === 'quest') return quests().map(q => ({ value: q.id, label: `${q.title} (${q.id})` }));
+  if (kind === 'kind') return [...new Set(npcs().map(n => n.kind))].map(k => ({ value: k, label: k }));
+  return [];
+}
+
+/** An id not yet in `taken`, formed from a prefix and the lowest free number. */
+function freeId(prefix, taken) {
+  const set = new Set(taken);
+  let n = 1;
+  while (set.has(`${prefix}${n}`)) n++;
+  return `${prefix}${n}`;
+}
+
+/** Replace every reference of `kind` from one id to another across all files. */
+function renameRef(kind, from, to) {
+  const walk = value => {
+    if (Array.isArray(value)) return value.forEach(walk);
+    if (!value || typeof value !== 'object') return;
+    Object.keys(value).forEach(key => {
+      if (REFS[key] === kind) {
+        if (value[key] === from) value[key] = to;
+        else if (Array.isArray(value[key])) value[key] = value[key].map(v => (v === from ? to : v));
+      } else walk(value[key]);
+    });
+  };
+  walk(E.files);
+}
+
+/** Record an edit: mark the world dirty and re-check it shortly. */
+let checkTimer = null;
+function edited() {
+  E.dirty = true;
+  setStatus('Unsaved changes');
+  clearTimeout(checkTimer);
+  checkTimer = setTimeout(runCheck, 250);
+}
+
+/** Validate the current files on the server and refresh the issue list. */
+async function runCheck() {
+  try {
+    const result = await api('POST', '/api/check', { files: E.files });
+    E.issues = result.issues;
+    E.graph = result.dialogue;
+  } catch (err) {
+    E.issues = [{ level: 'error', file: '', path: '', message: `Check failed: ${err.message}` }];
+  }
+  renderIssues();
+  if (E.tab === 'dialogue') {
+    renderDialogueList();
+    renderGraph();
+  }
+}
+
+// --- Generic field editors ---
+
+/** A select of `choices`; a current value missing from them stays visible and is marked. */
+function select(choices, current, onChange, { none } = {}) {
+  const known = choices.some(c => c.value === current);
+  const options = [
+    none !== undefined ? el('option', { value: '', text: none }) : null,
+    !known && current ? el('option', { value: current, text: `${current} (unknown)`, className: 'unknown' }) : null,
+    ...choices.map(c => el('option', { value: c.value, text: c.label }))
+  ];
+  const node = el('select', { className: !known && current ? 'unknown' : null, onchange: e => onChange(e.target.value) }, options);
+  node.value = current ?? '';
+  return node;
+}
+
+/** Chips for a list of ids of one kind, with a picker to add more. */
+function idListPicker(owner, key, kind, after) {
+  const list = owner[key] || [];
+  const known = new Set(choicesFor(kind).map(c => c.value));
+  const set = next => {
+    owner[key] = next;
+    edited();
+    after();
+  };
+  return el('div', { className: 'chips' },
+    list.map((id, i) => el('span', { className: known.has(id) ? 'chip' : 'chip unknown', title: known.has(id) ? null : 'unknown id' },
+      id, el('button', { title: 'Remove', text: '×', onclick: () => set(list.filter((_, j) => j !== i)) }))),
+    select(choicesFor(kind).filter(c => !list.includes(c.value)), '', value => { if (value) set([...list, value]); }, { none: `+ ${kind}` }));
+}
+
+/**
+ * Editor for one field of an object, chosen by the field's reference kind
+ * or the type of its value. `after` re-renders whatever depends on it;
+ * `sample` is a value of the same field elsewhere, used to pick the editor
+ * when this object lacks the field.
+ */
+function fieldInput(owner, key, after = () => {}, sample = undefined) {
+  const value = owner[key];
+  // An empty list says nothing about what its entries are
+  const like = (Array.isArray(value) && value.length === 0 ? sample : value) ?? sample;
+  const kind = REFS[key];
+  // Pickers and checkboxes can change what else is shown, typed text cannot
+  const set = (next, redraw = false) => {
+    owner[key] = next;
+    edited();
+    if (redraw) after();
+  };
+  if (kind && (Array.isArray(like) || key.endsWith('_ids'))) return idListPicker(owner, key, kind, after);
+  if (kind) return select(choicesFor(kind), value, v => set(v, true), { none: '(none)' });
+  // Only where the field already holds one of the values: NPCs use `kind` for free text
+  if (ENUMS[key]?.some(v => v === value || v === sample)) return select(ENUMS[key].map(v => ({ value: v, label: v })), value, set);
+  if (typeof like === 'boolean') return el('input', { type: 'checkbox', checked: Boolean(value), onchange: e => set(e.target.checked, true) });
+  if (typeof like === 'number') {
+    return el('input', { type: 'number', value: String(value ?? ''), onchange: e => set(e.target.value === '' ? 0 : Number(e.target.value)) });
+  }
+  if (Array.isArray(like) && like.every(v => typeof v === 'string')) {
+    return el('input', { value: (value || []).join(', '), placeholder: 'comma separated',
+      onchange: e => set(e.target.value.split(',').map(s => s.trim()).filter(Boolean)) });
+  }
+  if (like && typeof like === 'object') {
+    // Anything structured is edited as JSON and only applied when it parses;
+    // clearing the text removes the field
+    const area = el('textarea', { rows: 3, value: value ? JSON.stringify(value, null, 1) : '', onchange: e => {
+      try {
+        if (e.target.value.trim() === '') {
+          delete owner[key];
+          edited();
+        } else set(JSON.parse(e.target.value));
+        area.classList.remove('unknown');
+      } catch (_) {
+        area.classList.add('unknown');
+        setStatus(`${key}: not valid JSON, change not applied`);
+      }
+    } });
+    return area;
+  }
+  if (typeof value === 'string' && value.length > 60) {
+    return el('textarea', { rows: 3, value, onchange: e => set(e.target.value) });
+  }
+  return el('input', { value: value ?? '', onchange: e => set(e.target.value) });
+}
+
+/**
+ * Input for an optional illusion tier gate (`min_tier`/`max_tier`, 0 to 0.75);
+ * clearing it removes the gate.
+ */
+function tierInput(owner, key) {
+  return el('input', { type: 'number', min: 0, max: 0.75, step: 0.25, value: String(owner[key] ?? ''), placeholder: 'any tier',
+    onchange: e => {
+      if (e.target.value === '') delete owner[key];
+      else owner[key] = Math.max(0, Math.min(0.75, Number(e.target.value)));
+      edited();
+    } });
+}
+
+/** Input for an optional whole number of at least `min`; clearing it removes the field. */
+function optionalNumberInput(owner, key, placeholder, min = 0) {
+  return el('input', { type: 'number', min, step: 1, value: String(owner[key] ?? ''), placeholder,
+    onchange: e => {
+      if (e.target.value === '') delete owner[key];
+      else owner[key] = Math.max(min, Math.round(Number(e.target.value)));
+      edited();
+    } });
+}
+
+/** Labelled row for a field editor. */
+function fieldRow(label, input) {
+  return el('div', { className: 'row' }, el('label', { text: label }), input);
+}
+
+/**
+ * Input for an entity id. Renaming updates every reference of `kind` (when
+ * given) so the rest of the world keeps pointing at it.
+ */
+function idInput(owner, key, kind, after) {
+  return el('input', { value: owner[key] ?? '', onchange: e => {
+    const to = e.target.value.trim();
+    const from = owner[key];
+    if (!to || to === from) {
+      e.target.value = from ?? '';
+      return;
+    }
+    owner[key] = to;
+    if (kind && from) renameRef(kind, from, to);
+    edited();
+    after();
+  } });
+}
+
+/** Move an array element up or down by one. */
+function move(list, i, delta) {
+  const j = i + delta;
+  if (j < 0 || j >= list.length) return;
+  [list[i], list[j]] = [list[j], list[i]];
+}
+
+/** Blank value of the same type, used for new table rows. */
+function blankLike(value) {
+  if (Array.isArray(value)) return [];
+  if (typeof value === 'number') return 0;
+  if (typeof value === 'boolean') return false;
+  if (value && typeof value === 'object') return {};
+  return '';
+}
+
+// --- Tables (inventory, abilities, status effects, events) ---
+
+/** Reference kind an id key defines, so renames follow into other files. */
+function idKindOf(tab) {
+  return { inventory: 'item', status_effects: 'status' }[tab.file] ?? null;
+}
+
+function renderTable(view, tab, rows = E.files[tab.file]?.[tab.list], opts = {}) {
+  if (!rows) {
+    view.append(el('div', { className: 'pane muted', text: `${tab.file}.json is not part of this world.` }));
+    return;
+  }
+  const key = opts.key || tab.key;
+  const columns = [...new Set([key, ...rows.flatMap(r => Object.keys(r))])];
+  const rerender = () => renderView();
+  const table = el('table', {},
+    el('tr', {}, columns.map(c => el('th', { text: c })), el('th')),
+    rows.map((row, i) => el('tr', { id: `${opts.anchor || tab.id}-${i}`, className: E.flash === `${opts.anchor || tab.id}-${i}` ? 'flash' : null },
+      columns.map(c => el('td', {}, c === key ? idInput(row, c, opts.kind ?? idKindOf(tab), rerender)
+        : fieldInput(row, c, rerender, rows.find(r => r[c] !== undefined && r[c] !== null)?.[c]))),
+      el('td', {}, el('button', { className: 'danger', title: 'Delete row', text: '×', onclick: () => {
+        rows.splice(i, 1);
+        edited();
+        rerender();
+      } })))));
+  const add = el('button', { text: `Add ${opts.noun || 'row'}`, onclick: () => {
+    const row = Object.fromEntries(columns.map(c => [c, blankLike(rows.find(r => c in r)?.[c])]));
+    row[key] = freeId(opts.prefix || tab.prefix, rows.map(r => r[key]));
+    rows.push(row);
+    edited();
+    rerender();
+  } });
+  view.append(el('div', { className: 'pane grow' }, opts.title ? el('h3', { text: opts.title }) : null, table, add));
+}
+
+/** World tab: title and hostile kinds plus zone and NPC tables. */
+function renderWorld(view) {
+  const spec = E.files.world_spec;
+  if (!spec) {
+    view.append(el('div', { className: 'pane muted', text: 'world_spec.json is not part of this world.' }));
+    return;
+  }
+  const box = el('div', { className: 'grow', style: 'display:flex;flex-direction:column;overflow:auto' });
+  box.append(el('div', { className: 'pane' }, fieldRow('title', fieldInput(spec, 'title')),
+    fieldRow('hostile kinds', idListPicker(spec, 'hostile_kinds', 'kind', renderView))));
+  spec.zones = spec.zones || [];
+  spec.npcs = spec.npcs || [];
+  renderTable(box, TABS[0], spec.zones, { key: 'id', kind: 'zone', prefix: 'z', noun: 'zone', title: 'Zones', anchor: 'zones' });
+  renderTable(box, TABS[0], spec.npcs, { key: 'id', kind: 'npc', prefix: 'npc', noun: 'NPC', title: 'NPCs', anchor: 'npcs' });
+  view.append(box);
+}
+
+// --- Dialogue graph ---
+
+function currentDialogue() {
+  return dialogues()[E.dialogue] || null;
+}
+
+/** Graph report for a dialogue from the last check. */
+function reportFor(dlg) {
+  return E.graph.find(r => r.id === dlg?.id) || null;
+}
+
+/** Node ids flagged by the graph report (unreachable or dead ends). */
+function problemNodes(dlg) {
+  const r = reportFor(dlg);
+  if (!r) return new Set();
+  return new Set([...r.unreachable, ...r.dead_ends, ...r.broken_links.map(l => l.node_id), ...r.exitless_cycles.flat()]);
+}
+
+/**
+ * Position of every node: stored ones first, the rest laid out in columns
+ * by distance from the start node, unreachable nodes in a final column.
+ */
+function layout(dlg) {
+  const nodes = dlg.nodes || [];
+  const ids = new Set(nodes.map(n => n.node_id));
+  const depth = new Map();
+  if (nodes[0]) depth.set(nodes[0].node_id, 0);
+  const queue = nodes[0] ? [nodes[0].node_id] : [];
+  while (queue.length) {
+    const id = queue.shift();
+    const node = nodes.find(n => n.node_id === id);
+    (node.options || []).forEach(o => {
+      if (o.to_id && ids.has(o.to_id) && !depth.has(o.to_id)) {
+        depth.set(o.to_id, depth.get(id) + 1);
+        queue.push(o.to_id);
+      }
+    });
+  }
+  const last = Math.max(0, ...depth.values()) + 1;
+  const rows = new Map();
+  const pos = new Map();
+  nodes.forEach(n => {
+    const key = `${dlg.id}/${n.node_id}`;
+    if (E.positions.has(key)) {
+      pos.set(n.node_id, E.positions.get(key));
+      return;
+    }
+    const col = depth.get(n.node_id) ?? last;
+    const row = rows.get(col) || 0;
+    rows.set(col, row + 1);
+    pos.set(n.node_id, { x: 20 + col * COL_W, y: 20 + row * ROW_H });
+  });
+  return pos;
+}
+
+/** Shorten text to fit a node box. */
+function clip(text, n) {
+  const s = String(text ?? '');
+  return s.length > n ? `${s.slice(0, n - 1)}…` : s;
+}
+
+function renderDialogueList() {
+  const list = document.getElementById('dialogue-list');
+  if (!list) return;
+  list.replaceChildren(
+    ...dialogues().map((d, i) => {
+      const r = reportFor(d);
+      const bad = r && (r.unreachable.length || r.broken_links.length || r.dead_ends.length || r.exitless_cycles.length || r.too_short);
+      return el('div', { className: [i === E.dialogue ? 'selected' : '', bad ? 'bad' : ''].join(' '),
+        text: `${d.id} (${(d.nodes || []).length})`, onclick: () => {
+          E.dialogue = i;
+          E.node = null;
+          renderView();
+        } });
+    }),
+    el('button', { text: 'Add dialogue', onclick: () => {
+      const dlgs = E.files.dialogue = E.files.dialogue || { dialogues: [] };
+      const nodeIds = dialogues().flatMap(d => (d.nodes || []).map(n => n.node_id));
+      const node = { node_id: freeId('n', nodeIds), speaker: npcs()[0]?.id || 'player', text: '', grants_item_ids: [], options: [] };
+      dlgs.dialogues.push({ id: freeId('d', dialogues().map(d => d.id)), nodes: [node] });
+      E.dialogue = dlgs.dialogues.length - 1;
+      E.node = node.node_id;
+      edited();
+      renderView();
+    } }));
+}
+
+/** Draw the node graph of the current dialogue with draggable nodes. */
+function renderGraph() {
+  const host = document.getElementById('graph');
+  const dlg = currentDialogue();
+  if (!host) return;
+  if (!dlg) {
+    host.replaceChildren(el('div', { className: 'muted', text: 'No dialogues.' }));
+    return;
+  }
+  const pos = layout(dlg);
+  const nodes = dlg.nodes || [];
+  const problems = problemNodes(dlg);
+  const width = Math.max(600, ...[...pos.values()].map(p => p.x + NODE_W + 60));
+  const height = Math.max(400, ...[...pos.values()].map(p => p.y + NODE_H + 40));
+  const svg = el('svg:svg', { width, height },
+    el('svg:defs', {}, el('svg:marker', { id: 'arrow', viewBox: '0 0 10 10', refX: 9, refY: 5, markerWidth: 7, markerHeight: 7, orient: 'auto' },
+      el('svg:path', { d: 'M0,0 L10,5 L0,10 z', fill: '#6a7ab0' }))));
+  nodes.forEach(n => {
+    const a = pos.get(n.node_id);
+    (n.options || []).forEach((o, oi) => {
+      const y1 = a.y + 14 + (oi + 1) * ((NODE_H - 14) / ((n.options.length || 1) + 1));
+      if (!o.to_id) {
+        // Exit: a short stub ending in a dot
+        svg.append(el('svg:path', { className: 'edge', d: `M${a.x + NODE_W},${y1} h18` }),
+          el('svg:circle', { className: 'exit', cx: a.x + NODE_W + 22, cy: y1, r: 4 }, el('svg:title', { text: `${o.choice_text} (ends)` })));
+        return;
+      }
+      const b = pos.get(o.to_id);
+      if (!b) return;
+      const x1 = a.x + NODE_W;
+      const x2 = b.x;
+      const y2 = b.y + NODE_H / 2;
+      const bend = Math.max(40, Math.abs(x2 - x1) / 2);
+      svg.append(el('svg:path', { className: 'edge', 'marker-end': 'url(#arrow)',
+        d: `M${x1},${y1} C${x1 + bend},${y1} ${x2 - bend},${y2} ${x2},${y2}` }, el('svg:title', { text: o.choice_text })));
+    });
+  });
+  nodes.forEach((n, i) => {
+    const p = pos.get(n.node_id);
+    const classes = ['node', i === 0 ? 'start' : '', problems.has(n.node_id) ? 'problem' : '', n.node_id === E.node ? 'selected' : ''];
+    const g = el('svg:g', { className: classes.join(' '), transform: `translate(${p.x},${p.y})` },
+      el('svg:rect', { width: NODE_W, height: NODE_H }),
+      el('svg:text', { x: 8, y: 16, text: `${n.node_id} · ${n.speaker || '?'}` }),
+      el('svg:text', { className: 'sub', x: 8, y: 34, text: clip(n.text, 28) }),
+      el('svg:text', { className: 'sub', x: 8, y: 52, text: clip(n.text?.slice(27), 28) }));
+    g.addEventListener('pointerdown', e => startDrag(e, svg, dlg, n, p, g));
+    svg.append(g);
+  });
+  host.replaceChildren(svg);
+}
+
+/** Drag a node; a press without movement selects it instead. */
+function startDrag(e, svg, dlg, node, p, g) {
+  e.preventDefault();
+  const start = { x: e.clientX, y: e.clientY, px: p.x, py: p.y };
+  let moved = false;
+  const onMove = ev => {
+    const dx = ev.clientX - start.x;
+    const dy = ev.clientY - start.y;
+    if (!moved && Math.hypot(dx, dy) < 4) return;
+    moved = true;
+    const next = { x: Math.max(0, start.px + dx), y: Math.max(0, start.py + dy) };
+    E.positions.set(`${dlg.id}/${node.node_id}`, next);
+    g.setAttribute('transform', `translate(${next.x},${next.y})`);
+  };
+  const onUp = () => {
+    window.removeEventListener('pointermove', onMove);
+    window.removeEventListener('pointerup', onUp);
+    if (moved) {
+      // Pin every node so the rest of the layout stays put, then redraw the edges
+      layout(dlg).forEach((value, id) => E.positions.set(`${dlg.id}/${id}`, value));
+      renderGraph();
+    } else {
+      E.node = node.node_id;
+      renderGraph();
+      renderInspector();
+    }
+  };
+  window.addEventListener('pointermove', onMove);
+  window.addEventListener('pointerup', onUp);
+}
+
+/** Editor for the selected node, or the dialogue itself when none is selected. */
+function renderInspector() {
+  const host = document.getElementById('inspector');
+  const dlg = currentDialogue();
+  if (!host) return;
+  host.replaceChildren();
+  if (!dlg) return;
+  const nodes = dlg.nodes = dlg.nodes || [];
+  const redraw = () => {
+    renderGraph();
+    renderInspector();
+  };
+  const rename = (node, to) => {
+    nodes.forEach(n => (n.options || []).forEach(o => { if (o.to_id === node.node_id) o.to_id = to; }));
+    E.positions.delete(`${dlg.id}/${node.node_id}`);
+    node.node_id = to;
+    E.node = to;
+  };
+  const r = reportFor(dlg);
+  host.append(el('div', { className: 'card' },
+    el('div', { className: 'row' }, el('label', { text: 'dialogue id' }), idInput(dlg, 'id', null, () => renderView())),
+    r ? el('div', { className: 'muted', text: `${r.stats.reachable}/${r.stats.nodes} reachable, depth ${r.stats.depth}, ` +
+      `${r.stats.exits} exit node(s), ${r.stats.three_way_nodes} three-way branch(es)` }) : null,
+    el('div', { className: 'row' },
+      el('button', { text: 'Add node', onclick: () => {
+        const node = { node_id: freeId('n', dialogues().flatMap(d => (d.nodes || []).map(n => n.node_id))),
+          speaker: nodes[0]?.speaker || 'player', text: '', grants_item_ids: [], options: [] };
+        const from = nodes.find(n => n.node_id === E.node);
+        // Link the new node from the selected one so it is reachable right away
+        if (from) from.options = [...(from.options || []), { choice_text: 'New choice', to_id: node.node_id, grants_item_ids: [], tags: [] }];
+        nodes.push(node);
+        E.node = node.node_id;
+        edited();
+        redraw();
+      } }),
+      el('button', { text: 'Re-layout', onclick: () => {
+        nodes.forEach(n => E.positions.delete(`${dlg.id}/${n.node_id}`));
+        renderGraph();
+      } }),
+      el('button', { className: 'danger', text: 'Delete dialogue', onclick: () => {
+        if (!confirm(`Delete dialogue "${dlg.id}"?`)) return;
+        dialogues().splice(E.dialogue, 1);
+        E.dialogue = Math.max(0, E.dialogue - 1);
+        E.node = null;
+        edited();
+        renderView();
+      } }))));
+  const node = nodes.find(n => n.node_id === E.node);
+  if (!node) {
+    host.append(el('div', { className: 'muted', text: 'Click a node to edit it; drag nodes to arrange the graph.' }));
+    return;
+  }
+  const nodeChoices = nodes.map(n => ({ value: n.node_id, label: `${n.node_id}: ${clip(n.text, 30)}` }));
+  node.options = node.options || [];
+  host.append(el('div', { className: 'card' },
+    el('div', { className: 'row' }, el('label', { text: 'node_id' }), el('input', { value: node.node_id, onchange: e => {
+      const to = e.target.value.trim();
+      if (!to || to === node.node_id) return;
+      rename(node, to);
+      edited();
+      redraw();
+    } })),
+    fieldRow('speaker', fieldInput(node, 'speaker', redraw)),
+    fieldRow('text', el('textarea', { rows: 4, value: node.text ?? '', onchange: e => {
+      node.text = e.target.value;
+      edited();
+      renderGraph();
+    } })),
+    fieldRow('tier text', fieldInput(node, 'tier_text', redraw, [{ min_tier: 0.5, text: '' }])),
+    fieldRow('min tier', tierInput(node, 'min_tier')),
+    fieldRow('max tier', tierInput(node, 'max_tier')),
+    fieldRow('requires', fieldInput(node, 'requires', redraw, {})),
+    fieldRow('effects', fieldInput(node, 'effects', redraw, [{}])),
+    fieldRow('grants items', idListPicker(node, 'grants_item_ids', 'item', redraw)),
+    el('h4', { text: 'Options' }),
+    node.options.map((o, oi) => el('div', { className: 'card' },
+      fieldRow('choice', fieldInput(o, 'choice_text')),
+      fieldRow('leads to', select(nodeChoices, o.to_id, value => {
+        if (value) o.to_id = value;
+        else delete o.to_id;
+        edited();
+        redraw();
+      }, { none: '— end conversation —' })),
+      fieldRow('grants items', idListPicker(o, 'grants_item_ids', 'item', redraw)),
+      fieldRow('tags', fieldInput(o, 'tags')),
+      fieldRow('min tier', tierInput(o, 'min_tier')),
+      fieldRow('max tier', tierInput(o, 'max_tier')),
+      fieldRow('requires', fieldInput(o, 'requires', redraw, {})),
+      fieldRow('when unmet', fieldInput(o, 'when_unmet', redraw, 'hide')),
+      fieldRow('effects', fieldInput(o, 'effects', redraw, [{}])),
+      Object.keys(o).filter(k => !['choice_text', 'to_id', 'grants_item_ids', 'tags', 'min_tier', 'max_tier', 'requires', 'when_unmet', 'effects'].includes(k))
+        .map(k => fieldRow(k, fieldInput(o, k, redraw))),
+      el('div', { className: 'row' },
+        el('button', { text: '↑', onclick: () => { move(node.options, oi, -1); edited(); redraw(); } }),
+        el('button', { text: '↓', onclick: () => { move(node.options, oi, 1); edited(); redraw(); } }),
+        el('button', { className: 'danger', text: 'Remove option', onclick: () => {
+          node.options.splice(oi, 1);
+          edited();
+          redraw();
+        } })))),
+    el('div', { className: 'row' },
+      el('button', { text: 'Add option', onclick: () => {
+        node.options.push({ choice_text: 'Goodbye.', grants_item_ids: [], tags: [] });
+        edited();
+        redraw();
+      } }),
+      el('button', { className: 'danger', text: 'Delete node', onclick: () => {
+        if (!confirm(`Delete node "${node.node_id}"? Options leading to it will end the conversation instead.`)) return;
+        nodes.forEach(n => (n.options || []).forEach(o => { if (o.to_id === node.node_id) delete o.to_id; }));
+        nodes.splice(nodes.indexOf(node), 1);
+        E.node = null;
+        edited();
+        redraw();
+      } }))));
+}
+
+function renderDialogue(view) {
+  view.append(
+    el('div', { className: 'pane list', id: 'dialogue-list' }),
+    el('div', { className: 'pane grow', id: 'graph' }),
+    el('div', { className: 'pane inspector', id: 'inspector' }));
+  renderDialogueList();
+  renderGraph();
+  renderInspector();
+}
+
+// --- Quests ---
+
+function renderQuests(view) {
+  const list = quests();
+  const rerender = () => renderView();
+  view.append(el('div', { className: 'pane list' },
+    list.map((q, i) => el('div', { className: i === E.quest ? 'selected' : '', text: `${q.is_main ? '★ ' : ''}${q.title || q.id}`,
+      onclick: () => { E.quest = i; rerender(); } })),
+    el('button', { text: 'Add quest', onclick: () => {
+      const data = E.files.quests = E.files.quests || { quests: [] };
+      data.quests.push({ id: freeId('q', list.map(q => q.id)), title: 'New quest', is_main: false,
+        steps: [{ goal: '', location_hint: zones()[0]?.id || '', requires_item_ids: [], objective: { type: 'visit' } }] });
+      E.quest = data.quests.length - 1;
+      edited();
+      rerender();
+    } })));
+  const q = list[E.quest];
+  if (!q) {
+    view.append(el('div', { className: 'pane muted', text: 'No quests.' }));
+    return;
+  }
+  q.steps = q.steps || [];
+  const questKeys = ['id', 'steps', 'requires', 'rewards', 'time_limit', 'fail_when'];
+  const stepKeys = ['goal', 'location_hint', 'requires_item_ids', 'objective', 'rewards', 'next_step', 'branches'];
+  view.append(el('div', { className: 'pane grow' },
+    el('div', { className: 'card' },
+      el('div', { className: 'row' }, el('label', { text: 'id' }), idInput(q, 'id', 'quest', rerender)),
+      Object.keys(q).filter(k => !questKeys.includes(k)).map(k => fieldRow(k, fieldInput(q, k, rerender))),
+      fieldRow('requires', fieldInput(q, 'requires', rerender, {})),
+      fieldRow('rewards', fieldInput(q, 'rewards', rerender, {})),
+      fieldRow('time limit', optionalNumberInput(q, 'time_limit', 'none (seconds)', 1)),
+      fieldRow('fails when', fieldInput(q, 'fail_when', rerender, {})),
+      el('div', { className: 'row' }, el('button', { className: 'danger', text: 'Delete quest', onclick: () => {
+        if (!confirm(`Delete quest "${q.title || q.id}"?`)) return;
+        list.splice(E.quest, 1);
+        E.quest = Math.max(0, E.quest - 1);
+        edited();
+        rerender();
+      } }))),
+    el('h3', { text: 'Steps' }),
+    q.steps.map((step, si) => el('div', { className: 'card', id: `quests-${E.quest}-${si}` },
+      el('div', { className: 'row' }, el('label', { text: `Step ${si + 1}` }),
+        el('span', { className: 'grow' }),
+        el('button', { text: '↑', onclick: () => { move(q.steps, si, -1); edited(); rerender(); } }),
+        el('button', { text: '↓', onclick: () => { move(q.steps, si, 1); edited(); rerender(); } }),
+        el('button', { className: 'danger', text: 'Remove', onclick: () => { q.steps.splice(si, 1); edited(); rerender(); } })),
+      fieldRow('goal', el('textarea', { rows: 2, value: step.goal ?? '', onchange: e => { step.goal = e.target.value; edited(); } })),
+      fieldRow('location', fieldInput(step, 'location_hint', rerender)),
+      fieldRow('requires items', idListPicker(step, 'requires_item_ids', 'item', rerender)),
+      fieldRow('objective', fieldInput(step, 'objective', rerender, { type: 'visit' })),
+      fieldRow('rewards', fieldInput(step, 'rewards', rerender, {})),
+      fieldRow('next step', optionalNumberInput(step, 'next_step', 'the following step (index from 0)')),
+      fieldRow('branches', fieldInput(step, 'branches', rerender, [{}])),
+      Object.keys(step).filter(k => !stepKeys.includes(k)).map(k => fieldRow(k, fieldInput(step, k, rerender))))),
+    el('button', { text: 'Add step', onclick: () => {
+      q.steps.push({ goal: '', location_hint: q.steps[q.steps.length - 1]?.location_hint || zones()[0]?.id || '', requires_item_ids: [], objective: { type: 'visit' } });
+      edited();
+      rerender();
+    } })));
+}
+
+// --- Issues and navigation ---
+
+/** Jump to the place an issue points at, e.g. dialogues[2].nodes[3].options[0]. */
+function openIssue(issue) {
+  const index = name => {
+    const m = issue.path.match(new RegExp(`${name}\\[(\\d+)\\]`));
+    return m ? Number(m[1]) : null;
+  };
+  const tab = issue.file === 'world_spec' ? TABS[0] : TABS.find(t => t.file === issue.file);
+  if (!tab) return;
+  E.tab = tab.id;
+  E.flash = null;
+  if (tab.id === 'dialogue' && index('dialogues') !== null) {
+    E.dialogue = index('dialogues');
+    const node = currentDialogue()?.nodes?.[index('nodes')];
+    E.node = node ? node.node_id : null;
+  } else if (tab.id === 'quests' && index('quests') !== null) {
+    E.quest = index('quests');
+  } else if (tab.list && index(tab.list) !== null) {
+    E.flash = `${tab.id}-${index(tab.list)}`;
+  } else if (tab.id === 'world') {
+    const list = issue.path.startsWith('npcs') ? 'npcs' : 'zones';
+    if (index(list) !== null) E.flash = `${list}-${index(list)}`;
+  }
+  renderView();
+  const target = E.flash && document.getElementById(E.flash);
+  if (target) target.scrollIntoView({ block: 'center' });
+  else if (tab.id === 'quests' && index('steps') !== null) {
+    document.getElementById(`quests-${E.quest}-${index('steps')}`)?.scrollIntoView({ block: 'center' });
+  }
+}
+
+function renderIssues() {
+  const host = document.getElementById('issues');
+  const errors = E.issues.filter(i => i.level === 'error').length;
+  host.replaceChildren(
+    el('div', { className: 'muted', text: E.issues.length === 0 ? 'No reference issues.' :
+      `${errors} error(s), ${E.issues.length - errors} warning(s); click one to jump to it` }),
+    ...E.issues.map(i => el('div', { className: `issue ${i.level}`, onclick: () => openIssue(i),
+      text: `${i.level} ${i.file}.json ${i.path}: ${i.message}` })));
+}
+
+// --- Layout ---
+
+function renderTabs() {
+  document.getElementById('tabs').replaceChildren(...TABS.map(t => el('button', {
+    className: t.id === E.tab ? 'active' : null,
+    text: t.label,
+    onclick: () => {
+      E.tab = t.id;
+      E.flash = null;
+      renderView();
+    }
+  })));
+}
+
+function renderView() {
+  renderTabs();
+  const view = document.getElementById('view');
+  view.replaceChildren();
+  if (!E.files) return;
+  const tab = TABS.find(t => t.id === E.tab);
+  if (tab.id === 'world') renderWorld(view);
+  else if (tab.id === 'dialogue') renderDialogue(view);
+  else if (tab.id === 'quests') renderQuests(view);
+  else renderTable(view, tab);
+}
+
+// --- Loading, saving and preview ---
+
+async function openWorld(id) {
+  if (E.dirty && !confirm('Discard unsaved changes?')) {
+    document.getElementById('world-select').value = E.id;
+    return;
+  }
+  let json;
+  try {
+    json = await api('GET', `/api/worlds/${encodeURIComponent(id)}`);
+  } catch (err) {
+    document.getElementById('world-select').value = E.id;
+    setStatus(`Could not open ${id}: ${err.message}`);
+    return;
+  }
+  Object.assign(E, { id, files: json.files, dialogue: 0, node: null, quest: 0, dirty: false, flash: null });
+  E.positions.clear();
+  setStatus('');
+  renderView();
+  await runCheck();
+}
+
+async function save() {
+  const url = `/api/worlds/${encodeURIComponent(E.id)}`;
+  try {
+    let result;
+    try {
+      result = await api('PUT', url, { files: E.files });
+    } catch (err) {
+      if (err.status !== 422 || !confirm(`${err.message}. Save anyway?`)) throw err;
+      result = await api('PUT', url, { files: E.files, force: true });
+    }
+    E.dirty = false;
+    E.issues = result.issues;
+    E.graph = result.dialogue;
+    setStatus(`Saved to ${result.saved}`);
+    renderIssues();
+  } catch (err) {
+    setStatus(`Not saved: ${err.message}`);
+  }
+}
+
+async function autoFix() {
+  let result;
+  try {
+    result = await api('POST', '/api/fix', { files: E.files });
+  } catch (err) {
+    setStatus(`Auto-fix failed: ${err.message}`);
+    return;
+  }
+  E.files = result.files;
+  E.issues = result.issues;
+  E.graph = result.dialogue;
+  if (result.fixed > 0) {
+    E.dirty = true;
+    setStatus(`Fixed ${result.fixed} reference issue(s); unsaved`);
+  } else setStatus('Nothing to fix automatically');
+  renderView();
+  renderIssues();
+}
+
+/** Hand the unsaved files to the server and (re)load the game with them in one tab. */
+async function preview() {
+  try {
+    const { url } = await api('POST', '/api/preview', { id: E.id, files: E.files });
+    window.open(url, 'world-preview');
+  } catch (err) {
+    setStatus(`Preview failed: ${err.message}`);
+  }
+}
+
+window.addEventListener('DOMContentLoaded', async () => {
+  const picker = document.getElementById('world-select');
+  let worlds;
+  try {
+    ({ worlds } = await api('GET', '/api/worlds'));
+  } catch (err) {
+    setStatus(`Could not list worlds: ${err.message}`);
+    return;
+  }
+  E.worlds = worlds;
+  picker.replaceChildren(...worlds.map(w => el('option', { value: w.id, text: `${w.title || w.id} — ${w.theme || ''}` })));
+  picker.addEventListener('change', () => openWorld(picker.value));
+  document.getElementById('reload').addEventListener('click', () => openWorld(E.id));
+  document.getElementById('save').addEventListener('click', save);
+  document.getElementById('fix').addEventListener('click', autoFix);
+  document.getElementById('preview').addEventListener('click', preview);
+  window.addEventListener('beforeunload', e => {
+    if (E.dirty) e.preventDefault();
+  });
+  const requested = new URLSearchParams(window.location.search).get('world');
+  if (!worlds.length) {
+    setStatus('No worlds found; run the pipeline first');
+    return;
+  }
+  const first = worlds.some(w => w.id === requested) ? requested : worlds[0].id;
+  picker.value = first;
+  await openWorld(first);
+});
@@ -0,0 +1,150 @@
+/*
+ * config.js
+ *
+ * Pipeline configuration. pipeline.config.json sets model settings and
+ * payload values (content counts and the like) per stage and can declare
+ * custom stages with their own prompt file and output name:
+ *
+ *   {
+ *     "defaults": { "model": "...", "temperature": 0.1, "max_tokens": null, "seed": null, "stop": [] },
+ *     "stages": {
+ *       "dialogue": { "model": "big-model", "payload": { "interactions": 8 } }
+ *     },
+ *     "custom_stages": [
+ *       { "name": "factions", "prompt": "engineer_factions_system.md", "output": "factions.json",
+ *         "inputs": ["world"], "payload": { "total": 4 } }
+ *     ]
+ *   }
+ *
+ * Settings resolve as built-in defaults < config "defaults" < per-stage
+ * entry < command line `--set` overrides.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/** Model settings every stage has. `null` leaves the provider default. */
+export const DEFAULT_SETTINGS = {
+  model: 'Qwen2.5-7B-Instruct',
+  temperature: 0.1,
+  max_tokens: null,
+  seed: null,
+  stop: []
+};
+
+const SETTING_KEYS = Object.keys(DEFAULT_SETTINGS);
+const STAGE_KEYS = [...SETTING_KEYS, 'payload'];
+const CUSTOM_KEYS = [...STAGE_KEYS, 'name', 'label', 'prompt', 'output', 'inputs'];
+
+/**
+ * Read a config file. A missing file yields an empty config unless it was
+ * asked for explicitly (`required`).
+ */
+export function loadConfig(file, required = false) {
+  if (!fs.existsSync(file)) {
+    if (required) throw new Error(`Config file ${file} does not exist`);
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Config file ${file} is not valid JSON: ${err.message}`);
+  }
+}
+
+/** Parse a `--set` value: JSON when it parses (numbers, arrays, null), else a string. */
+function parseValue(raw) {
+  try { return JSON.parse(raw); } catch (_) { return raw; }
+}
+
+/**
+ * Apply a command line override such as `dialogue.model=big-model`,
+ * `defaults.temperature=0.3` or `inventory.payload.total=60` to a config.
+ */
+export function applyOverride(config, assignment) {
+  const eq = assignment.indexOf('=');
+  if (eq < 0) throw new Error(`--set expects <stage>.<key>=<value>, got "${assignment}"`);
+  const keys = assignment.slice(0, eq).split('.');
+  const value = parseValue(assignment.slice(eq + 1));
+  if (keys.length < 2) throw new Error(`--set expects <stage>.<key>=<value>, got "${assignment}"`);
+  let target;
+  if (keys[0] === 'defaults') {
+    target = config.defaults = { ...config.defaults };
+  } else {
+    const custom = (config.custom_stages || []).find(st => st.name === keys[0]);
+    config.stages = { ...config.stages };
+    target = custom || (config.stages[keys[0]] = { ...config.stages[keys[0]] });
+  }
+  keys.slice(1, -1).forEach(key => { target = target[key] = { ...target[key] }; });
+  target[keys[keys.length - 1]] = value;
+  return config;
+}
+
+/** Throw if an object carries keys outside the allowed list. */
+function checkKeys(obj, allowed, where) {
+  Object.keys(obj || {}).forEach(key => {
+    if (!allowed.includes(key)) throw new Error(`Unknown key "${key}" in ${where}; allowed: ${allowed.join(', ')}`);
+  });
+}
+
+/** Pick the model settings out of a stage entry. */
+function settingsOf(entry = {}) {
+  return Object.fromEntries(SETTING_KEYS.filter(k => k in entry).map(k => [k, entry[k]]));
+}
+
+/**
+ * Combine the built-in stages with a config. Returns the final stage list,
+ * each stage carrying resolved `settings` and `payload`; custom stages are
+ * appended and receive their inputs' outputs keyed by stage name.
+ */
+export function resolveStages(builtins, config, promptsDir) {
+  checkKeys(config, ['defaults', 'stages', 'custom_stages'], 'pipeline config');
+  checkKeys(config.defaults, SETTING_KEYS, 'defaults');
+  const defaults = { ...DEFAULT_SETTINGS, ...config.defaults };
+  const custom = (config.custom_stages || []).map((entry, i) => {
+    const where = `custom_stages[${i}]`;
+    checkKeys(entry, CUSTOM_KEYS, where);
+    ['name', 'prompt', 'output'].forEach(key => {
+      if (typeof entry[key] !== 'string' || !entry[key]) throw new Error(`${where}.${key} must be a non-empty string`);
+    });
+    if (!fs.existsSync(path.join(promptsDir, entry.prompt))) {
+      throw new Error(`${where}: prompt file prompts/${entry.prompt} does not exist`);
+    }
+    const inputs = entry.inputs || ['world'];
+    return {
+      name: entry.name,
+      label: entry.label || `${entry.name} engineer`,
+      prompt: entry.prompt,
+      output: entry.output,
+      inputs,
+      custom: true,
+      input: outputs => Object.fromEntries(inputs.map(name => [name, outputs[name]])),
+      payload: entry.payload || {},
+      settings: { ...defaults, ...settingsOf(entry) }
+    };
+  });
+  const stages = [
+    ...builtins.map(st => {
+      const entry = config.stages?.[st.name] || {};
+      return {
+        ...st,
+        payload: { ...st.payload, ...entry.payload },
+        settings: { ...defaults, ...settingsOf(entry) }
+      };
+    }),
+    ...custom
+  ];
+  const names = stages.map(st => st.name);
+  const dup = names.find((name, i) => names.indexOf(name) !== i);
+  if (dup) throw new Error(`Stage "${dup}" is defined more than once`);
+  const outputs = stages.map(st => st.output);
+  const dupOut = outputs.find((out, i) => outputs.indexOf(out) !== i);
+  if (dupOut) throw new Error(`More than one stage writes ${dupOut}`);
+  Object.entries(config.stages || {}).forEach(([name, entry]) => {
+    if (!builtins.some(st => st.name === name)) {
+      throw new Error(`Config has settings for unknown stage "${name}"; built-in stages: ${builtins.map(st => st.name).join(', ')}`);
+    }
+    checkKeys(entry, STAGE_KEYS, `stages.${name}`);
+  });
+  return stages;
+}
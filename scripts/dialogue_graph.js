@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+/*
+ * dialogue_graph.js
+ *
+ * Graph analysis for dialogues. A dialogue starts at its first node and
+ * every option either moves to another node (`to_id`) or, without one, ends
+ * the conversation. For each dialogue this reports the nodes that cannot be
+ * reached, links to nodes that do not exist, dead ends (nodes with no way
+ * on), cycles the player cannot leave and branching statistics.
+ *
+ * repairDialogue() fixes what needs no judgement: broken links become exits,
+ * dead ends and closed cycles get a "Goodbye." exit and unreachable nodes
+ * are pruned. Dialogues that are too short or link to missing nodes are
+ * worth asking the model for again; repairDialogues() does that through a
+ * caller supplied `ask` function before repairing.
+ *
+ * Usage: node scripts/dialogue_graph.js [dir] [--fix]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import process from 'process';
+import { fileURLToPath } from 'url';
+
+/** Fewest reachable nodes a dialogue should have (see engineer_dialogue_system.md). */
+export const MIN_NODES = 5;
+
+/** Option appended to nodes the player could otherwise not leave. */
+const GOODBYE = { choice_text: 'Goodbye.', grants_item_ids: [], tags: [] };
+
+/** Ids a node's options lead to, ignoring exits and broken links. */
+function targets(node, byId) {
+  return (node.options || []).map(o => o.to_id).filter(id => id && byId.has(id));
+}
+
+/** Whether a node has an option that ends the conversation. */
+function hasExit(node) {
+  return (node.options || []).some(o => !o.to_id);
+}
+
+/**
+ * Strongly connected components of the reachable nodes (Tarjan). Only
+ * components that actually loop are returned: more than one node, or a
+ * node linking to itself.
+ */
+function cycles(reachable, byId) {
+  const index = new Map();
+  const low = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const found = [];
+  let counter = 0;
+  const visit = id => {
+    index.set(id, counter);
+    low.set(id, counter++);
+    stack.push(id);
+    onStack.add(id);
+    targets(byId.get(id), byId).forEach(next => {
+      if (!index.has(next)) {
+        visit(next);
+        low.set(id, Math.min(low.get(id), low.get(next)));
+      } else if (onStack.has(next)) {
+        low.set(id, Math.min(low.get(id), index.get(next)));
+      }
+    });
+    if (low.get(id) !== index.get(id)) return;
+    const component = [];
+    let top;
+    do {
+      top = stack.pop();
+      onStack.delete(top);
+      component.push(top);
+    } while (top !== id);
+    if (component.length > 1 || targets(byId.get(id), byId).includes(id)) found.push(component.reverse());
+  };
+  reachable.forEach(id => { if (!index.has(id)) visit(id); });
+  return found;
+}
+
+/**
+ * Analyse one dialogue. Returns
+ * `{ id, stats, unreachable, broken_links, dead_ends, exitless_cycles, too_short }`
+ * where `stats` holds node, exit and branching counts, `broken_links` lists
+ * `{ node_id, option, to_id }` and `exitless_cycles` lists node id groups
+ * the player can enter but never leave.
+ */
+export function analyseDialogue(dlg, { minNodes = MIN_NODES } = {}) {
+  const nodes = dlg.nodes || [];
+  const byId = new Map(nodes.map(n => [n.node_id, n]));
+  // Breadth-first from the start node gives reachability and depth
+  const depth = new Map();
+  if (nodes.length > 0) depth.set(nodes[0].node_id, 0);
+  const queue = nodes.length > 0 ? [nodes[0].node_id] : [];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    targets(byId.get(id), byId).forEach(next => {
+      if (!depth.has(next)) {
+        depth.set(next, depth.get(id) + 1);
+        queue.push(next);
+      }
+    });
+  }
+  const reachable = nodes.map(n => n.node_id).filter(id => depth.has(id));
+  const broken = nodes.flatMap(n => (n.options || []).map((o, oi) => ({ node_id: n.node_id, option: oi, to_id: o.to_id }))
+    .filter(l => l.to_id && !byId.has(l.to_id)));
+  const deadEnds = reachable.filter(id => !hasExit(byId.get(id)) && targets(byId.get(id), byId).length === 0);
+  // Walk backwards from every exit to find the nodes the player can leave from
+  const leaving = new Set(reachable.filter(id => hasExit(byId.get(id))));
+  let grew = true;
+  while (grew) {
+    grew = false;
+    reachable.forEach(id => {
+      if (!leaving.has(id) && targets(byId.get(id), byId).some(next => leaving.has(next))) {
+        leaving.add(id);
+        grew = true;
+      }
+    });
+  }
+  const exitless = cycles(reachable, byId).filter(group => !group.some(id => leaving.has(id)));
+  const branching = reachable.map(id => byId.get(id)).filter(n => (n.options || []).length > 0);
+  return {
+    id: dlg.id,
+    stats: {
+      nodes: nodes.length,
+      reachable: reachable.length,
+      exits: reachable.filter(id => hasExit(byId.get(id))).length,
+      depth: Math.max(0, ...depth.values()),
+      branching_factor: branching.length ? branching.reduce((sum, n) => sum + n.options.length, 0) / branching.length : 0,
+      max_options: Math.max(0, ...branching.map(n => n.options.length)),
+      three_way_nodes: branching.filter(n => new Set(targets(n, byId)).size >= 3).length
+    },
+    unreachable: nodes.map(n => n.node_id).filter(id => !depth.has(id)),
+    broken_links: broken,
+    dead_ends: deadEnds,
+    exitless_cycles: exitless,
+    too_short: reachable.length < minNodes
+  };
+}
+
+/** Human readable problems of an analysed dialogue; empty when it is sound. */
+export function describeProblems(report, { minNodes = MIN_NODES } = {}) {
+  const problems = [];
+  if (report.too_short) problems.push(`only ${report.stats.reachable} reachable node(s), at least ${minNodes} wanted`);
+  report.broken_links.forEach(l => problems.push(`node "${l.node_id}" option ${l.option} links to missing node "${l.to_id}"`));
+  if (report.unreachable.length) problems.push(`unreachable node(s): ${report.unreachable.join(', ')}`);
+  if (report.dead_ends.length) problems.push(`dead end(s) with no options: ${report.dead_ends.join(', ')}`);
+  report.exitless_cycles.forEach(c => problems.push(`cycle without an exit: ${c.join(' -> ')}`));
+  return problems;
+}
+
+/**
+ * Whether a dialogue should go back to the model: mechanical repairs can
+ * end a conversation early but cannot write the missing content.
+ */
+export function needsRegeneration(report) {
+  return report.too_short || report.broken_links.length > 0;
+}
+
+/**
+ * Repair a dialogue in place: broken links become exits, dead ends and
+ * exitless cycles get a "Goodbye." option and unreachable nodes are
+ * removed. Returns a description of every change made.
+ */
+export function repairDialogue(dlg) {
+  const changes = [];
+  const nodes = dlg.nodes || [];
+  const ids = new Set(nodes.map(n => n.node_id));
+  nodes.forEach(node => (node.options || []).forEach(opt => {
+    if (opt.to_id && !ids.has(opt.to_id)) {
+      changes.push(`${dlg.id}: "${node.node_id}" option "${opt.choice_text}" ended the link to missing "${opt.to_id}"`);
+      delete opt.to_id;
+    }
+  }));
+  const addGoodbye = id => {
+    const node = nodes.find(n => n.node_id === id);
+    node.options = [...(node.options || []), structuredClone(GOODBYE)];
+  };
+  let report = analyseDialogue(dlg);
+  report.dead_ends.forEach(id => {
+    addGoodbye(id);
+    changes.push(`${dlg.id}: added a goodbye to dead end "${id}"`);
+  });
+  // One exit per closed cycle is enough; reanalyse since new exits may
+  // already open some of them
+  report = analyseDialogue(dlg);
+  report.exitless_cycles.forEach(group => {
+    addGoodbye(group[0]);
+    changes.push(`${dlg.id}: added a goodbye to "${group[0]}" to leave cycle ${group.join(' -> ')}`);
+  });
+  if (report.unreachable.length > 0) {
+    const unreachable = new Set(report.unreachable);
+    dlg.nodes = nodes.filter(n => !unreachable.has(n.node_id));
+    changes.push(`${dlg.id}: pruned unreachable node(s) ${report.unreachable.join(', ')}`);
+  }
+  return changes;
+}
+
+/** How bad a report is, to compare an original dialogue with its regeneration. */
+function severity(report) {
+  return (report.too_short ? 10 : 0) + 5 * report.broken_links.length + report.unreachable.length +
+    report.dead_ends.length + report.exitless_cycles.length;
+}
+
+/**
+ * Analyse and repair every dialogue of a dialogue.json object in place.
+ * When `ask(dialogue, problems)` is given, dialogues that need it (see
+ * needsRegeneration) are sent back to the model first; it resolves with a
+ * replacement `{ dialogues: [one] }`, which is kept under the original id
+ * when it is better than what it replaces. A failed request keeps the
+ * original unless `signal` was aborted. Returns
+ * `{ regenerated, changes, reports }` with the reports of the final result.
+ */
+export async function repairDialogues(data, { ask = null, signal = null, log = () => {} } = {}) {
+  const regenerated = [];
+  const changes = [];
+  const dialogues = data.dialogues || [];
+  for (let i = 0; i < dialogues.length; i++) {
+    const report = analyseDialogue(dialogues[i]);
+    if (ask && needsRegeneration(report)) {
+      const problems = describeProblems(report);
+      log(`  dialogue ${dialogues[i].id}: regenerating (${problems.join('; ')})`);
+      try {
+        const answer = await ask(dialogues[i], problems);
+        const fresh = { ...answer.dialogues[0], id: dialogues[i].id };
+        if (severity(analyseDialogue(fresh)) < severity(report)) {
+          dialogues[i] = fresh;
+          regenerated.push(fresh.id);
+        } else {
+          log(`  dialogue ${fresh.id}: regeneration was no better, keeping the original`);
+        }
+      } catch (err) {
+        if (signal?.aborted) throw err;
+        log(`  dialogue ${dialogues[i].id}: regeneration failed (${err.message.split('\n')[0]}), keeping the original`);
+      }
+    }
+    changes.push(...repairDialogue(dialogues[i]));
+  }
+  return { regenerated, changes, reports: dialogues.map(d => analyseDialogue(d)) };
+}
+
+/** Format reports as one summary line per dialogue plus its problems. */
+export function formatGraphReport(reports) {
+  const lines = [];
+  reports.forEach(r => {
+    const s = r.stats;
+    lines.push(`${String(r.id).padEnd(12)} ${s.reachable}/${s.nodes} nodes reachable, depth ${s.depth}, ` +
+      `branching ${s.branching_factor.toFixed(2)} (max ${s.max_options}, ${s.three_way_nodes} three-way), ${s.exits} exit node(s)`);
+    describeProblems(r).forEach(p => lines.push(`  ${p}`));
+  });
+  const broken = reports.filter(r => describeProblems(r).length > 0).length;
+  lines.push(`${reports.length} dialogue(s), ${broken} with problems`);
+  return lines.join('\n');
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const fix = args.includes('--fix');
+  const __filename = fileURLToPath(import.meta.url);
+  const rootDir = path.join(path.dirname(__filename), '..');
+  const dir = path.resolve(args.find(a => !a.startsWith('--')) || path.join(rootDir, 'app', 'data'));
+  const file = path.join(dir, 'dialogue.json');
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (fix) {
+    const changes = (data.dialogues || []).flatMap(repairDialogue);
+    fs.writeFileSync(file, JSON.stringify(data, null, 2));
+    changes.forEach(c => console.log(`  ${c}`));
+    console.log(`Made ${changes.length} repair(s) in ${file}`);
+  }
+  const reports = (data.dialogues || []).map(d => analyseDialogue(d));
+  console.log(formatGraphReport(reports));
+  if (reports.some(r => describeProblems(r).length > 0)) process.exit(1);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main();
+}
@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+/*
+ * editor.js
+ *
+ * Local content editor for generated worlds. Serves the browser UI in
+ * editor/ and the game in app/ (under /game/) and offers a small JSON API
+ * to open the default world (app/data) or a library bundle, check edits
+ * with the same reference rules as lint_world.js, save them back and
+ * preview them in the game:
+ *
+ *   GET  /api/worlds          default world plus every bundle in the index
+ *   GET  /api/worlds/<id>     the world files of one world
+ *   PUT  /api/worlds/<id>     save `{ files, force }`; refused while lint errors remain unless forced
+ *   POST /api/check           lint issues and dialogue graph reports for `{ files }`
+ *   POST /api/fix             `{ files }` with every automatic lint fix applied
+ *   POST /api/preview         keep `{ id, files }` as the world served at /game/worlds/_preview/
+ *
+ * Usage: node scripts/editor.js [--port <n>]   (EDITOR_PORT also sets the port)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import process from 'process';
+import { fileURLToPath } from 'url';
+import { WORLD_FILES, loadWorld, saveWorld, lintWorld, fixWorld } from './lint_world.js';
+import { readIndex, bundleDir, markEdited } from './library.js';
+import { analyseDialogue } from './dialogue_graph.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const rootDir = path.join(path.dirname(__filename), '..');
+const appDir = path.join(rootDir, 'app');
+const editorDir = path.join(rootDir, 'editor');
+const worldsDir = path.join(appDir, 'worlds');
+
+/** Bundle id the game loads the unsaved preview from. */
+const PREVIEW_ID = '_preview';
+// Request bodies above this size are refused
+const MAX_BODY = 10 * 1024 * 1024;
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.md': 'text/plain; charset=utf-8'
+};
+
+/** Error answered with its HTTP status and message as JSON. */
+class RequestError extends Error {
+  constructor(status, message, extra = {}) {
+    super(message);
+    this.name = 'RequestError';
+    this.status = status;
+    this.extra = extra;
+  }
+}
+
+/** Directory of a world: `default` is app/data, anything else must be a bundle in the index. */
+function worldDir(id) {
+  if (id === 'default') return path.join(appDir, 'data');
+  try {
+    return bundleDir(worldsDir, id);
+  } catch (err) {
+    throw new RequestError(404, err.message);
+  }
+}
+
+/** Only the known world files of a request body, so nothing else is ever written. */
+function worldFiles(body) {
+  const files = body?.files;
+  if (!files || typeof files !== 'object') throw new RequestError(400, 'Expected a JSON body with "files"');
+  return Object.fromEntries(WORLD_FILES.filter(name => files[name] && typeof files[name] === 'object')
+    .map(name => [name, files[name]]));
+}
+
+/** Lint issues without their fix functions, plus a graph report per dialogue. */
+function check(world) {
+  const issues = lintWorld(world).map(({ level, file, path: at, message, fix }) => ({ level, file, path: at, message, fixable: Boolean(fix) }));
+  const dialogue = (world.dialogue?.dialogues || []).map(d => analyseDialogue(d));
+  return { issues, dialogue };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        reject(new RequestError(413, 'Request body too large'));
+        req.destroy();
+      } else chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+      } catch (err) {
+        reject(new RequestError(400, `Invalid JSON: ${err.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJSON(res, status, json) {
+  res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'], 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(json));
+}
+
+/** Serve a file below `dir`, refusing paths that climb out of it. */
+function sendFile(res, dir, rel) {
+  const file = path.join(dir, path.normalize(decodeURIComponent(rel)).replace(/^([/\\]|\.\.[/\\])+/, ''));
+  if (!file.startsWith(dir + path.sep) && file !== dir) throw new RequestError(403, 'Forbidden');
+  const target = fs.existsSync(file) && fs.statSync(file).isDirectory() ? path.join(file, 'index.html') : file;
+  if (!fs.existsSync(target)) throw new RequestError(404, `Not found: ${rel}`);
+  res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(target)] || 'application/octet-stream', 'Cache-Control': 'no-store' });
+  // Headers are already out, so a read error can only cut the response short
+  fs.createReadStream(target).on('error', () => res.destroy()).pipe(res);
+}
+
+/**
+ * Create the editor server. The preview draft lives in memory: its world
+ * files are served from the draft and everything else (map, sprites) from
+ * the world it was opened from.
+ */
+export function createEditorServer() {
+  let preview = null;
+
+  const api = async (req, res, route) => {
+    const [name, id] = route.split('/');
+    if (name === 'worlds' && !id && req.method === 'GET') {
+      const spec = loadWorld(worldDir('default')).world_spec;
+      return sendJSON(res, 200, {
+        worlds: [{ id: 'default', title: spec?.title || 'Default world', theme: 'app/data' }, ...readIndex(worldsDir).worlds]
+      });
+    }
+    if (name === 'worlds' && id && req.method === 'GET') {
+      const worldId = decodeURIComponent(id);
+      return sendJSON(res, 200, { id: worldId, files: loadWorld(worldDir(worldId)) });
+    }
+    if (name === 'worlds' && id && req.method === 'PUT') {
+      const worldId = decodeURIComponent(id);
+      const dir = worldDir(worldId);
+      const body = await readBody(req);
+      const world = worldFiles(body);
+      const result = check(world);
+      const errors = result.issues.filter(i => i.level === 'error');
+      if (errors.length > 0 && !body.force) {
+        throw new RequestError(422, `${errors.length} lint error(s); fix them or save anyway`, result);
+      }
+      saveWorld(dir, world);
+      if (worldId !== 'default') markEdited(worldsDir, worldId);
+      console.log(`Saved ${Object.keys(world).length} file(s) to ${path.relative(rootDir, dir)}`);
+      return sendJSON(res, 200, { saved: path.relative(rootDir, dir), ...result });
+    }
+    if (name === 'check' && req.method === 'POST') {
+      return sendJSON(res, 200, check(worldFiles(await readBody(req))));
+    }
+    if (name === 'fix' && req.method === 'POST') {
+      const world = worldFiles(await readBody(req));
+      const fixed = fixWorld(world);
+      return sendJSON(res, 200, { files: world, fixed, ...check(world) });
+    }
+    if (name === 'preview' && req.method === 'POST') {
+      const body = await readBody(req);
+      preview = { dir: worldDir(body.id || 'default'), files: worldFiles(body) };
+      return sendJSON(res, 200, { url: `/game/index.html?world=${PREVIEW_ID}` });
+    }
+    throw new RequestError(404, `No route ${req.method} /api/${route}`);
+  };
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      if (url.pathname.startsWith('/api/')) return await api(req, res, url.pathname.slice(5));
+      if (req.method !== 'GET') throw new RequestError(405, 'Method not allowed');
+      const previewPrefix = `/game/worlds/${PREVIEW_ID}/`;
+      if (url.pathname.startsWith(previewPrefix)) {
+        if (!preview) throw new RequestError(404, 'Nothing to preview yet; use "Preview in game" in the editor');
+        const file = url.pathname.slice(previewPrefix.length);
+        const name = file.replace(/\.json$/, '');
+        if (preview.files[name]) return sendJSON(res, 200, preview.files[name]);
+        return sendFile(res, preview.dir, file);
+      }
+      if (url.pathname === '/game') {
+        res.writeHead(302, { Location: '/game/' });
+        return res.end();
+      }
+      if (url.pathname.startsWith('/game/')) return sendFile(res, appDir, url.pathname.slice('/game/'.length));
+      return sendFile(res, editorDir, url.pathname.slice(1));
+    } catch (err) {
+      if (!(err instanceof RequestError)) console.error(err);
+      if (!res.headersSent) sendJSON(res, err.status || 500, { error: err.message, ...err.extra });
+      else res.end();
+    }
+  });
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const at = args.indexOf('--port');
+  const port = Number(at >= 0 ? args[at + 1] : process.env.EDITOR_PORT || 5001);
+  if (!(port > 0)) throw new Error('--port must be a port number');
+  createEditorServer().listen(port, '127.0.0.1', () => {
+    console.log(`World editor at http://127.0.0.1:${port}/ (game at /game/); Ctrl+C to stop`);
+  });
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main();
+}
@@ -0,0 +1,187 @@
+/*
+ * http.js
+ *
+ * JSON-over-HTTP helpers shared by the LLM providers, built on the Node
+ * http/https modules so the pipeline needs no external libraries. Requests
+ * time out when the server goes quiet, are retried with exponential backoff
+ * on connection errors, 429 and 5xx responses, and fail with an HttpError
+ * carrying the status and an excerpt of the body. httpPostStream() reads
+ * server-sent events (or Ollama-style newline-delimited JSON) as they arrive.
+ */
+
+import http from 'http';
+import https from 'https';
+
+/** Error for a failed request; `status` is absent for connection errors. */
+export class HttpError extends Error {
+  constructor(message, { url, status, body, retryable = false, retryAfter } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.url = url;
+    this.status = status;
+    this.body = body;
+    this.retryable = retryable;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/** Shorten a response body for error messages. */
+function excerpt(body, max = 300) {
+  const flat = String(body || '').replace(/\s+/g, ' ').trim();
+  if (!flat) return '(empty body)';
+  return flat.length > max ? `${flat.slice(0, max)}...` : flat;
+}
+
+/**
+ * Open a POST request and resolve with the response once headers arrive.
+ * Non-2xx responses are read in full and rejected as HttpError. `timeout`
+ * (ms) is an idle timeout: it fires when the socket sees no traffic, and
+ * once the response has been handed over it destroys the response with a
+ * retryable HttpError, so the caller reading the body sees why it stopped.
+ */
+function openPost(url, body, { timeout, signal }) {
+  return new Promise((resolve, reject) => {
+    let response = null;
+    const parsed = new URL(url);
+    const isHttps = parsed.protocol === 'https:';
+    const options = {
+      method: 'POST',
+      hostname: parsed.hostname,
+      port: parsed.port || (isHttps ? 443 : 80),
+      path: parsed.pathname + parsed.search,
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+      signal
+    };
+    const lib = isHttps ? https : http;
+    const req = lib.request(options, res => {
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        response = res;
+        resolve({ req, res });
+        return;
+      }
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => {
+        const status = res.statusCode;
+        const retryAfter = Number(res.headers['retry-after']) * 1000 || undefined;
+        reject(new HttpError(`POST ${url} failed with HTTP ${status}: ${excerpt(data)}`, {
+          url, status, body: data, retryable: status === 429 || status >= 500, retryAfter
+        }));
+      });
+    });
+    req.setTimeout(timeout, () => {
+      if (response) {
+        response.destroy(new HttpError(`POST ${url} timed out after ${timeout / 1000}s without more of the response`, {
+          url, status: response.statusCode, retryable: true
+        }));
+      } else {
+        req.destroy(new HttpError(`POST ${url} timed out after ${timeout / 1000}s without a response`, { url, retryable: true }));
+      }
+    });
+    req.on('error', err => {
+      if (err instanceof HttpError || err.name === 'AbortError') reject(err);
+      else reject(new HttpError(`POST ${url} failed: ${err.message}`, { url, retryable: true }));
+    });
+    req.end(body);
+  });
+}
+
+/** Resolve after `ms`, or reject early when the signal aborts. */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) { reject(signal.reason); return; }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => { clearTimeout(timer); reject(signal.reason); }, { once: true });
+  });
+}
+
+/**
+ * Run `attempt()` and retry retryable HttpErrors with exponential backoff
+ * (0.5s, 1s, 2s, ... plus jitter, or the server's Retry-After).
+ */
+async function withRetries(attempt, { retries, signal, onRetry }) {
+  for (let n = 0; ; n++) {
+    try {
+      return await attempt();
+    } catch (err) {
+      if (!(err instanceof HttpError) || !err.retryable || n >= retries || signal?.aborted) throw err;
+      const delay = err.retryAfter ?? 500 * 2 ** n + Math.random() * 250;
+      onRetry?.(err, n + 1, delay);
+      await sleep(delay, signal);
+    }
+  }
+}
+
+const DEFAULTS = { timeout: 300000, retries: 3 };
+
+/**
+ * POST a JSON body and resolve with the parsed JSON response.
+ * Options: `timeout` (ms), `retries`, `signal` (AbortSignal), `onRetry`.
+ */
+export async function httpPost(url, body, opts = {}) {
+  const { timeout, retries, signal, onRetry } = { ...DEFAULTS, ...opts };
+  return withRetries(async () => {
+    const { res } = await openPost(url, body, { timeout, signal });
+    const data = await new Promise((resolve, reject) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => resolve(text));
+      res.on('error', err => {
+        if (signal?.aborted) reject(signal.reason);
+        else if (err instanceof HttpError || err.name === 'AbortError') reject(err);
+        else reject(new HttpError(`POST ${url} response was cut off: ${err.message}`, { url, status: res.statusCode, retryable: true }));
+      });
+    });
+    try {
+      return JSON.parse(data);
+    } catch (_) {
+      throw new HttpError(`POST ${url} returned HTTP ${res.statusCode} with a body that is not JSON: ${excerpt(data)}`, {
+        url, status: res.statusCode, body: data, retryable: !res.complete
+      });
+    }
+  }, { retries, signal, onRetry });
+}
+
+/**
+ * POST a JSON body and stream the response. Each server-sent `data:` line
+ * (or bare JSON line, as Ollama sends) is parsed and passed to `onData`.
+ * Resolves when the stream ends or sends `[DONE]`. Retries only happen
+ * before the first byte of the body has been received.
+ */
+export async function httpPostStream(url, body, onData, opts = {}) {
+  const { timeout, retries, signal, onRetry } = { ...DEFAULTS, ...opts };
+  const { res } = await withRetries(() => openPost(url, body, { timeout, signal }), { retries, signal, onRetry });
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    let done = false;
+    const handleLine = raw => {
+      const line = raw.trim();
+      if (!line || line.startsWith(':') || line.startsWith('event:')) return;
+      const payload = line.startsWith('data:') ? line.slice(5).trim() : line;
+      if (payload === '[DONE]') { done = true; return; }
+      try {
+        onData(JSON.parse(payload));
+      } catch (err) {
+        res.destroy(new HttpError(`POST ${url} streamed an unreadable event: ${excerpt(payload)}`, { url, status: res.statusCode }));
+      }
+    };
+    res.setEncoding('utf8');
+    res.on('data', chunk => {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(line => { if (!done) handleLine(line); });
+    });
+    res.on('end', () => {
+      if (!done && buffer) handleLine(buffer);
+      resolve();
+    });
+    res.on('error', err => {
+      if (signal?.aborted) reject(signal.reason);
+      else if (err instanceof HttpError || err.name === 'AbortError') reject(err);
+      else reject(new HttpError(`POST ${url} stream was cut off: ${err.message}`, { url, status: res.statusCode }));
+    });
+  });
+}
@@ -0,0 +1,77 @@
+/*
+ * library.js
+ *
+ * Versioned world library. Every pipeline run is written to its own bundle
+ * directory under app/worlds/<slug>-<timestamp>/ together with a
+ * manifest.json describing how it was made (theme, models, config, stage
+ * hashes, date). app/worlds/index.json lists all bundles so the game can
+ * offer a world picker and load one with ?world=<id>.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/** Turn a theme into a short, URL-safe directory name fragment. */
+export function slugify(text) {
+  const slug = String(text || 'world').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return slug.slice(0, 40) || 'world';
+}
+
+/** Timestamp like 20240131-154502 (local time) for bundle ids. */
+function timestamp(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+/** Read the bundle index, or an empty one if none exists yet. */
+export function readIndex(worldsDir) {
+  const file = path.join(worldsDir, 'index.json');
+  if (!fs.existsSync(file)) return { worlds: [] };
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/** Read a bundle's manifest by id. */
+export function readManifest(worldsDir, id) {
+  return JSON.parse(fs.readFileSync(path.join(worldsDir, id, 'manifest.json'), 'utf8'));
+}
+
+/** Directory of a bundle by id; throws when the index does not list it. */
+export function bundleDir(worldsDir, id) {
+  if (!readIndex(worldsDir).worlds.some(w => w.id === id)) throw new Error(`Unknown world "${id}"`);
+  return path.join(worldsDir, id);
+}
+
+/**
+ * Record in a bundle's manifest that its files were changed after
+ * generation; the stage hashes still describe the generated original.
+ */
+export function markEdited(worldsDir, id, date = new Date()) {
+  const file = path.join(worldsDir, id, 'manifest.json');
+  const manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+  fs.writeFileSync(file, JSON.stringify({ ...manifest, edited: date.toISOString() }, null, 2));
+}
+
+/**
+ * Write a bundle: copy `files` (paths) into a new directory, add the
+ * manifest and register the bundle in the index. `manifest` should carry
+ * theme, title, provider, config and stages; id, created and files are
+ * filled in here. Returns the manifest as written.
+ */
+export function writeBundle(worldsDir, files, manifest, date = new Date()) {
+  let id = `${slugify(manifest.theme)}-${timestamp(date)}`;
+  // Two runs in the same second get distinct directories
+  for (let n = 2; fs.existsSync(path.join(worldsDir, id)); n++) id = `${slugify(manifest.theme)}-${timestamp(date)}-${n}`;
+  const dir = path.join(worldsDir, id);
+  fs.mkdirSync(dir, { recursive: true });
+  files.forEach(file => fs.copyFileSync(file, path.join(dir, path.basename(file))));
+  const full = { id, created: date.toISOString(), ...manifest, files: files.map(f => path.basename(f)) };
+  fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify(full, null, 2));
+  const index = readIndex(worldsDir);
+  index.worlds = [
+    { id, title: full.title, theme: full.theme, created: full.created },
+    ...index.worlds.filter(w => w.id !== id)
+  ];
+  fs.writeFileSync(path.join(worldsDir, 'index.json'), JSON.stringify(index, null, 2));
+  return full;
+}
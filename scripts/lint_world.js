@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+/*
+ * lint_world.js
+ *
+ * Cross-file referential integrity linter for a generated world. Loads the
+ * JSON files from a build or app/data directory and reports every dangling
+ * reference (ids that do not resolve), duplicate id and orphaned entity.
+ * With --fix, bad references are remapped where an obvious target exists
+ * (e.g. `zone1` -> the first zone, an item name -> its id) and dropped
+ * otherwise, and the files are written back in place.
+ *
+ * Usage: node scripts/lint_world.js [dir] [--fix]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import process from 'process';
+import { fileURLToPath } from 'url';
+
+/** World files checked by the linter, keyed by their base name. */
+export const WORLD_FILES = ['world_spec', 'dialogue', 'quests', 'inventory', 'events', 'abilities', 'status_effects'];
+
+/** Load every world file present in a directory. Missing files are skipped. */
+export function loadWorld(dir) {
+  const world = {};
+  WORLD_FILES.forEach(name => {
+    const file = path.join(dir, `${name}.json`);
+    if (fs.existsSync(file)) world[name] = JSON.parse(fs.readFileSync(file, 'utf8'));
+  });
+  return world;
+}
+
+/** Write the loaded world files back to a directory. */
+export function saveWorld(dir, world) {
+  Object.entries(world).forEach(([name, json]) => {
+    fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify(json, null, 2));
+  });
+}
+
+/** Lower-case a string and strip everything but letters and digits. */
+function normalise(s) {
+  return String(s).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Build a resolver that maps a possibly wrong reference onto a known id.
+ * Tries the exact id, then a normalised id or name match and, when
+ * `byIndex` is set, a trailing number read as a 1-based index (so `zone1`
+ * -> the first zone).
+ */
+function makeResolver(entities, idKey, nameKey = 'name', byIndex = false) {
+  const ids = new Set(entities.map(e => e[idKey]));
+  return ref => {
+    if (typeof ref !== 'string') return null;
+    if (ids.has(ref)) return ref;
+    const n = normalise(ref);
+    const match = entities.find(e => normalise(e[idKey]) === n || (e[nameKey] && normalise(e[nameKey]) === n));
+    if (match) return match[idKey];
+    const num = byIndex && ref.match(/(\d+)$/);
+    if (num && entities[Number(num[1]) - 1]) return entities[Number(num[1]) - 1][idKey];
+    return null;
+  };
+}
+
+/** Collect duplicate values from a list of ids. */
+function duplicates(ids) {
+  const seen = new Set();
+  const dups = new Set();
+  ids.forEach(id => { if (seen.has(id)) dups.add(id); seen.add(id); });
+  return [...dups];
+}
+
+/**
+ * Check a loaded world. Returns a list of issues of the form
+ * `{ level: 'error'|'warning', file, path, message, fix }` where `fix`,
+ * when present, is a function that repairs the issue in place.
+ */
+export function lintWorld(world) {
+  const issues = [];
+  const spec = world.world_spec || {};
+  const zones = spec.zones || [];
+  const npcs = spec.npcs || [];
+  const items = world.inventory?.items || [];
+  const dialogues = world.dialogue?.dialogues || [];
+  const quests = world.quests?.quests || [];
+  const events = world.events?.events || [];
+  const abilities = world.abilities?.abilities || [];
+  const statuses = world.status_effects?.status_effects || [];
+  const zoneIds = new Set(zones.map(z => z.id));
+  const npcIds = new Set(npcs.map(n => n.id));
+  const itemIds = new Set(items.map(i => i.item_id));
+  const statusIds = new Set(statuses.map(st => st.id));
+  const questIds = new Set(quests.map(q => q.id));
+  const eventIds = new Set(events.map(e => e.id));
+  const abilityIds = new Set(abilities.map(a => a.id));
+  const npcKinds = new Set(npcs.map(n => String(n.kind).toLowerCase()));
+  // Worlds from before hostile_kinds fight whatever their defeat objectives name
+  const hostileKinds = spec.hostile_kinds ? new Set(spec.hostile_kinds.map(k => String(k).toLowerCase())) : null;
+  const resolveZone = makeResolver(zones, 'id', 'name', true);
+  const resolveItem = makeResolver(items, 'item_id');
+  const resolveNpc = makeResolver(npcs, 'id', 'kind');
+  const resolveStatus = makeResolver(statuses, 'id');
+  const resolveQuest = makeResolver(quests, 'id', 'title');
+  const resolveEvent = makeResolver(events, 'id', 'title');
+  const resolveAbility = makeResolver(abilities, 'id', 'name');
+  const error = (file, at, message, fix) => issues.push({ level: 'error', file, path: at, message, fix });
+  const warning = (file, at, message) => issues.push({ level: 'warning', file, path: at, message });
+
+  // Duplicate ids: give later copies a unique suffix
+  const checkDuplicates = (file, list, key, at) => {
+    duplicates(list.map(e => e[key])).forEach(id => {
+      const copies = list.filter(e => e[key] === id).slice(1);
+      error(file, at, `duplicate ${key} "${id}"`, () => {
+        copies.forEach((e, i) => { e[key] = `${id}_${i + 2}`; });
+      });
+    });
+  };
+  checkDuplicates('world_spec', zones, 'id', 'zones');
+  checkDuplicates('world_spec', npcs, 'id', 'npcs');
+  checkDuplicates('inventory', items, 'item_id', 'items');
+  checkDuplicates('dialogue', dialogues, 'id', 'dialogues');
+  checkDuplicates('quests', quests, 'id', 'quests');
+  checkDuplicates('events', events, 'id', 'events');
+  checkDuplicates('abilities', abilities, 'id', 'abilities');
+  checkDuplicates('status_effects', statuses, 'id', 'status_effects');
+
+  // A single-valued reference that is remapped when resolvable and dropped
+  // otherwise, unless `required` says the field cannot simply be removed
+  const checkRef = (file, at, owner, key, known, resolve, kind, { fallback, required = false } = {}) => {
+    const ref = owner[key];
+    if (ref === undefined || known.has(ref)) return;
+    const target = resolve(ref) ?? fallback;
+    if (!target && required) {
+      error(file, `${at}.${key}`, `unknown ${kind} "${ref}" (no automatic fix)`);
+      return;
+    }
+    const note = target ? `remap to "${target}"` : 'drop';
+    error(file, `${at}.${key}`, `unknown ${kind} "${ref}" (fix: ${note})`, () => {
+      if (target) owner[key] = target;
+      else delete owner[key];
+    });
+  };
+  // A list of references; unresolvable entries are dropped
+  const checkRefList = (file, at, owner, key, known, resolve, kind) => {
+    (owner[key] || []).forEach((ref, i) => {
+      if (known.has(ref)) return;
+      const target = resolve(ref);
+      const note = target ? `remap to "${target}"` : 'drop';
+      error(file, `${at}.${key}[${i}]`, `unknown ${kind} "${ref}" (fix: ${note})`, () => {
+        owner[key] = owner[key].map(id => (id === ref ? target : id)).filter(Boolean);
+      });
+    });
+  };
+  const checkItemList = (file, at, owner, key) => checkRefList(file, at, owner, key, itemIds, resolveItem, 'item');
+  // An effect whose item, status or quest cannot be resolved does nothing, so the fix drops it
+  const effectRefs = [
+    ['item_id', itemIds, resolveItem, 'item'],
+    ['status_id', statusIds, resolveStatus, 'status effect'],
+    ['quest_id', questIds, resolveQuest, 'quest']
+  ];
+  const checkEffects = (file, at, owner) => {
+    (owner.effects || []).forEach((effect, ei) => {
+      effectRefs.forEach(([key, known, resolve, kind]) => {
+        const ref = effect[key];
+        if (ref === undefined || known.has(ref)) return;
+        const target = resolve(ref);
+        error(file, `${at}.effects[${ei}].${key}`, `unknown ${kind} "${ref}" (fix: ${target ? `remap to "${target}"` : 'drop the effect'})`, () => {
+          if (target) effect[key] = target;
+          else owner.effects = owner.effects.filter(e => e !== effect);
+        });
+      });
+      // complete_step only fires on the step it names, so one without a step never does anything
+      if (effect.type !== 'complete_step') return;
+      if (typeof effect.step !== 'number') {
+        error(file, `${at}.effects[${ei}].step`, 'complete_step names no step (fix: drop the effect)', () => {
+          owner.effects = owner.effects.filter(e => e !== effect);
+        });
+        return;
+      }
+      const quest = quests.find(q => q.id === effect.quest_id);
+      if (quest && !(effect.step < (quest.steps || []).length)) {
+        warning(file, `${at}.effects[${ei}].step`, `quest "${quest.id}" has no step ${effect.step}; the effect never fires`);
+      }
+    });
+  };
+  // Quest step references: the quest must exist and have the step (`upTo`
+  // also accepts the step count, meaning the quest is finished)
+  const checkQuestStep = (file, at, owner, what, upTo = false) => {
+    checkRef(file, at, owner, 'quest_id', questIds, resolveQuest, 'quest', { required: true });
+    const quest = quests.find(q => q.id === owner.quest_id);
+    const count = (quest?.steps || []).length;
+    if (quest && !(owner.step < count || (upTo && owner.step === count))) {
+      warning(file, `${at}.step`, `quest "${quest.id}" has no step ${owner.step}; ${what}`);
+    }
+  };
+
+  // Conditions of a dialogue entry or quest (see `requires` in schemas.js);
+  // `never` says what it means when one can never hold
+  const flagsSet = new Set(dialogues.flatMap(d => (d.nodes || []).flatMap(n => [n, ...(n.options || [])]))
+    .flatMap(entry => (entry.effects || []).filter(e => e.type === 'set_flag').map(e => e.flag)));
+  const checkRequires = (file, at, req, never) => {
+    checkRef(file, at, req, 'item', itemIds, resolveItem, 'item');
+    if (req.quest_step) checkQuestStep(file, `${at}.quest_step`, req.quest_step, never, true);
+    checkRefList(file, at, req, 'quests_done', questIds, resolveQuest, 'quest');
+    if (req.flag !== undefined && !flagsSet.has(req.flag)) {
+      warning(file, `${at}.flag`, `no dialogue effect sets flag "${req.flag}"; ${never}`);
+    }
+  };
+  // Quest and step rewards
+  const checkRewards = (at, owner) => {
+    if (!owner.rewards) return;
+    checkItemList('quests', `${at}.rewards`, owner.rewards, 'item_ids');
+    checkRefList('quests', `${at}.rewards`, owner.rewards, 'ability_ids', abilityIds, resolveAbility, 'ability');
+  };
+
+  npcs.forEach((npc, i) => {
+    checkRef('world_spec', `npcs[${i}]`, npc, 'home_zone', zoneIds, resolveZone, 'zone', { fallback: zones[0]?.id });
+  });
+  (spec.hostile_kinds || []).forEach((kind, i) => {
+    if (!npcKinds.has(String(kind).toLowerCase())) {
+      warning('world_spec', `hostile_kinds[${i}]`, `no NPC in world_spec is a "${kind}"; its enemies have no sprite`);
+    }
+  });
+  quests.forEach((q, qi) => {
+    const steps = q.steps || [];
+    if (q.requires) {
+      checkRequires('quests', `quests[${qi}].requires`, q.requires, 'the quest can never be started');
+      if ((q.requires.quests_done || []).includes(q.id)) {
+        warning('quests', `quests[${qi}].requires.quests_done`, 'the quest requires itself; it can never be started');
+      }
+    }
+    if (q.fail_when) checkRequires('quests', `quests[${qi}].fail_when`, q.fail_when, 'the quest never fails that way');
+    checkRewards(`quests[${qi}]`, q);
+    steps.forEach((step, si) => {
+      const at = `quests[${qi}].steps[${si}]`;
+      checkRef('quests', at, step, 'location_hint', zoneIds, resolveZone, 'zone');
+      checkItemList('quests', at, step, 'requires_item_ids');
+      checkRewards(at, step);
+      // Jumps past the last step end the quest, which is rarely meant
+      [[step, at], ...(step.branches || []).map((b, bi) => [b, `${at}.branches[${bi}]`])].forEach(([owner, bat]) => {
+        if (owner.next_step !== undefined && !(owner.next_step < steps.length)) {
+          warning('quests', `${bat}.next_step`, `quest "${q.id}" has no step ${owner.next_step}; the quest ends there`);
+        }
+      });
+      const objective = step.objective;
+      if (!objective) return;
+      const oat = `${at}.objective`;
+      checkRef('quests', oat, objective, 'item_id', itemIds, resolveItem, 'item');
+      checkRef('quests', oat, objective, 'event_id', eventIds, resolveEvent, 'event', { required: true });
+      if (objective.npc_kind !== undefined && !npcKinds.has(objective.npc_kind.toLowerCase())) {
+        warning('quests', `${oat}.npc_kind`, `no NPC in world_spec is a "${objective.npc_kind}"; ${objective.type === 'defeat' ? 'the step never completes' : 'another NPC stands in'}`);
+      } else if (objective.type === 'defeat' && objective.npc_kind !== undefined && hostileKinds && !hostileKinds.has(objective.npc_kind.toLowerCase())) {
+        warning('quests', `${oat}.npc_kind`, `"${objective.npc_kind}" is not one of the world_spec hostile_kinds; the step never completes`);
+      }
+      const missing = { visit: !step.location_hint, event: !objective.event_id, defeat: !objective.npc_kind,
+        collect: !objective.item_id && !(step.requires_item_ids || []).length }[objective.type];
+      if (missing) warning('quests', oat, `a ${objective.type} objective without its target; the step never completes`);
+    });
+  });
+  events.forEach((ev, i) => {
+    const at = `events[${i}]`;
+    checkRef('events', at, ev, 'location', zoneIds, resolveZone, 'zone');
+    const trigger = ev.trigger;
+    if (trigger?.type === 'quest_step') checkQuestStep('events', `${at}.trigger`, trigger, 'the event never starts');
+    checkEffects('events', at, ev);
+  });
+  abilities.forEach((ab, i) => {
+    checkRef('abilities', `abilities[${i}]`, ab, 'applies_status', statusIds, resolveStatus, 'status effect');
+  });
+  statuses.forEach((st, i) => {
+    checkRefList('status_effects', `status_effects[${i}]`, st, 'immune_to', statusIds, resolveStatus, 'status effect');
+  });
+  // Illusion tier gates that no tier can pass
+  const checkTierRange = (at, entry, what) => {
+    if ((entry.min_tier ?? 0) > (entry.max_tier ?? 1)) {
+      warning('dialogue', at, `min_tier ${entry.min_tier ?? 0} is above max_tier ${entry.max_tier ?? 1}; the ${what} is never shown`);
+    }
+  };
+  // Conditions and effects of a dialogue node or option
+  const checkScript = (at, entry, what) => {
+    if (entry.requires) checkRequires('dialogue', `${at}.requires`, entry.requires, `the ${what} is never available`);
+    checkEffects('dialogue', at, entry);
+  };
+  dialogues.forEach((dlg, di) => {
+    const nodes = dlg.nodes || [];
+    checkDuplicates('dialogue', nodes, 'node_id', `dialogues[${di}].nodes`);
+    const nodeIds = new Set(nodes.map(n => n.node_id));
+    nodes.forEach((node, ni) => {
+      const at = `dialogues[${di}].nodes[${ni}]`;
+      if (node.speaker !== 'player') {
+        checkRef('dialogue', at, node, 'speaker', npcIds, resolveNpc, 'speaker', { required: true });
+      }
+      checkItemList('dialogue', at, node, 'grants_item_ids');
+      checkTierRange(at, node, 'node');
+      checkScript(at, node, 'node');
+      (node.options || []).forEach((opt, oi) => {
+        const oat = `${at}.options[${oi}]`;
+        checkItemList('dialogue', oat, opt, 'grants_item_ids');
+        checkTierRange(oat, opt, 'option');
+        checkScript(oat, opt, 'option');
+        checkRef('dialogue', oat, opt, 'to_id', nodeIds, () => null, 'node');
+      });
+    });
+  });
+
+  // Orphans: entities nothing else points at
+  const speakers = new Set(dialogues.flatMap(d => (d.nodes || []).map(n => n.speaker)));
+  npcs.forEach((npc, i) => {
+    if (!speakers.has(npc.id)) warning('world_spec', `npcs[${i}]`, `NPC "${npc.id}" has no dialogue`);
+  });
+  const zoneUse = new Set([
+    ...npcs.map(n => n.home_zone),
+    ...quests.flatMap(q => (q.steps || []).map(s => s.location_hint)),
+    ...events.map(e => e.location)
+  ]);
+  zones.forEach((z, i) => {
+    if (!zoneUse.has(z.id)) warning('world_spec', `zones[${i}]`, `zone "${z.id}" has no NPCs, quest steps or events`);
+  });
+  dialogues.forEach((dlg, i) => {
+    if (!(dlg.nodes || []).some(n => npcIds.has(n.speaker))) {
+      warning('dialogue', `dialogues[${i}]`, `dialogue "${dlg.id}" has no speaker from world_spec npcs`);
+    }
+  });
+  return issues;
+}
+
+/** Apply every available fix. Returns the number of issues repaired. */
+export function fixWorld(world) {
+  const fixable = lintWorld(world).filter(i => i.fix);
+  fixable.forEach(i => i.fix());
+  return fixable.length;
+}
+
+/** Format issues as one line each, grouped by file. */
+export function formatReport(issues) {
+  if (issues.length === 0) return 'No issues found.';
+  const lines = [];
+  WORLD_FILES.forEach(file => {
+    const own = issues.filter(i => i.file === file);
+    if (own.length === 0) return;
+    lines.push(`${file}.json`);
+    own.forEach(i => lines.push(`  ${i.level.padEnd(7)} ${i.path}: ${i.message}`));
+  });
+  const errors = issues.filter(i => i.level === 'error').length;
+  lines.push(`${errors} error(s), ${issues.length - errors} warning(s)`);
+  return lines.join('\n');
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const fix = args.includes('--fix');
+  const __filename = fileURLToPath(import.meta.url);
+  const rootDir = path.join(path.dirname(__filename), '..');
+  const dir = path.resolve(args.find(a => !a.startsWith('--')) || path.join(rootDir, 'app', 'data'));
+  const world = loadWorld(dir);
+  if (fix) {
+    const fixed = fixWorld(world);
+    saveWorld(dir, world);
+    console.log(`Fixed ${fixed} issue(s) in ${dir}`);
+  }
+  const issues = lintWorld(world);
+  console.log(formatReport(issues));
+  if (issues.some(i => i.level === 'error')) process.exit(1);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main();
+}
@@ -0,0 +1,308 @@
+#!/usr/bin/env node
+/*
+ * map.js
+ *
+ * Tile map generation. Turns the zones of world_spec.json into a tilemap
+ * (map.json) the game renders and collides against: every zone gets
+ * terrain picked from its name or the theme (ground plus solid features
+ * such as trees, rock or lava), zone borders follow noise instead of
+ * straight lines, roads join the zones, and each zone has building plots
+ * with a door that opens onto a walkable tile connected to the roads.
+ *
+ * map.json holds one character per tile. `tiles` rows index the `terrain`
+ * legend and `zones` rows give the zone of each tile as a base-36 index
+ * into `zone_list`:
+ *
+ *   { tile_size, width, height,
+ *     terrain: { ".": { name, color, detail, solid }, ... },
+ *     zone_list: [ { id, name, ground, features, center: [x, y] } ],
+ *     tiles: [ "..%%..", ... ], zones: [ "000111", ... ],
+ *     plots: [ { zone, x, y, w, h } ], spawn: [x, y] }
+ *
+ * Plots are w x h tiles with the door in the middle of the bottom edge.
+ *
+ * Usage: node scripts/map.js [dir]
+ *   Reads world_spec.json and architect.json (optional) from dir (default:
+ *   build) and writes map.json next to them.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import process from 'process';
+import { fileURLToPath } from 'url';
+
+/** Every terrain type with its map character and DB32 colours. */
+const TERRAINS = {
+  grass: { char: '.', color: '#4b692f', detail: '#6abe30', solid: false },
+  dirt: { char: "'", color: '#8a6f30', detail: '#8f563b', solid: false },
+  sand: { char: ',', color: '#d9a066', detail: '#eec39a', solid: false },
+  snow: { char: ':', color: '#cbdbfc', detail: '#ffffff', solid: false },
+  ash: { char: ';', color: '#595652', detail: '#696a6a', solid: false },
+  stone: { char: '_', color: '#696a6a', detail: '#847e87', solid: false },
+  mud: { char: '-', color: '#524b24', detail: '#4b692f', solid: false },
+  cobblestone: { char: '+', color: '#847e87', detail: '#9badb7', solid: false },
+  path: { char: '=', color: '#8f563b', detail: '#d9a066', solid: false },
+  tree: { char: 'T', color: '#37946e', detail: '#4b692f', solid: true },
+  rock: { char: '#', color: '#323c39', detail: '#696a6a', solid: true },
+  water: { char: '~', color: '#306082', detail: '#5fcde4', solid: true },
+  lava: { char: '%', color: '#df7126', detail: '#fbf236', solid: true },
+  ice: { char: '*', color: '#5fcde4', detail: '#cbdbfc', solid: true },
+  wall: { char: '|', color: '#663931', detail: '#8f563b', solid: true },
+  cave_wall: { char: '@', color: '#222034', detail: '#45283c', solid: true }
+};
+
+/** Biomes matched against a zone's name, then the theme; the first match wins. */
+const BIOMES = [
+  [/lava|fire|flame|molten|volcan|ember|inferno|burn|magma|ash|scorch/, 'ash', ['lava', 'rock']],
+  [/swamp|marsh|bog|fen|mire/, 'mud', ['water', 'tree']],
+  [/snow|ice|frost|tundra|glacier|frozen|winter/, 'snow', ['ice', 'rock']],
+  [/cave|cavern|mine|crypt|dungeon|tomb|catacomb|underground|tunnel/, 'stone', ['cave_wall']],
+  [/sea|coast|beach|shore|lake|river|harbo|island|ocean|bay/, 'sand', ['water']],
+  [/desert|sand|dune|waste|canyon|badland/, 'sand', ['rock']],
+  [/city|town|village|market|castle|keep|fort|temple|square|street/, 'cobblestone', ['wall']],
+  [/mountain|peak|cliff|ridge|hill|outcrop|crag|quarry/, 'dirt', ['rock']],
+  [/forest|wood|grove|jungle|glade|garden|meadow|field|grass|orchard/, 'grass', ['tree']]
+];
+const DEFAULT_BIOME = ['grass', ['tree', 'rock']];
+
+/** Small deterministic random generator (mulberry32) seeded from a string. */
+function rng(seedText) {
+  let seed = 2166136261;
+  for (const ch of String(seedText)) seed = Math.imul(seed ^ ch.charCodeAt(0), 16777619) >>> 0;
+  return () => {
+    seed = (seed + 0x6d2b79f5) >>> 0;
+    let t = seed;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Smooth 2D value noise in 0..1 with features about `scale` tiles apart. */
+function valueNoise(r, width, height, scale) {
+  const gw = Math.ceil(width / scale) + 2;
+  const lattice = Array.from({ length: (Math.ceil(height / scale) + 2) * gw }, () => r());
+  const at = (gx, gy) => lattice[gy * gw + gx];
+  const smooth = t => t * t * (3 - 2 * t);
+  return (x, y) => {
+    const gx = Math.floor(x / scale);
+    const gy = Math.floor(y / scale);
+    const fx = smooth(x / scale - gx);
+    const fy = smooth(y / scale - gy);
+    const top = at(gx, gy) * (1 - fx) + at(gx + 1, gy) * fx;
+    const bottom = at(gx, gy + 1) * (1 - fx) + at(gx + 1, gy + 1) * fx;
+    return top * (1 - fy) + bottom * fy;
+  };
+}
+
+/** Ground and solid features for a zone. */
+function biomeFor(zone, theme) {
+  for (const text of [zone.name, zone.id, theme]) {
+    const hit = BIOMES.find(([re]) => re.test(String(text || '').toLowerCase()));
+    if (hit) return { ground: hit[1], features: hit[2] };
+  }
+  return { ground: DEFAULT_BIOME[0], features: DEFAULT_BIOME[1] };
+}
+
+/**
+ * Generate the tilemap for a world. Options: `tiles_per_zone` sets the map
+ * size, `plots_per_zone` the minimum number of building plots per zone
+ * (zones with more NPCs get one per NPC) and `plot_size` their size.
+ */
+export function generateMap({ architect = {}, world = {} }, { tiles_per_zone = 240, plots_per_zone = 3, plot_size = 3 } = {}) {
+  const theme = architect.theme || world.title || '';
+  const specZones = world.zones?.length ? world.zones : [{ id: 'zone1', name: 'Wilds' }];
+  const n = specZones.length;
+  const width = Math.max(24, Math.round(Math.sqrt((n * tiles_per_zone * 5) / 3)));
+  const height = Math.max(16, Math.round(width * 0.6));
+  const r = rng(`${theme}|${specZones.map(z => z.id).join(',')}`);
+  const zones = specZones.map(z => ({ id: z.id, name: z.name, ...biomeFor(z, theme) }));
+
+  // Zone seeds spread over a grid of cells, then jittered
+  const cols = Math.ceil(Math.sqrt((n * width) / height));
+  const rows = Math.ceil(n / cols);
+  zones.forEach((zone, i) => {
+    const cx = ((i % cols) + 0.5 + (r() - 0.5) * 0.4) * (width / cols);
+    const cy = ((Math.floor(i / cols) + 0.5 + (r() - 0.5) * 0.4) * (height / rows));
+    zone.center = [Math.min(width - 3, Math.max(2, Math.round(cx))), Math.min(height - 3, Math.max(2, Math.round(cy)))];
+  });
+
+  // Organic borders: nearest seed, with noise added to the distance
+  const wobble = zones.map(() => valueNoise(r, width, height, 4));
+  const zoneOf = [];
+  for (let y = 0; y < height; y++) {
+    zoneOf.push([]);
+    for (let x = 0; x < width; x++) {
+      let best = 0;
+      let bestD = Infinity;
+      zones.forEach((zone, i) => {
+        const d = Math.hypot(x - zone.center[0], y - zone.center[1]) + wobble[i](x, y) * 10;
+        if (d < bestD) { bestD = d; best = i; }
+      });
+      zoneOf[y].push(best);
+    }
+  }
+
+  // Ground everywhere, solid features where the noise peaks and along the edge
+  const density = valueNoise(r, width, height, 3);
+  const pick = valueNoise(r, width, height, 4);
+  const tiles = zoneOf.map((row, y) => row.map((zi, x) => {
+    const { ground, features } = zones[zi];
+    const edge = x === 0 || y === 0 || x === width - 1 || y === height - 1;
+    if (edge || density(x, y) > 0.62) return features[Math.floor(pick(x, y) * features.length) % features.length];
+    return ground;
+  }));
+  const inside = (x, y) => x > 0 && y > 0 && x < width - 1 && y < height - 1;
+
+  // Roads: a minimum spanning tree over the zone centres, walked with a
+  // random bias so they wander instead of running straight
+  const carve = (x, y) => {
+    [[0, 0], [1, 0], [0, 1], [1, 1]].forEach(([dx, dy]) => {
+      if (inside(x + dx, y + dy)) tiles[y + dy][x + dx] = 'path';
+    });
+  };
+  const road = ([x, y], [tx, ty]) => {
+    while (x !== tx || y !== ty) {
+      carve(x, y);
+      const dx = tx - x;
+      const dy = ty - y;
+      if (dy === 0 || (dx !== 0 && r() < Math.abs(dx) / (Math.abs(dx) + Math.abs(dy)))) x += Math.sign(dx);
+      else y += Math.sign(dy);
+    }
+    carve(x, y);
+  };
+  const linked = [0];
+  while (linked.length < n) {
+    let best = null;
+    linked.forEach(a => zones.forEach((zone, b) => {
+      if (linked.includes(b)) return;
+      const d = Math.hypot(zone.center[0] - zones[a].center[0], zone.center[1] - zones[a].center[1]);
+      if (!best || d < best.d) best = { a, b, d };
+    }));
+    road(zones[best.a].center, zones[best.b].center);
+    linked.push(best.b);
+  }
+  carve(...zones[0].center);
+
+  // Building plots lie inside their zone and off the roads, with a free
+  // one-tile margin (which may be road) so every side can be walked around
+  const taken = new Set();
+  const plots = [];
+  const homes = zone => (world.npcs || []).filter(npc => npc.home_zone === zone.id).length;
+  zones.forEach((zone, zi) => {
+    const want = Math.max(plots_per_zone, homes(zone));
+    const candidates = [];
+    for (let y = 2; y + plot_size < height - 1; y++) {
+      for (let x = 2; x + plot_size < width - 1; x++) candidates.push([x, y]);
+    }
+    // Shuffle so plots spread over the zone
+    for (let i = candidates.length - 1; i > 0; i--) {
+      const j = Math.floor(r() * (i + 1));
+      [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+    }
+    let placed = 0;
+    for (const [px, py] of candidates) {
+      if (placed >= want) break;
+      let fits = true;
+      for (let y = py - 1; y <= py + plot_size && fits; y++) {
+        for (let x = px - 1; x <= px + plot_size && fits; x++) {
+          const margin = x < px || y < py || x === px + plot_size || y === py + plot_size;
+          fits = !taken.has(`${x},${y}`) && (margin || (zoneOf[y][x] === zi && tiles[y][x] !== 'path'));
+        }
+      }
+      if (!fits) continue;
+      for (let y = py - 1; y <= py + plot_size; y++) {
+        for (let x = px - 1; x <= px + plot_size; x++) {
+          if (x >= px && y >= py && x < px + plot_size && y < py + plot_size) taken.add(`${x},${y}`);
+          if (TERRAINS[tiles[y][x]].solid) tiles[y][x] = zones[zoneOf[y][x]].ground;
+        }
+      }
+      plots.push({ zone: zone.id, x: px, y: py, w: plot_size, h: plot_size });
+      placed++;
+    }
+  });
+  const inPlot = (x, y) => plots.some(p => x >= p.x && x < p.x + p.w && y >= p.y && y < p.y + p.h);
+
+  // Connect every door to the roads with the shortest walk around plots
+  plots.forEach(p => {
+    const start = [p.x + Math.floor(p.w / 2), p.y + p.h];
+    const prev = new Map([[start.join(','), null]]);
+    const queue = [start];
+    let end = null;
+    while (queue.length > 0 && !end) {
+      const [x, y] = queue.shift();
+      if (tiles[y][x] === 'path') { end = [x, y]; break; }
+      [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dx, dy]) => {
+        const next = [x + dx, y + dy];
+        const key = next.join(',');
+        if (!inside(...next) || inPlot(...next) || prev.has(key)) return;
+        prev.set(key, [x, y]);
+        queue.push(next);
+      });
+    }
+    for (let at = end; at; at = prev.get(at.join(','))) {
+      if (tiles[at[1]][at[0]] !== 'path') tiles[at[1]][at[0]] = 'path';
+    }
+  });
+
+  // Seal off pockets of open ground that cannot be reached from the spawn
+  const spawn = zones[0].center;
+  const reached = new Set([spawn.join(',')]);
+  const stack = [spawn];
+  while (stack.length > 0) {
+    const [x, y] = stack.pop();
+    [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dx, dy]) => {
+      const nx = x + dx;
+      const ny = y + dy;
+      const key = `${nx},${ny}`;
+      if (!inside(nx, ny) || reached.has(key) || TERRAINS[tiles[ny][nx]].solid) return;
+      reached.add(key);
+      stack.push([nx, ny]);
+    });
+  }
+  tiles.forEach((row, y) => row.forEach((t, x) => {
+    if (!TERRAINS[t].solid && !reached.has(`${x},${y}`)) row[x] = zones[zoneOf[y][x]].features[0];
+  }));
+
+  const used = [...new Set(tiles.flat())];
+  return {
+    tile_size: Number(architect.tile_size) || 32,
+    width,
+    height,
+    terrain: Object.fromEntries(used.map(name => {
+      const { char, ...rest } = TERRAINS[name];
+      return [char, { name, ...rest }];
+    })),
+    zone_list: zones,
+    tiles: tiles.map(row => row.map(t => TERRAINS[t].char).join('')),
+    zones: zoneOf.map(row => row.map(zi => zi.toString(36)).join('')),
+    plots,
+    spawn
+  };
+}
+
+function main() {
+  const __filename = fileURLToPath(import.meta.url);
+  const rootDir = path.join(path.dirname(__filename), '..');
+  const dir = path.resolve(process.argv[2] || path.join(rootDir, 'build'));
+  const read = (file, required) => {
+    const full = path.join(dir, file);
+    if (!fs.existsSync(full)) {
+      if (required) throw new Error(`${full} does not exist`);
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(full, 'utf8'));
+  };
+  const map = generateMap({ architect: read('architect.json'), world: read('world_spec.json', true) });
+  fs.writeFileSync(path.join(dir, 'map.json'), JSON.stringify(map, null, 2));
+  console.log(`Wrote a ${map.width}x${map.height} map with ${map.plots.length} building plots to ${path.join(dir, 'map.json')}`);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  try {
+    main();
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
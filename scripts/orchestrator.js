@@ -0,0 +1,99 @@
+/*
+ * orchestrator.js
+ *
+ * Run a set of stages declared as a dependency graph. Every stage whose
+ * inputs are complete is started, up to a concurrency limit, so stages
+ * that only share an upstream dependency run side by side. A failing stage
+ * only takes down the stages downstream of it; its siblings still finish.
+ */
+
+/**
+ * Check that every stage input names a known stage and that the graph has
+ * no cycles. Throws with the offending stage names otherwise.
+ */
+export function checkGraph(stages) {
+  const byName = new Map(stages.map(st => [st.name, st]));
+  stages.forEach(st => {
+    st.inputs.forEach(dep => {
+      if (!byName.has(dep)) throw new Error(`Stage "${st.name}" depends on unknown stage "${dep}"`);
+    });
+  });
+  const state = new Map();
+  const visit = (name, trail) => {
+    if (state.get(name) === 'done') return;
+    if (state.get(name) === 'visiting') throw new Error(`Stage dependency cycle: ${[...trail, name].join(' -> ')}`);
+    state.set(name, 'visiting');
+    byName.get(name).inputs.forEach(dep => visit(dep, [...trail, name]));
+    state.set(name, 'done');
+  };
+  stages.forEach(st => visit(st.name, []));
+}
+
+/** Names of the given stages plus every stage that (transitively) depends on them. */
+export function downstreamOf(stages, names) {
+  const result = new Set(names);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    stages.forEach(st => {
+      if (!result.has(st.name) && st.inputs.some(dep => result.has(dep))) {
+        result.add(st.name);
+        grew = true;
+      }
+    });
+  }
+  return result;
+}
+
+/**
+ * Run the stage graph. `run(stage)` performs one stage and resolves with its
+ * output; `onEvent(type, stage, info)` is called with 'start', 'done',
+ * 'failed' and 'skipped' for progress reporting. Resolves (never rejects)
+ * with a Map of stage name -> { status, output, error, ms }.
+ */
+export async function runGraph(stages, run, { concurrency = 1, onEvent = () => {} } = {}) {
+  checkGraph(stages);
+  const results = new Map();
+  const pending = [...stages];
+  const running = new Map();
+  const limit = Math.max(1, concurrency);
+  while (pending.length > 0 || running.size > 0) {
+    // Skip stages whose inputs can no longer be satisfied, repeating until
+    // skips stop cascading down the graph
+    for (let i = 0; i < pending.length; i++) {
+      const st = pending[i];
+      const broken = st.inputs.find(dep => ['failed', 'skipped'].includes(results.get(dep)?.status));
+      if (broken) {
+        pending.splice(i, 1);
+        i = -1;
+        const error = new Error(`input "${broken}" did not complete`);
+        results.set(st.name, { status: 'skipped', error, ms: 0 });
+        onEvent('skipped', st, { error });
+      }
+    }
+    // Start every ready stage while there is capacity
+    for (let i = 0; i < pending.length && running.size < limit; i++) {
+      const st = pending[i];
+      if (!st.inputs.every(dep => results.get(dep)?.status === 'done')) continue;
+      pending.splice(i--, 1);
+      const started = Date.now();
+      onEvent('start', st, {});
+      const task = Promise.resolve()
+        .then(() => run(st))
+        .then(output => {
+          const ms = Date.now() - started;
+          results.set(st.name, { status: 'done', output, ms });
+          onEvent('done', st, { ms });
+        }, error => {
+          const ms = Date.now() - started;
+          results.set(st.name, { status: 'failed', error, ms });
+          onEvent('failed', st, { error, ms });
+        })
+        .finally(() => running.delete(st.name));
+      running.set(st.name, task);
+    }
+    if (running.size > 0) await Promise.race(running.values());
+    else if (pending.length > 0) break;
+  }
+  return results;
+}
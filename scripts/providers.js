@@ -0,0 +1,162 @@
+/*
+ * providers.js
+ *
+ * LLM provider adapters. Every provider exposes the same interface:
+ *
+ *   provider.complete({ stage, messages, model, temperature, options, signal, onToken })
+ *     -> Promise<string>
+ *
+ * resolving with the raw assistant text. `options` holds the optional
+ * `max_tokens`, `seed` and `stop` settings (null or empty means the server
+ * default), which each adapter maps to its own field names. `signal`
+ * cancels the request and `onToken(text)` receives text as it arrives when
+ * streaming is on. The HTTP adapters speak the OpenAI-compatible chat
+ * completions API (LM Studio, vLLM, ...), Ollama's native /api/chat and the
+ * llama.cpp server. The replay provider serves recorded responses from
+ * fixture files so the pipeline can run with no model at all;
+ * withRecording() wraps any provider to capture them.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { httpPost, httpPostStream } from './http.js';
+
+/** Default endpoint for each HTTP provider; LM_URL overrides it. */
+export const DEFAULT_URLS = {
+  openai: 'http://127.0.0.1:1234/v1/chat/completions',
+  ollama: 'http://127.0.0.1:11434/api/chat',
+  llamacpp: 'http://127.0.0.1:8080/v1/chat/completions'
+};
+
+/** Copy only the fields that are set, so unset options use server defaults. */
+function defined(fields) {
+  return Object.fromEntries(Object.entries(fields).filter(([, v]) => v !== null && v !== undefined &&
+    !(Array.isArray(v) && v.length === 0)));
+}
+
+/**
+ * POST a chat request, either in one piece or streamed. `pick(data)` pulls
+ * the full text out of a plain response and `pickDelta(event)` the new text
+ * out of one streamed event.
+ */
+async function chat(url, body, { stream, http, signal, onToken }, pick, pickDelta) {
+  if (!stream) return pick(await httpPost(url, JSON.stringify(body), { ...http, signal }));
+  let text = '';
+  await httpPostStream(url, JSON.stringify({ ...body, stream: true }), event => {
+    const delta = pickDelta(event);
+    if (delta) {
+      text += delta;
+      onToken?.(delta);
+    }
+  }, { ...http, signal });
+  return text;
+}
+
+/** OpenAI-compatible chat completions server. */
+function openaiProvider(url, settings) {
+  return {
+    name: 'openai',
+    async complete({ messages, model, temperature, options = {}, signal, onToken }) {
+      const body = { model, messages, temperature, ...defined({ max_tokens: options.max_tokens, seed: options.seed, stop: options.stop }) };
+      return chat(url, body, { ...settings, signal, onToken },
+        data => data.choices?.[0]?.message?.content,
+        event => event.choices?.[0]?.delta?.content);
+    }
+  };
+}
+
+/** Ollama's native chat API. Sampling settings live under `options`. */
+function ollamaProvider(url, settings) {
+  return {
+    name: 'ollama',
+    async complete({ messages, model, temperature, options = {}, signal, onToken }) {
+      const sampling = { temperature, ...defined({ num_predict: options.max_tokens, seed: options.seed, stop: options.stop }) };
+      const body = { model, messages, stream: false, format: 'json', options: sampling };
+      return chat(url, body, { ...settings, signal, onToken },
+        data => data.message?.content,
+        event => event.message?.content);
+    }
+  };
+}
+
+/**
+ * llama.cpp server. It serves a single model and accepts the chat format
+ * but takes its own sampling fields; `cache_prompt` lets repair attempts
+ * reuse the already evaluated system prompt.
+ */
+function llamacppProvider(url, settings) {
+  return {
+    name: 'llamacpp',
+    async complete({ messages, temperature, options = {}, signal, onToken }) {
+      const body = { messages, temperature, cache_prompt: true, n_predict: options.max_tokens ?? -1,
+        ...defined({ seed: options.seed, stop: options.stop }) };
+      return chat(url, body, { ...settings, signal, onToken },
+        data => data.choices?.[0]?.message?.content ?? data.content,
+        event => event.choices?.[0]?.delta?.content ?? event.content);
+    }
+  };
+}
+
+/** Key a request by everything that determines its response. */
+export function requestKey({ messages, model, temperature, options = {} }) {
+  return crypto.createHash('sha256').update(JSON.stringify({ messages, model, temperature, options })).digest('hex');
+}
+
+/** Fixture file name for a request, prefixed by stage for easy browsing. */
+function fixtureFile(dir, request) {
+  return path.join(dir, `${request.stage || 'request'}-${requestKey(request).slice(0, 16)}.json`);
+}
+
+/** Serve previously recorded responses from a fixture directory. */
+function replayProvider(dir) {
+  return {
+    name: 'replay',
+    async complete(request) {
+      const file = fixtureFile(dir, request);
+      if (!fs.existsSync(file)) {
+        throw new Error(`No recorded response for stage "${request.stage}" (expected ${file}); record one with --record`);
+      }
+      return JSON.parse(fs.readFileSync(file, 'utf8')).content;
+    }
+  };
+}
+
+/**
+ * Wrap a provider so every response is written to a fixture directory.
+ * `wraps` is the provider that actually answers.
+ */
+export function withRecording(provider, dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  return {
+    name: `${provider.name}+record`,
+    wraps: provider,
+    async complete(request) {
+      const content = await provider.complete(request);
+      const { stage, messages, model, temperature, options } = request;
+      const fixture = { stage, provider: provider.name, request: { messages, model, temperature, options }, content };
+      fs.writeFileSync(fixtureFile(dir, request), JSON.stringify(fixture, null, 2));
+      return content;
+    }
+  };
+}
+
+/**
+ * Create a provider by name. `url` overrides the default endpoint of the
+ * HTTP providers, `http` holds their timeout/retry options and `stream`
+ * switches them to streamed responses; `fixtures` is the directory used by
+ * the replay provider.
+ */
+export function createProvider(name, { url, fixtures, http = {}, stream = false } = {}) {
+  const settings = { http, stream };
+  switch (name) {
+    case 'openai': return openaiProvider(url || DEFAULT_URLS.openai, settings);
+    case 'ollama': return ollamaProvider(url || DEFAULT_URLS.ollama, settings);
+    case 'llamacpp': return llamacppProvider(url || DEFAULT_URLS.llamacpp, settings);
+    case 'replay':
+      if (!fixtures) throw new Error('The replay provider needs a fixture directory (--replay <dir>)');
+      return replayProvider(fixtures);
+    default:
+      throw new Error(`Unknown provider "${name}". Providers: openai, ollama, llamacpp, replay`);
+  }
+}
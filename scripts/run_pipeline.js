@@ -3,21 +3,43 @@
  * run_pipeline.js
  *
  * Orchestrate the AI world generator pipeline. This script calls each
- * specialised LLM agent via the local LM Studio API, validates and
+ * specialised LLM agent through a provider (LM Studio or any other
+ * OpenAI-compatible server by default, see providers.js), validates and
  * sanitises the responses, writes them to a build directory and then
- * copies them into the app/data folder for the game to load. Axios is
- * used instead of fetch to avoid undici timeouts.
+ * publishes them as a new bundle in the app/worlds library (see
+ * library.js) for the game to load. app/data keeps the default world.
  */
 
 import fs from 'fs';
 import path from 'path';
 import process from 'process';
-import http from 'http';
-import https from 'https';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
+import { SCHEMAS, validate, ValidationError } from './schemas.js';
+import { loadWorld, saveWorld, lintWorld, fixWorld, formatReport } from './lint_world.js';
+import { runGraph, downstreamOf } from './orchestrator.js';
+import { createProvider, withRecording } from './providers.js';
+import { loadConfig, applyOverride, resolveStages } from './config.js';
+import { writeBundle, bundleDir, markEdited } from './library.js';
+import { scoreWorld, rankResults, formatMarkdown } from './score_world.js';
+import { writeSprites } from './sprites.js';
+import { generateMap } from './map.js';
+import { repairDialogues, formatGraphReport } from './dialogue_graph.js';
 
-const LM_URL = process.env.LM_URL || 'http://127.0.0.1:1234/v1/chat/completions';
-const MODEL = process.env.LM_MODEL || 'Qwen2.5-7B-Instruct';
+// Provider name (openai, ollama, llamacpp, replay) and an optional endpoint override
+const PROVIDER = process.env.LM_PROVIDER || 'openai';
+const LM_URL = process.env.LM_URL;
+// Default model for every stage unless pipeline.config.json says otherwise
+const LM_MODEL = process.env.LM_MODEL;
+// How many independent stages may talk to the model at the same time
+const CONCURRENCY = Number(process.env.LM_CONCURRENCY || 1);
+// How many times a stage may be re-prompted with its validation errors
+const MAX_REPAIRS = Number(process.env.LM_MAX_REPAIRS ?? 2);
+// Seconds a request may sit idle, retries on connection errors/429/5xx, and
+// whether responses are streamed (shows live progress)
+const TIMEOUT = Number(process.env.LM_TIMEOUT || 300);
+const RETRIES = Number(process.env.LM_RETRIES ?? 3);
+const STREAM = process.env.LM_STREAM === '1';
 
 /** Extract the first valid JSON object or array from a string. Removes
  * markdown fences if present and tries to parse progressively. */
@@ -59,114 +81,614 @@ function extractFirstJSON(str) {
   return null;
 }
 
-/** Perform an HTTP POST request without relying on external libraries. */
-async function httpPost(url, body) {
-  return new Promise((resolve, reject) => {
-    const parsed = new URL(url);
-    const isHttps = parsed.protocol === 'https:';
-    const options = {
-      method: 'POST',
-      hostname: parsed.hostname,
-      port: parsed.port || (isHttps ? 443 : 80),
-      path: parsed.pathname + parsed.search,
-      headers: { 'Content-Type': 'application/json' }
-    };
-    const lib = isHttps ? https : http;
-    const req = lib.request(options, res => {
-      let data = '';
-      res.on('data', chunk => { data += chunk; });
-      res.on('end', () => {
-        try {
-          const json = JSON.parse(data);
-          resolve(json);
-        } catch (err) {
-          reject(err);
-        }
-      });
-    });
-    req.on('error', reject);
-    req.write(body);
-    req.end();
-  });
-}
-
-/** Call the LLM with a system prompt file and user payload. Returns parsed JSON. */
-async function callLLM(systemPromptPath, userPayload) {
-  const systemContent = fs.readFileSync(systemPromptPath, 'utf8');
+/**
+ * Call the LLM with a system prompt file (or a list of files, joined) and
+ * user payload. The response is
+ * validated against the stage schema; on failure the errors are sent back
+ * to the model so it can repair its answer, up to MAX_REPAIRS times.
+ * Custom stages without a schema only need to return a JSON object.
+ * Returns the parsed JSON or throws a ValidationError with a readable report.
+ * `settings` are the stage's model settings, `signal` cancels the request
+ * and `onToken` receives streamed text.
+ */
+async function callLLM(provider, stage, systemPromptPath, userPayload, { settings, signal, onToken }) {
+  const schema = SCHEMAS[stage] || { type: 'object' };
+  const { model, temperature, max_tokens, seed, stop } = settings;
+  const systemContent = [systemPromptPath].flat().map(file => fs.readFileSync(file, 'utf8')).join('\n\n');
   const messages = [
     { role: 'system', content: systemContent },
     { role: 'user', content: JSON.stringify(userPayload) }
   ];
-  const payload = { model: MODEL, messages, temperature: 0.1 };
-  const bodyStr = JSON.stringify(payload);
-  const data = await httpPost(LM_URL, bodyStr);
-  const content = data.choices?.[0]?.message?.content;
-  const jsonStr = extractFirstJSON(content);
-  if (!jsonStr) throw new Error('Failed to extract JSON from LLM response');
-  return JSON.parse(jsonStr);
+  let errors = [];
+  for (let attempt = 0; attempt <= MAX_REPAIRS; attempt++) {
+    if (attempt > 0) console.log(`  ${stage}: repairing (attempt ${attempt + 1}/${MAX_REPAIRS + 1})...`);
+    const content = await provider.complete({
+      stage, messages: [...messages], model, temperature, options: { max_tokens, seed, stop }, signal, onToken
+    });
+    const jsonStr = extractFirstJSON(content);
+    if (!jsonStr) {
+      errors = ['$: response did not contain a JSON object'];
+    } else {
+      const json = JSON.parse(jsonStr);
+      errors = validate(schema, json);
+      if (errors.length === 0) return json;
+    }
+    // Feed the rejected answer and the problems back for the next attempt
+    messages.push({ role: 'assistant', content: content || '' });
+    messages.push({
+      role: 'user',
+      content: 'Your response does not match the required schema:\n' +
+        errors.map(e => `- ${e}`).join('\n') +
+        '\nReturn the complete corrected JSON only, no commentary.'
+    });
+  }
+  throw new ValidationError(stage, MAX_REPAIRS + 1, errors);
+}
+
+/**
+ * Built-in pipeline stages as a dependency graph. Each stage names the
+ * prompt it sends, the build file it writes, the stages whose output it
+ * consumes (`inputs`) and how to build its user payload from those outputs
+ * (plus the run's `theme`). `payload` holds the default extra payload values
+ * (counts and the like) that pipeline.config.json may override. Every
+ * stage's output is published in the world bundle. Stages that share only
+ * upstream inputs run concurrently. A stage with `generate` instead of a
+ * prompt is computed locally: `generate(input, dir)` may write extra files
+ * into the build directory and `assets(output)` lists them so they are
+ * published with the world. `refine(output, { input, ask, signal })`
+ * post-processes a model stage's validated output before it is cached;
+ * `ask(prompt, payload)` sends a follow-up request with the stage settings.
+ */
+const STAGES = [
+  { name: 'architect', label: 'Architect', prompt: 'architect_system.md', output: 'architect.json',
+    inputs: [], input: ({ theme }) => ({ theme }), payload: { tile_size: 32, palette: 'DB32' } },
+  { name: 'world', label: 'World engineer', prompt: 'engineer_world_system.md', output: 'world_spec.json',
+    inputs: ['architect'], input: ({ architect }) => ({ architect }) },
+  { name: 'art_plan', label: 'Art plan engineer', prompt: 'engineer_art_plan_system.md', output: 'art_plan.json',
+    inputs: ['world'], input: ({ world }) => ({ world }) },
+  { name: 'status_effects', label: 'Status effects engineer', prompt: 'engineer_status_system.md', output: 'status_effects.json',
+    inputs: ['world'], input: ({ world }) => ({ world }), payload: { total: 8 } },
+  { name: 'abilities', label: 'Abilities engineer', prompt: 'engineer_abilities_system.md', output: 'abilities.json',
+    inputs: ['world', 'status_effects'], input: ({ world, status_effects }) => ({ world, status_effects }),
+    payload: { total: 10 } },
+  { name: 'inventory', label: 'Inventory engineer', prompt: 'engineer_inventory_system.md', output: 'inventory.json',
+    inputs: ['world'], input: ({ world }) => ({ world }), payload: { total: 40 } },
+  { name: 'quests', label: 'Quests engineer', prompt: 'engineer_quests_system.md', output: 'quests.json',
+    inputs: ['architect', 'world', 'inventory', 'abilities'],
+    input: ({ architect, world, inventory, abilities }) => ({
+      architect,
+      world,
+      items: inventory.items.map(({ item_id, name }) => ({ item_id, name })),
+      abilities: abilities.abilities.map(({ id, name }) => ({ id, name }))
+    }) },
+  { name: 'dialogue', label: 'Dialogue engineer', prompt: 'engineer_dialogue_system.md', output: 'dialogue.json',
+    inputs: ['world', 'inventory', 'quests', 'status_effects'],
+    input: ({ world, inventory, quests, status_effects }) => ({
+      world,
+      items: inventory.items.map(({ item_id, name }) => ({ item_id, name })),
+      // Story flags quests wait for must be set by some dialogue
+      quests: quests.quests.map(q => ({
+        id: q.id,
+        title: q.title,
+        steps: q.steps.map(st => st.goal),
+        unlock_flag: q.requires?.flag,
+        fail_flag: q.fail_when?.flag
+      })),
+      status_effects: status_effects.status_effects.map(({ id, name, kind }) => ({ id, name, kind }))
+    }),
+    payload: { interactions: 8 }, refine: refineDialogues },
+  { name: 'events', label: 'Events engineer', prompt: 'engineer_events_system.md', output: 'events.json',
+    inputs: ['world', 'inventory', 'status_effects', 'quests'],
+    input: ({ world, inventory, status_effects, quests }) => ({
+      world,
+      items: inventory.items.map(({ item_id, name }) => ({ item_id, name })),
+      status_effects: status_effects.status_effects.map(({ id, name, kind }) => ({ id, name, kind })),
+      quests: quests.quests.map(q => ({ id: q.id, title: q.title, steps: q.steps.map(st => st.goal) })),
+      required_events: quests.quests.flatMap(q => q.steps.filter(st => st.objective?.type === 'event')
+        .map(st => ({ id: st.objective.event_id, quest_id: q.id, goal: st.goal, location: st.location_hint })))
+    }),
+    payload: { total: 20 } },
+  { name: 'map', label: 'Map generator', output: 'map.json',
+    inputs: ['architect', 'world'], input: ({ architect, world }) => ({ architect, world }),
+    payload: { tiles_per_zone: 240, plots_per_zone: 3, plot_size: 3 },
+    generate: ({ architect, world, ...options }) => generateMap({ architect, world }, options) },
+  { name: 'sprites', label: 'Sprite generator', output: 'sprites.json',
+    inputs: ['architect', 'world', 'art_plan', 'inventory'],
+    input: ({ architect, world, art_plan, inventory }) => ({ architect, world, art_plan, inventory }),
+    payload: { max_variants: 4 },
+    generate: ({ max_variants, ...input }, dir) => writeSprites(dir, input, { max_variants }),
+    assets: atlas => Object.values(atlas.sheets) }
+];
+
+/**
+ * Dialogue stage post-processing: analyse every dialogue graph, ask the
+ * model again for just the dialogues that are too short or broken, then
+ * repair dead ends, closed cycles and unreachable nodes (see
+ * dialogue_graph.js).
+ */
+async function refineDialogues(output, { input, ask, signal }) {
+  const { regenerated, changes, reports } = await repairDialogues(output, {
+    ask: (dialogue, problems) => ask('engineer_dialogue_repair_system.md', {
+      world: input.world, items: input.items, quests: input.quests, status_effects: input.status_effects, dialogue, problems
+    }),
+    signal,
+    log: line => console.log(line)
+  });
+  changes.forEach(c => console.log(`  ${c}`));
+  if (regenerated.length > 0 || changes.length > 0) {
+    console.log(`  dialogue: regenerated ${regenerated.length}, made ${changes.length} repair(s)`);
+  }
+  console.log(formatGraphReport(reports).replace(/^/gm, '  '));
+  return output;
+}
+
+/**
+ * Entities `regen` can replace one at a time, by kind: the stage that
+ * makes them, the list they live in, their id key and the summary of the
+ * remaining entries sent along as context.
+ */
+const ENTITIES = {
+  dialogue: { stage: 'dialogue', list: 'dialogues', key: 'id',
+    summary: d => ({ id: d.id, speaker: d.nodes?.[0]?.speaker, opening: d.nodes?.[0]?.text }) },
+  quest: { stage: 'quests', list: 'quests', key: 'id', summary: q => ({ id: q.id, title: q.title, is_main: q.is_main }) },
+  item: { stage: 'inventory', list: 'items', key: 'item_id', summary: i => ({ item_id: i.item_id, name: i.name }) },
+  ability: { stage: 'abilities', list: 'abilities', key: 'id', summary: a => ({ id: a.id, name: a.name }) },
+  status: { stage: 'status_effects', list: 'status_effects', key: 'id', summary: st => ({ id: st.id, name: st.name }) },
+  event: { stage: 'events', list: 'events', key: 'id', summary: e => ({ id: e.id, title: e.title }) }
+};
+
+/**
+ * Parse command line arguments. `batch` as the first argument generates
+ * every theme (and seed) into its own bundle and ranks the results;
+ * `regen <kind> <id>` replaces a single entity (see ENTITIES), e.g.
+ * `regen dialogue d3` or `regen quest q2`.
+ * Flags:
+ *   --from <stage>        run this stage and every stage depending on it, reuse other outputs
+ *   --only <stage>        run just the listed stage(s); may be comma separated or repeated
+ *   --force               ignore cached responses for the stages that run
+ *   --concurrency <n>     how many independent stages may run at once
+ *   --provider <name>     openai, ollama, llamacpp or replay
+ *   --record <dir>        save every model response as a fixture in <dir>; the stages
+ *                         that run skip the cache so every one of them is recorded
+ *   --replay <dir>        answer from fixtures in <dir> instead of a model
+ *   --stream              stream responses and show live progress
+ *   --timeout <seconds>   idle timeout per request
+ *   --retries <n>         retries on connection errors, 429 and 5xx
+ *   --config <file>       pipeline config (default: pipeline.config.json)
+ *   --set <path>=<value>  override a config value, e.g. dialogue.model=big-model
+ *                         or inventory.payload.total=60; may be repeated
+ *   --seeds <n,n,...>     model seed for every stage; batch runs each theme once per seed
+ *   --themes-file <file>  batch: read more themes from a file, one per line
+ *   --world <id>          regen: edit this library bundle (or "default" for app/data) instead of build/
+ * Bare arguments are themes; a plain run takes just one.
+ */
+function parseArgs(argv) {
+  const opts = { command: 'generate', themes: [], from: null, only: [], force: false, concurrency: CONCURRENCY,
+    provider: PROVIDER, record: null, replay: null, stream: STREAM, timeout: TIMEOUT, retries: RETRIES,
+    config: null, set: [], seeds: [], themesFile: null, world: null };
+  if (argv[0] === 'batch' || argv[0] === 'regen') {
+    opts.command = argv[0];
+    argv = argv.slice(1);
+  }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--force') opts.force = true;
+    else if (arg === '--from') opts.from = argv[++i];
+    else if (arg === '--only') opts.only.push(...(argv[++i] || '').split(','));
+    else if (arg === '--concurrency') opts.concurrency = Number(argv[++i]);
+    else if (arg === '--provider') opts.provider = argv[++i];
+    else if (arg === '--record') opts.record = argv[++i];
+    else if (arg === '--replay') { opts.replay = argv[++i]; opts.provider = 'replay'; }
+    else if (arg === '--stream') opts.stream = true;
+    else if (arg === '--timeout') opts.timeout = Number(argv[++i]);
+    else if (arg === '--retries') opts.retries = Number(argv[++i]);
+    else if (arg === '--config') opts.config = argv[++i];
+    else if (arg === '--set') opts.set.push(argv[++i] || '');
+    else if (arg === '--seeds') opts.seeds.push(...(argv[++i] || '').split(',').filter(Boolean).map(Number));
+    else if (arg === '--themes-file') opts.themesFile = argv[++i];
+    else if (arg === '--world') opts.world = argv[++i];
+    else opts.themes.push(arg);
+  }
+  if (opts.seeds.some(n => !Number.isInteger(n))) throw new Error('--seeds expects whole numbers, e.g. --seeds 1,2,3');
+  if (opts.world && opts.command !== 'regen') throw new Error('--world only applies to regen');
+  if (opts.command !== 'batch' && opts.seeds.length > 1) throw new Error('Several seeds given; use "batch" to generate more than one world');
+  if (!(opts.concurrency >= 1)) throw new Error('--concurrency must be a number of at least 1');
+  if (!(opts.timeout > 0)) throw new Error('--timeout must be a positive number of seconds');
+  if (!(opts.retries >= 0)) throw new Error('--retries must be a number of at least 0');
+  return opts;
+}
+
+/** Names of the stages that run this time based on --from and --only. */
+function selectedStages(stages, opts) {
+  const names = stages.map(st => st.name);
+  [opts.from, ...opts.only].filter(Boolean).forEach(name => {
+    if (!names.includes(name)) throw new Error(`Unknown stage "${name}". Stages: ${names.join(', ')}`);
+  });
+  if (opts.only.length > 0) return new Set(opts.only);
+  if (opts.from) return downstreamOf(stages, [opts.from]);
+  return new Set(names);
+}
+
+/** Format a duration in milliseconds as seconds. */
+function seconds(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Write JSON through a temporary file and rename it into place, so an
+ * interrupted run never leaves a half-written file behind.
+ */
+function writeJSON(file, json) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(json, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Live progress for streamed stages: one status line on stderr listing how
+ * much text each running stage has received. Only drawn on a terminal.
+ */
+function createProgress() {
+  const counts = new Map();
+  const live = process.stderr.isTTY;
+  const render = () => {
+    const parts = [...counts].map(([name, n]) => `${name} ${n} chars`);
+    process.stderr.write(`\r\x1b[K${parts.length ? `  streaming: ${parts.join(', ')}` : ''}`);
+  };
+  return {
+    add(name, text) {
+      counts.set(name, (counts.get(name) || 0) + text.length);
+      if (live) render();
+    },
+    end(name) {
+      if (counts.delete(name) && live) render();
+    },
+    clear() {
+      if (live) process.stderr.write('\r\x1b[K');
+    }
+  };
+}
+
+/**
+ * Hash everything that determines a stage's response: the prompt text, the
+ * user payload, the provider answering and the model settings. Upstream
+ * changes alter the payload of dependent stages, so their hashes change and
+ * they are regenerated too. Recording does not change the answers, so a
+ * recording run hashes like a plain run of the provider it wraps.
+ */
+function stageHash(provider, promptPath, input, settings) {
+  const h = crypto.createHash('sha256');
+  h.update(fs.readFileSync(promptPath, 'utf8'));
+  h.update(JSON.stringify({ input, provider: (provider.wraps || provider).name, settings }));
+  return h.digest('hex');
+}
+
+/**
+ * Generate one world: run the stage graph, lint the result and publish it
+ * as a bundle. `seed`, when given, overrides the seed of every stage.
+ * Returns `{ manifest, stages }`; throws when a stage fails, the lint finds
+ * errors or the run was cancelled.
+ */
+async function generateWorld(ctx, { theme, seed = null }) {
+  const { opts, rootDir, buildDir, cacheDir, worldsDir, promptsDir, provider, signal } = ctx;
+  const config = structuredClone(ctx.config);
+  if (seed !== null) config.defaults = { ...config.defaults, seed };
+  const stages = resolveStages(STAGES, config, promptsDir);
+  console.log(`Generating world for theme: ${theme}${seed !== null ? ` (seed ${seed})` : ''} (provider: ${provider.name})`);
+  const progress = createProgress();
+  const selected = selectedStages(stages, opts);
+  const outputs = { theme };
+  const notes = {};
+  // Stage hash per stage for the bundle manifest; null when an earlier
+  // build output was reused without checking it
+  const hashes = {};
+  const runStage = async stage => {
+    if (signal.aborted) throw new Error('cancelled before it started');
+    const outFile = path.join(buildDir, stage.output);
+    if (!selected.has(stage.name)) {
+      // Not selected: reuse the output of an earlier run
+      if (!fs.existsSync(outFile)) {
+        throw new Error(`not selected but ${path.relative(rootDir, outFile)} does not exist; run it first`);
+      }
+      notes[stage.name] = ' (reused build output)';
+      hashes[stage.name] = null;
+      outputs[stage.name] = JSON.parse(fs.readFileSync(outFile, 'utf8'));
+      return outputs[stage.name];
+    }
+    const input = { ...stage.input(outputs), ...stage.payload };
+    if (stage.generate) {
+      // Computed locally and cheap: always regenerated, never cached
+      notes[stage.name] = ' (generated)';
+      hashes[stage.name] = crypto.createHash('sha256').update(JSON.stringify(input)).digest('hex');
+      outputs[stage.name] = stage.generate(input, buildDir);
+      writeJSON(outFile, outputs[stage.name]);
+      return outputs[stage.name];
+    }
+    const promptPath = path.join(promptsDir, stage.prompt);
+    const hash = stageHash(provider, promptPath, input, stage.settings);
+    const cacheFile = path.join(cacheDir, `${stage.name}.${hash}.json`);
+    hashes[stage.name] = hash;
+    let result;
+    // A recording run asks the model for every stage so the fixtures are complete
+    if (!opts.force && !opts.record && fs.existsSync(cacheFile)) {
+      notes[stage.name] = ' (cached)';
+      result = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+    } else {
+      const ask = (prompt, payload) => callLLM(provider, stage.name, path.join(promptsDir, prompt), payload, {
+        settings: stage.settings,
+        signal,
+        onToken: text => progress.add(stage.name, text)
+      });
+      try {
+        result = await ask(stage.prompt, input);
+        if (stage.refine) result = await stage.refine(result, { input, ask, signal });
+      } finally {
+        progress.end(stage.name);
+      }
+      writeJSON(cacheFile, result);
+    }
+    writeJSON(outFile, result);
+    outputs[stage.name] = result;
+    return result;
+  };
+  const onEvent = (type, stage, { ms, error }) => {
+    progress.clear();
+    if (type === 'start') console.log(`${stage.label}...`);
+    else if (type === 'done') {
+      console.log(`  ${stage.name} done in ${seconds(ms)}${notes[stage.name] || ''}`);
+    } else if (type === 'failed') console.error(`  ${stage.name} failed after ${seconds(ms)}: ${error.message}`);
+    else if (type === 'skipped') console.error(`  ${stage.name} skipped: ${error.message}`);
+  };
+  const results = await runGraph(stages, runStage, { concurrency: opts.concurrency, onEvent });
+  // Per-stage summary
+  console.log('\nStage summary:');
+  stages.forEach(stage => {
+    const r = results.get(stage.name);
+    const note = r.status !== 'done' ? `  ${r.error.message.split('\n')[0]}` : '';
+    console.log(`  ${stage.name.padEnd(16)} ${r.status.padEnd(8)} ${seconds(r.ms).padStart(7)}${note}`);
+  });
+  if (signal.aborted) throw new Error('Cancelled; finished stages were kept in build/ and the cache.');
+  const broken = stages.filter(st => results.get(st.name).status !== 'done');
+  if (broken.length > 0) {
+    throw new Error(`Stage(s) ${broken.map(st => st.name).join(', ')} did not complete; finished stages were kept in build/ and the cache. ` +
+      'Re-run to retry only what is missing.');
+  }
+  // Check cross-file references, repair what can be repaired and refuse to
+  // publish a world whose ids still do not resolve
+  console.log('Linting world...');
+  const built = loadWorld(buildDir);
+  const fixed = fixWorld(built);
+  if (fixed > 0) {
+    saveWorld(buildDir, built);
+    console.log(`  fixed ${fixed} reference issue(s)`);
+  }
+  const issues = lintWorld(built);
+  if (issues.length > 0) console.log(formatReport(issues));
+  if (issues.some(i => i.level === 'error')) {
+    throw new Error('World lint failed; build/ was kept but no world bundle was written');
+  }
+  // Publish every stage output as a new bundle in the world library
+  const files = stages.flatMap(st => [st.output, ...(st.assets?.(outputs[st.name]) || [])]);
+  const manifest = writeBundle(worldsDir, files.map(file => path.join(buildDir, file)), {
+    theme: outputs.architect?.theme || theme,
+    title: outputs.world?.title || null,
+    provider: provider.name,
+    models: [...new Set(stages.filter(st => st.prompt).map(st => st.settings.model))],
+    config,
+    stages: Object.fromEntries(stages.map(st => [st.name, {
+      output: st.output,
+      hash: hashes[st.name],
+      settings: st.prompt ? st.settings : null,
+      payload: st.payload
+    }]))
+  });
+  console.log(`World saved to app/worlds/${manifest.id}.`);
+  return { manifest, stages };
+}
+
+/** Themes for a batch: command line themes plus one per line of --themes-file. */
+function batchThemes(opts) {
+  const themes = [...opts.themes];
+  if (opts.themesFile) {
+    const lines = fs.readFileSync(path.resolve(opts.themesFile), 'utf8').split('\n');
+    themes.push(...lines.map(l => l.trim()).filter(l => l && !l.startsWith('#')));
+  }
+  return themes.length > 0 ? themes : [process.env.THEME || 'mystic forest'];
+}
+
+/**
+ * Generate every theme x seed combination into its own bundle, one after
+ * the other. A failed run is recorded and the batch moves on. Every world
+ * is scored (see score_world.js) and the ranked table is printed and
+ * written to build/batch-report.md and build/batch-report.json.
+ */
+async function runBatch(ctx) {
+  const { opts, buildDir, worldsDir, signal } = ctx;
+  if (opts.from || opts.only.length > 0) throw new Error('--from and --only cannot be used with batch');
+  const themes = batchThemes(ctx.opts);
+  const seeds = opts.seeds.length > 0 ? opts.seeds : [null];
+  const runs = themes.flatMap(theme => seeds.map(seed => ({ theme, seed })));
+  const results = [];
+  for (const [i, run] of runs.entries()) {
+    if (signal.aborted) break;
+    console.log(`\n=== Batch run ${i + 1}/${runs.length} ===`);
+    const row = { id: null, theme: run.theme, seed: run.seed };
+    const started = Date.now();
+    try {
+      const { manifest, stages } = await generateWorld(ctx, run);
+      const interactions = stages.find(st => st.name === 'dialogue')?.payload.interactions;
+      Object.assign(row, { id: manifest.id, title: manifest.title },
+        scoreWorld(loadWorld(path.join(worldsDir, manifest.id)), { interactions }));
+      console.log(`  score ${row.score}/100`);
+    } catch (err) {
+      row.error = err.message;
+      console.error(`  run failed: ${err.message.split('\n')[0]}`);
+    }
+    row.ms = Date.now() - started;
+    results.push(row);
+  }
+  const ranked = rankResults(results);
+  const table = formatMarkdown(ranked);
+  const skipped = runs.length - results.length;
+  const report = [
+    '# Batch report',
+    '',
+    `${results.length} run(s) on ${new Date().toISOString()}${skipped ? `, ${skipped} cancelled` : ''}.`,
+    '',
+    table,
+    ''
+  ].join('\n');
+  fs.writeFileSync(path.join(buildDir, 'batch-report.md'), report);
+  writeJSON(path.join(buildDir, 'batch-report.json'), {
+    created: new Date().toISOString(),
+    results: ranked.map((r, i) => ({ rank: i + 1, ...r }))
+  });
+  console.log(`\n${table}\n`);
+  console.log('Report written to build/batch-report.md and build/batch-report.json.');
+  if (ranked[0] && !ranked[0].error) {
+    console.log(`Best world: open /?world=${encodeURIComponent(ranked[0].id)}`);
+  }
+  if (signal.aborted) throw new Error('Cancelled; the report covers the runs that finished.');
+  if (results.length > 0 && results.every(r => r.error)) throw new Error('Every run in the batch failed');
+}
+
+/**
+ * Replace one entity of a stage's output in build/ (or the world given by
+ * --world): the model gets the stage's usual input, the entity to replace
+ * and a summary of the others, and the answer is spliced in under the
+ * same id. Fixable references of the new entity are repaired; the file is
+ * only written when none of its references remain broken.
+ */
+async function regenerateEntity(ctx, { kind, id }) {
+  const { opts, rootDir, buildDir, worldsDir, promptsDir, provider, signal } = ctx;
+  const entity = kind && (ENTITIES[kind] || Object.values(ENTITIES).find(e => e.stage === kind));
+  if (!entity) throw new Error(`Cannot regenerate "${kind}"; kinds: ${Object.keys(ENTITIES).join(', ')}`);
+  if (!id) throw new Error(`Usage: regen ${kind} <id>`);
+  const stages = resolveStages(STAGES, ctx.config, promptsDir);
+  const stage = stages.find(st => st.name === entity.stage);
+  let dir = buildDir;
+  if (opts.world === 'default') dir = path.join(rootDir, 'app', 'data');
+  else if (opts.world) dir = bundleDir(worldsDir, opts.world);
+  const file = path.join(dir, stage.output);
+  if (!fs.existsSync(file)) throw new Error(`${path.relative(rootDir, file)} does not exist; generate a world first`);
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const list = data[entity.list] || [];
+  const index = list.findIndex(e => e[entity.key] === id);
+  if (index < 0) {
+    throw new Error(`No ${kind} "${id}" in ${path.relative(rootDir, file)}; ids: ${list.map(e => e[entity.key]).join(', ')}`);
+  }
+  // The stage's usual input, from whatever upstream outputs this directory has
+  const read = name => {
+    const upstream = stages.find(st => st.name === name);
+    const f = upstream && path.join(dir, upstream.output);
+    return f && fs.existsSync(f) ? JSON.parse(fs.readFileSync(f, 'utf8')) : undefined;
+  };
+  const outputs = Object.fromEntries(stage.inputs.map(name => [name, read(name)]));
+  const inventory = stage.name !== 'inventory' ? read('inventory') : null;
+  const payload = {
+    ...stage.input(outputs),
+    ...(inventory ? { items: (inventory.items || []).map(i => ({ item_id: i.item_id, name: i.name })) } : {}),
+    others: list.filter((_, i) => i !== index).map(entity.summary),
+    entity: list[index]
+  };
+  console.log(`Regenerating ${kind} "${id}" in ${path.relative(rootDir, dir)} (provider: ${provider.name})...`);
+  const progress = createProgress();
+  const ask = (prompts, input) => callLLM(provider, stage.name, [prompts].flat().map(p => path.join(promptsDir, p)), input, {
+    settings: stage.settings,
+    signal,
+    onToken: text => progress.add(stage.name, text)
+  });
+  let answer;
+  try {
+    answer = await ask([stage.prompt, 'regenerate_entity_system.md'], payload);
+    const returned = answer[entity.list] || [];
+    if (returned.length === 0) throw new Error(`The model returned no ${kind}`);
+    if (returned.length > 1) console.log(`  the model returned ${returned.length} entries; keeping the first`);
+    answer = { ...answer, [entity.list]: [{ ...returned[0], [entity.key]: id }] };
+    if (stage.refine) answer = await stage.refine(answer, { input: payload, ask, signal });
+  } finally {
+    progress.end(stage.name);
+    progress.clear();
+  }
+  list[index] = { ...answer[entity.list][0], [entity.key]: id };
+  // Re-check every reference with the new entity in place; repair its own
+  // issues and refuse to write while any of them remain
+  const fileKey = path.basename(stage.output, '.json');
+  const world = { ...loadWorld(dir), [fileKey]: data };
+  const own = issue => issue.file === fileKey && issue.path.startsWith(`${entity.list}[${index}]`);
+  const fixable = lintWorld(world).filter(i => i.fix && own(i));
+  fixable.forEach(i => i.fix());
+  if (fixable.length > 0) console.log(`  fixed ${fixable.length} reference issue(s) in the new ${kind}`);
+  const issues = lintWorld(world);
+  if (issues.length > 0) console.log(formatReport(issues));
+  const broken = issues.filter(i => i.level === 'error' && own(i));
+  if (broken.length > 0) {
+    throw new Error(`The new ${kind} "${id}" has ${broken.length} unresolved reference(s); ${path.relative(rootDir, file)} was not changed`);
+  }
+  writeJSON(file, data);
+  if (opts.world && opts.world !== 'default') markEdited(worldsDir, opts.world);
+  console.log(`Replaced ${kind} "${id}" in ${path.relative(rootDir, file)}.`);
 }
 
 async function main() {
-  const theme = process.argv[2] || process.env.THEME || 'mystic forest';
+  const opts = parseArgs(process.argv.slice(2));
   // Decode the file URL to a proper file path to handle spaces in folder names
   const __filename = fileURLToPath(import.meta.url);
   const rootDir = path.join(path.dirname(__filename), '..');
   const buildDir = path.join(rootDir, 'build');
-  const appDataDir = path.join(rootDir, 'app', 'data');
-  fs.mkdirSync(buildDir, { recursive: true });
-  fs.mkdirSync(appDataDir, { recursive: true });
-  console.log(`Generating world for theme: ${theme}`);
-  // Architect
-  console.log('Architect...');
-  const architectInput = { theme, tile_size: 32, palette: 'DB32' };
-  const architect = await callLLM(path.join(rootDir, 'prompts', 'architect_system.md'), architectInput);
-  fs.writeFileSync(path.join(buildDir, 'architect.json'), JSON.stringify(architect, null, 2));
-  // World engineer
-  console.log('World engineer...');
-  const worldInput = { architect };
-  const world = await callLLM(path.join(rootDir, 'prompts', 'engineer_world_system.md'), worldInput);
-  fs.writeFileSync(path.join(buildDir, 'world_spec.json'), JSON.stringify(world, null, 2));
-  // Art plan engineer
-  console.log('Art plan engineer...');
-  const artInput = { world };
-  const artPlan = await callLLM(path.join(rootDir, 'prompts', 'engineer_art_plan_system.md'), artInput);
-  fs.writeFileSync(path.join(buildDir, 'art_plan.json'), JSON.stringify(artPlan, null, 2));
-  // Dialogue engineer
-  console.log('Dialogue engineer...');
-  const dlgInput = { world, interactions: 8 };
-  const dialogue = await callLLM(path.join(rootDir, 'prompts', 'engineer_dialogue_system.md'), dlgInput);
-  fs.writeFileSync(path.join(buildDir, 'dialogue.json'), JSON.stringify(dialogue, null, 2));
-  // Abilities engineer
-  console.log('Abilities engineer...');
-  const ablInput = { world, total: 10 };
-  const abilities = await callLLM(path.join(rootDir, 'prompts', 'engineer_abilities_system.md'), ablInput);
-  fs.writeFileSync(path.join(buildDir, 'abilities.json'), JSON.stringify(abilities, null, 2));
-  // Status effects engineer
-  console.log('Status effects engineer...');
-  const statusInput = { world, total: 8 };
-  const status = await callLLM(path.join(rootDir, 'prompts', 'engineer_status_system.md'), statusInput);
-  fs.writeFileSync(path.join(buildDir, 'status_effects.json'), JSON.stringify(status, null, 2));
-  // Inventory engineer
-  console.log('Inventory engineer...');
-  const invInput = { world, total: 40 };
-  const inventory = await callLLM(path.join(rootDir, 'prompts', 'engineer_inventory_system.md'), invInput);
-  fs.writeFileSync(path.join(buildDir, 'inventory.json'), JSON.stringify(inventory, null, 2));
-  // Events engineer
-  console.log('Events engineer...');
-  const evtInput = { world, total: 20 };
-  const events = await callLLM(path.join(rootDir, 'prompts', 'engineer_events_system.md'), evtInput);
-  fs.writeFileSync(path.join(buildDir, 'events.json'), JSON.stringify(events, null, 2));
-  // Quests engineer
-  console.log('Quests engineer...');
-  const qstInput = { architect, world };
-  const quests = await callLLM(path.join(rootDir, 'prompts', 'engineer_quests_system.md'), qstInput);
-  fs.writeFileSync(path.join(buildDir, 'quests.json'), JSON.stringify(quests, null, 2));
-  // Copy build JSON files to app/data
-  ['world_spec.json','dialogue.json','abilities.json','status_effects.json','inventory.json','events.json','quests.json'].forEach(f => {
-    fs.copyFileSync(path.join(buildDir, f), path.join(appDataDir, f));
+  const cacheDir = path.join(buildDir, '.cache');
+  const worldsDir = path.join(rootDir, 'app', 'worlds');
+  const promptsDir = path.join(rootDir, 'prompts');
+  const config = loadConfig(path.resolve(opts.config || path.join(rootDir, 'pipeline.config.json')), Boolean(opts.config));
+  if (LM_MODEL) config.defaults = { ...config.defaults, model: LM_MODEL };
+  opts.set.forEach(assignment => applyOverride(config, assignment));
+  // Resolve once up front so config mistakes surface before any request
+  resolveStages(STAGES, config, promptsDir);
+  fs.mkdirSync(cacheDir, { recursive: true });
+  fs.mkdirSync(worldsDir, { recursive: true });
+  const http = {
+    timeout: opts.timeout * 1000,
+    retries: opts.retries,
+    onRetry: (err, n, delay) => console.error(`  ${err.message}; retry ${n}/${opts.retries} in ${seconds(delay)}`)
+  };
+  let provider = createProvider(opts.provider, {
+    url: LM_URL, fixtures: opts.replay && path.resolve(opts.replay), http, stream: opts.stream
+  });
+  if (opts.record) provider = withRecording(provider, path.resolve(opts.record));
+  // Ctrl-C cancels in-flight requests; finished stages keep their files.
+  // A second Ctrl-C exits immediately.
+  const controller = new AbortController();
+  process.on('SIGINT', () => {
+    if (controller.signal.aborted) process.exit(130);
+    console.error('\nCancelling... (press Ctrl-C again to quit immediately)');
+    controller.abort(new Error('cancelled'));
   });
-  console.log('All files generated and copied to app/data.');
-  console.log('You can now run a local server to view the world.');
+  const ctx = { opts, config, rootDir, buildDir, cacheDir, worldsDir, promptsDir, provider, signal: controller.signal };
+  try {
+    if (opts.command === 'batch') {
+      await runBatch(ctx);
+      return;
+    }
+    if (opts.command === 'regen') {
+      if (opts.from || opts.only.length > 0) throw new Error('--from and --only cannot be used with regen');
+      await regenerateEntity(ctx, { kind: opts.themes[0], id: opts.themes[1] });
+      return;
+    }
+    if (opts.themes.length > 1) throw new Error(`Several themes given (${opts.themes.join(', ')}); use "batch" to generate more than one`);
+    const theme = opts.themes[0] || process.env.THEME || 'mystic forest';
+    const { manifest } = await generateWorld(ctx, { theme, seed: opts.seeds[0] ?? null });
+    console.log(`Serve the app and open /?world=${encodeURIComponent(manifest.id)} or pick it from the world list.`);
+  } catch (err) {
+    if (controller.signal.aborted) {
+      console.error(err.message);
+      process.exit(130);
+    }
+    throw err;
+  }
 }
 
-main().catch(err => { console.error(err); process.exit(1); });
\ No newline at end of file
+main().catch(err => {
+  // Stage failures are already reported; show the stack only when debugging
+  console.error(err instanceof Error && !process.env.DEBUG ? err.message : err);
+  process.exit(1);
+});
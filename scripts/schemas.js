@@ -0,0 +1,292 @@
+/*
+ * schemas.js
+ *
+ * Response contracts for every pipeline agent, mirroring the JSON shapes
+ * documented in prompts/*.md, plus a tiny validator for them. The schema
+ * format is a small subset of JSON Schema (type, properties, required,
+ * items, minItems, minimum, maximum, enum, if/then) so it can be read at a glance and needs
+ * no external libraries.
+ */
+
+const str = { type: 'string' };
+const strArray = { type: 'array', items: str };
+const num = { type: 'number' };
+const amount = { type: 'number', minimum: 0 };
+// Illusion value and the tiers it is read as, see app/illusion.js; the
+// value never reaches 1, so the highest tier is 0.75
+const illusionValue = { type: 'number', minimum: 0, maximum: 1 };
+const tier = { type: 'number', minimum: 0, maximum: 0.75 };
+// Player stats a timed buff can raise
+const BUFF_TYPES = ['speed', 'strength', 'agility', 'charisma', 'attack', 'defence', 'regen'];
+
+/** Shorthand for an object schema whose listed properties are all required. */
+function obj(properties, optional = []) {
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(properties).filter(k => !optional.includes(k))
+  };
+}
+
+/** Shorthand for an array schema. */
+function arr(items, minItems = 0) {
+  return { type: 'array', items, minItems };
+}
+
+const zone = obj({ id: str, name: str });
+
+// What a dialogue node or option needs before the player may take it, or a
+// quest before it can be started
+const requires = obj({
+  item: str,
+  quest_step: obj({ quest_id: str, step: amount }),
+  skill: obj({ name: { type: 'string', enum: ['strength', 'agility', 'charisma'] }, min: amount }),
+  flag: str,
+  not_flag: str,
+  gold: amount,
+  level: { type: 'number', minimum: 1 },
+  quests_done: strArray
+}, ['item', 'quest_step', 'skill', 'flag', 'not_flag', 'gold', 'level', 'quests_done']);
+
+// What happens when the player reaches a dialogue node or picks an option.
+// complete_step must name the step it completes, so that running it again
+// cannot advance the quest further
+const dialogueEffects = arr({
+  ...obj({
+    type: { type: 'string', enum: ['start_quest', 'complete_step', 'take_item', 'give_gold', 'set_flag', 'apply_status'] },
+    quest_id: str,
+    step: amount,
+    item_id: str,
+    amount: num,
+    flag: str,
+    status_id: str
+  }, ['quest_id', 'step', 'item_id', 'amount', 'flag', 'status_id']),
+  if: { type: 'object', properties: { type: { enum: ['complete_step'] } } },
+  then: { type: 'object', required: ['quest_id', 'step'] }
+});
+
+// What completing a quest or one of its steps gives the player; `affinity`
+// moves the illusion, positive towards demiurge_affinity
+const rewards = obj({
+  gold: amount,
+  exp: amount,
+  item_ids: strArray,
+  ability_ids: strArray,
+  affinity: num
+}, ['gold', 'exp', 'item_ids', 'ability_ids', 'affinity']);
+
+export const SCHEMAS = {
+  architect: obj({
+    theme: str,
+    palette: str,
+    tile_size: { type: 'number', minimum: 1 },
+    zones: arr(zone, 3),
+    npc_kinds: arr(str, 2)
+  }),
+  world: obj({
+    title: str,
+    zones: arr(zone, 1),
+    npcs: arr(obj({ id: str, kind: str, home_zone: str }), 1),
+    // NPC kinds that roam the zones as enemies, see engineer_world_system.md
+    hostile_kinds: strArray
+  }, ['hostile_kinds']),
+  art_plan: obj({
+    sprites: arr(obj({ kind: str, count: { type: 'number', minimum: 1 } }), 1),
+    palettes: arr(str, 1)
+  }),
+  dialogue: obj({
+    dialogues: arr(obj({
+      id: str,
+      nodes: arr(obj({
+        node_id: str,
+        speaker: str,
+        text: str,
+        tier_text: arr(obj({ min_tier: tier, text: str })),
+        min_tier: tier,
+        max_tier: tier,
+        requires,
+        effects: dialogueEffects,
+        grants_item_ids: strArray,
+        options: arr(obj({
+          choice_text: str,
+          to_id: str,
+          grants_item_ids: strArray,
+          tags: strArray,
+          min_tier: tier,
+          max_tier: tier,
+          requires,
+          when_unmet: { type: 'string', enum: ['hide', 'disable'] },
+          effects: dialogueEffects
+        }, ['to_id', 'grants_item_ids', 'tags', 'min_tier', 'max_tier', 'requires', 'when_unmet', 'effects']))
+      }, ['tier_text', 'min_tier', 'max_tier', 'requires', 'effects', 'grants_item_ids']), 1)
+    }), 1)
+  }),
+  abilities: obj({
+    abilities: arr(obj({
+      id: str,
+      name: str,
+      description: str,
+      effect: { type: 'string', enum: ['damage', 'heal', ...BUFF_TYPES] },
+      magnitude: amount,
+      duration: amount,
+      cooldown: amount,
+      cost: amount,
+      range: amount,
+      area: amount,
+      applies_status: str
+    }, ['applies_status']), 1)
+  }),
+  status_effects: obj({
+    status_effects: arr(obj({
+      id: str,
+      name: str,
+      description: str,
+      kind: { type: 'string', enum: ['buff', 'debuff'] },
+      duration: amount,
+      stacking: { type: 'string', enum: ['refresh', 'stack', 'extend'] },
+      max_stacks: { type: 'number', minimum: 1 },
+      damage_per_second: amount,
+      heal_per_second: amount,
+      modifiers: arr(obj({
+        stat: { type: 'string', enum: ['speed', 'attack', 'defence', 'strength', 'agility', 'charisma'] },
+        value: num
+      })),
+      immune_to: strArray
+    }), 1)
+  }),
+  inventory: obj({
+    items: arr(obj({
+      item_id: str,
+      name: str,
+      category: { type: 'string', enum: ['consumable', 'weapon', 'armor', 'quest'] },
+      description: str,
+      rarity: { type: 'string', enum: ['common', 'uncommon', 'rare', 'epic', 'legendary'] },
+      price: amount,
+      stackable: { type: 'boolean' },
+      attack: amount,
+      defence: amount,
+      heal: amount,
+      buff: obj({
+        type: { type: 'string', enum: BUFF_TYPES },
+        magnitude: amount,
+        duration: amount
+      })
+    }, ['buff']), 1)
+  }),
+  events: obj({
+    events: arr(obj({
+      id: str,
+      title: str,
+      description: str,
+      location: str,
+      trigger: obj({
+        type: { type: 'string', enum: ['time', 'enter_zone', 'quest_step'] },
+        at: amount,
+        quest_id: str,
+        step: amount
+      }, ['at', 'quest_id', 'step']),
+      duration: amount,
+      effects: arr(obj({
+        type: { type: 'string', enum: ['block_path', 'open_path', 'spawn_item', 'spawn_npc', 'shop_prices', 'zone_status'] },
+        radius: amount,
+        item_id: str,
+        kind: str,
+        count: amount,
+        multiplier: amount,
+        status_id: str
+      }, ['radius', 'item_id', 'kind', 'count', 'multiplier', 'status_id']))
+    }), 1)
+  }),
+  quests: obj({
+    quests: arr(obj({
+      id: str,
+      title: str,
+      is_main: { type: 'boolean' },
+      steps: arr(obj({
+        goal: str,
+        location_hint: str,
+        requires_item_ids: strArray,
+        objective: obj({
+          type: { type: 'string', enum: ['visit', 'talk', 'collect', 'deliver', 'defeat', 'event'] },
+          npc_kind: str,
+          item_id: str,
+          count: { type: 'number', minimum: 1 },
+          event_id: str
+        }, ['npc_kind', 'item_id', 'count', 'event_id']),
+        rewards,
+        next_step: amount,
+        branches: arr(obj({ choice_text: str, next_step: amount }), 2)
+      }, ['objective', 'rewards', 'next_step', 'branches']), 1),
+      requires,
+      rewards,
+      time_limit: { type: 'number', minimum: 1 },
+      fail_when: requires,
+      endings: arr(obj({ title: str, text: str, min_value: illusionValue }))
+    }, ['requires', 'rewards', 'time_limit', 'fail_when', 'endings']), 1)
+  })
+};
+
+/** Describe the JSON type of a value the way the schema names it. */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema. Returns an array of human readable
+ * error strings, each prefixed with a JSON path (e.g. `$.quests[0].steps`).
+ * An empty array means the value is valid.
+ */
+export function validate(schema, value, at = '$') {
+  const errors = [];
+  const actual = typeOf(value);
+  if (schema.type && schema.type !== actual) {
+    errors.push(`${at}: expected ${schema.type}, got ${actual === 'undefined' ? 'nothing' : actual}`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: expected one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+  if (schema.type === 'string' && value.trim() === '') {
+    errors.push(`${at}: must not be empty`);
+  }
+  if (schema.type === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${at}: must be at least ${schema.minimum}, got ${value}`);
+  }
+  if (schema.type === 'number' && schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${at}: must be at most ${schema.maximum}, got ${value}`);
+  }
+  if (schema.type === 'object') {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) errors.push(`${at}.${key}: is required`);
+    });
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (key in value) errors.push(...validate(sub, value[key], `${at}.${key}`));
+    }
+  }
+  if (schema.if && validate(schema.if, value, at).length === 0) {
+    errors.push(...validate(schema.then, value, at));
+  }
+  if (schema.type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${at}: must contain at least ${schema.minItems} item(s), got ${value.length}`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(schema.items, item, `${at}[${i}]`)));
+    }
+  }
+  return errors;
+}
+
+/** Error thrown when a stage keeps producing output that fails its schema. */
+export class ValidationError extends Error {
+  constructor(stage, attempts, errors) {
+    const shown = errors.slice(0, 20).map(e => `  - ${e}`);
+    if (errors.length > shown.length) shown.push(`  ... and ${errors.length - shown.length} more`);
+    super(`Stage "${stage}" failed validation after ${attempts} attempt(s):\n${shown.join('\n')}`);
+    this.name = 'ValidationError';
+    this.stage = stage;
+    this.errors = errors;
+  }
+}
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+/*
+ * score_world.js
+ *
+ * Objective quality metrics for a generated world, mirroring the design
+ * guidelines in prompts/engineer_dialogue_system.md and
+ * engineer_quests_system.md: enough dialogues of at least five nodes, a
+ * node with three or more choices per dialogue, three to five quests of
+ * three to five steps with a main quest, items that tie dialogue and quests
+ * together, and references that resolve. Each metric is normalised to 0..1
+ * and the weighted sum gives a score out of 100.
+ *
+ * Usage: node scripts/score_world.js [dir]
+ */
+
+import path from 'path';
+import process from 'process';
+import { fileURLToPath } from 'url';
+import { loadWorld, lintWorld } from './lint_world.js';
+
+/** Relative weight of each normalised metric in the final score. */
+const WEIGHTS = {
+  dialogue_count: 1,
+  dialogue_depth: 2,
+  dialogue_branching: 2,
+  branching_factor: 1,
+  quest_count: 1,
+  quest_steps: 2,
+  main_quest: 1,
+  item_reuse: 1,
+  integrity: 3
+};
+
+/** Share of `list` satisfying `test`, 0 for an empty list. */
+function share(list, test) {
+  return list.length ? list.filter(test).length / list.length : 0;
+}
+
+/** Mean of numbers, 0 for an empty list. */
+function mean(nums) {
+  return nums.length ? nums.reduce((a, b) => a + b, 0) / nums.length : 0;
+}
+
+/** How close `n` is to lie within [lo, hi], as 0..1. */
+function inRange(n, lo, hi) {
+  if (n >= lo && n <= hi) return 1;
+  return n < lo ? n / lo : hi / n;
+}
+
+/**
+ * Score a loaded world (see lint_world.js loadWorld). `interactions` is
+ * the number of dialogues that was asked for. Returns
+ * `{ score, metrics, normalised }` where metrics are the raw counts.
+ */
+export function scoreWorld(world, { interactions = 8 } = {}) {
+  const dialogues = world.dialogue?.dialogues || [];
+  const quests = world.quests?.quests || [];
+  const items = world.inventory?.items || [];
+  const nodes = dialogues.flatMap(d => d.nodes || []);
+  const branchingNodes = nodes.filter(n => (n.options || []).length > 0);
+  // A node counts as a real branch when its options lead to 3+ distinct nodes
+  const hasThreeWay = d => (d.nodes || []).some(n => new Set((n.options || []).map(o => o.to_id).filter(Boolean)).size >= 3);
+  const granted = new Set(nodes.flatMap(n => [
+    ...(n.grants_item_ids || []),
+    ...(n.options || []).flatMap(o => o.grants_item_ids || [])
+  ]));
+  const required = quests.flatMap(q => (q.steps || []).flatMap(s => s.requires_item_ids || []));
+  const requiredSet = new Set(required);
+  const issues = lintWorld(world);
+  const metrics = {
+    dialogues: dialogues.length,
+    avg_nodes_per_dialogue: mean(dialogues.map(d => (d.nodes || []).length)),
+    dialogues_with_5_nodes: dialogues.filter(d => (d.nodes || []).length >= 5).length,
+    dialogues_with_3_way_branch: dialogues.filter(hasThreeWay).length,
+    branching_factor: mean(branchingNodes.map(n => n.options.length)),
+    quests: quests.length,
+    main_quests: quests.filter(q => q.is_main).length,
+    avg_steps_per_quest: mean(quests.map(q => (q.steps || []).length)),
+    quests_with_3_to_5_steps: quests.filter(q => (q.steps || []).length >= 3 && (q.steps || []).length <= 5).length,
+    items: items.length,
+    items_used: new Set([...granted, ...requiredSet]).size,
+    items_granted_and_required: [...granted].filter(id => requiredSet.has(id)).length,
+    lint_errors: issues.filter(i => i.level === 'error').length,
+    lint_warnings: issues.filter(i => i.level === 'warning').length
+  };
+  const normalised = {
+    dialogue_count: Math.min(1, metrics.dialogues / interactions),
+    dialogue_depth: share(dialogues, d => (d.nodes || []).length >= 5),
+    dialogue_branching: share(dialogues, hasThreeWay),
+    branching_factor: Math.min(1, metrics.branching_factor / 2),
+    quest_count: quests.length ? inRange(quests.length, 3, 5) : 0,
+    quest_steps: share(quests, q => (q.steps || []).length >= 3 && (q.steps || []).length <= 5),
+    main_quest: metrics.main_quests > 0 ? 1 : 0,
+    // Quest items handed out in conversation connect the two systems
+    item_reuse: requiredSet.size ? metrics.items_granted_and_required / requiredSet.size : 0,
+    integrity: 1 / (1 + metrics.lint_errors + 0.25 * metrics.lint_warnings)
+  };
+  const total = Object.values(WEIGHTS).reduce((a, b) => a + b, 0);
+  const weighted = Object.entries(WEIGHTS).reduce((sum, [key, w]) => sum + w * normalised[key], 0);
+  return { score: Math.round((weighted / total) * 1000) / 10, metrics, normalised };
+}
+
+/** Columns of the ranked comparison table: header and cell formatter. */
+const COLUMNS = [
+  ['Rank', (r, i) => String(i + 1)],
+  ['Theme', r => (r.seed !== null && r.seed !== undefined ? `${r.theme} (seed ${r.seed})` : r.theme)],
+  ['World', r => r.id || '-'],
+  ['Score', r => (r.error ? 'failed' : r.score.toFixed(1))],
+  ['Dialogues', r => r.metrics ? `${r.metrics.dialogues_with_5_nodes}/${r.metrics.dialogues}` : ''],
+  ['Avg nodes', r => r.metrics ? r.metrics.avg_nodes_per_dialogue.toFixed(1) : ''],
+  ['3-way', r => r.metrics ? String(r.metrics.dialogues_with_3_way_branch) : ''],
+  ['Branching', r => r.metrics ? r.metrics.branching_factor.toFixed(2) : ''],
+  ['Quests', r => r.metrics ? `${r.metrics.quests_with_3_to_5_steps}/${r.metrics.quests}` : ''],
+  ['Avg steps', r => r.metrics ? r.metrics.avg_steps_per_quest.toFixed(1) : ''],
+  ['Item links', r => r.metrics ? String(r.metrics.items_granted_and_required) : ''],
+  ['Lint', r => r.metrics ? `${r.metrics.lint_errors}E ${r.metrics.lint_warnings}W` : ''],
+  ['Notes', r => (r.error ? r.error.split('\n')[0] : '')]
+];
+
+/** Sort results best first; failed runs go last. */
+export function rankResults(results) {
+  return [...results].sort((a, b) => (b.error ? -1 : b.score) - (a.error ? -1 : a.score));
+}
+
+/** Render ranked results as a Markdown table. */
+export function formatMarkdown(ranked) {
+  const head = `| ${COLUMNS.map(([h]) => h).join(' | ')} |`;
+  const rule = `| ${COLUMNS.map(() => '---').join(' | ')} |`;
+  const rows = ranked.map((r, i) => `| ${COLUMNS.map(([, cell]) => cell(r, i).replace(/\|/g, '\\|')).join(' | ')} |`);
+  return [head, rule, ...rows].join('\n');
+}
+
+function main() {
+  const __filename = fileURLToPath(import.meta.url);
+  const rootDir = path.join(path.dirname(__filename), '..');
+  const dir = path.resolve(process.argv[2] || path.join(rootDir, 'app', 'data'));
+  const { score, metrics } = scoreWorld(loadWorld(dir));
+  console.log(`Score: ${score}/100`);
+  Object.entries(metrics).forEach(([key, value]) => {
+    console.log(`  ${key.padEnd(28)} ${Number.isInteger(value) ? value : value.toFixed(2)}`);
+  });
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main();
+}
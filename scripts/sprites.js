@@ -0,0 +1,414 @@
+#!/usr/bin/env node
+/*
+ * sprites.js
+ *
+ * Procedural pixel-art sprites for a generated world. The player and every
+ * NPC kind in the art plan and world spec get symmetric character sprites
+ * with idle and walk frames, every inventory item an icon for its category
+ * and every zone a building. Sprites are drawn at the architect's
+ * tile_size using only DB32 colours, picked from the groups that match the
+ * art plan palettes, the theme and the sprite's own name. The result is one
+ * PNG sheet per group plus an atlas manifest (sprites.json) that main.js
+ * reads; PNGs are encoded here so no image library is needed.
+ *
+ * Usage: node scripts/sprites.js [dir]
+ *   Reads architect.json (optional), art_plan.json (optional),
+ *   world_spec.json and inventory.json from dir (default: build) and writes
+ *   the sheets and sprites.json next to them.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import process from 'process';
+import { fileURLToPath } from 'url';
+
+/** The DawnBringer 32 colour palette. */
+export const DB32 = [
+  '#000000', '#222034', '#45283c', '#663931', '#8f563b', '#df7126', '#d9a066', '#eec39a',
+  '#fbf236', '#99e550', '#6abe30', '#37946e', '#4b692f', '#524b24', '#323c39', '#3f3f74',
+  '#306082', '#5b6ee1', '#639bff', '#5fcde4', '#cbdbfc', '#ffffff', '#9badb7', '#847e87',
+  '#696a6a', '#595652', '#76428a', '#ac3232', '#d95763', '#d77bba', '#8f974a', '#8a6f30'
+];
+
+const OUTLINE = '#222034';
+const SKIN = ['#eec39a', '#d9a066', '#8f563b', '#663931'];
+const METAL = ['#9badb7', '#cbdbfc', '#847e87', '#fbf236'];
+const GLASS = '#cbdbfc';
+
+/** DB32 colour groups chosen by keywords in palette names, themes and sprite names. */
+const COLOUR_GROUPS = [
+  [/fire|lava|flame|ember|volcan|molten|inferno|burn|ash|sun/, ['#ac3232', '#d95763', '#df7126', '#fbf236', '#d9a066', '#663931', '#8f563b']],
+  [/ice|snow|frost|water|sea|ocean|river|lake|rain|sky|storm|cloud/, ['#306082', '#5b6ee1', '#639bff', '#5fcde4', '#cbdbfc', '#3f3f74']],
+  [/forest|wood|tree|nature|grass|swamp|jungle|moss|leaf|garden|meadow/, ['#37946e', '#4b692f', '#6abe30', '#99e550', '#524b24', '#8f974a', '#8a6f30']],
+  [/earth|desert|sand|stone|rock|mountain|cave|cavern|ruin|dust|canyon/, ['#8f563b', '#d9a066', '#eec39a', '#8a6f30', '#9badb7', '#847e87', '#696a6a', '#595652']],
+  [/dark|shadow|night|crypt|void|death|undead|tomb|haunt|gloom/, ['#45283c', '#3f3f74', '#76428a', '#595652', '#323c39', '#696a6a']],
+  [/magic|mystic|arcane|crystal|fairy|fae|dream|spirit|astral|star/, ['#76428a', '#d77bba', '#5b6ee1', '#639bff', '#5fcde4', '#cbdbfc']],
+  [/gold|royal|castle|city|town|market|noble|temple/, ['#fbf236', '#d9a066', '#ac3232', '#3f3f74', '#9badb7', '#8a6f30']]
+];
+
+/** Kinds drawn with the creature body instead of the humanoid one. */
+const CREATURE = /elemental|spirit|ghost|slime|wisp|blob|golem|ooze|shade|phantom|spectre|specter|wraith|beast|creature|monster/;
+
+/*
+ * Character parts as the left half of a 16x16 grid (mirrored to the right).
+ *   h skin   H hair or hat   e eye   b body   a arm   l leg   f foot
+ *   ? body pixel or empty, decided per kind
+ */
+const HEADS = [
+  ['........', '........', '.....HHH', '....HHHH', '....hhhh', '....hehh', '....hhhh', '.....hhh'],
+  ['........', '......HH', '....HHHH', '...HHHHH', '....hhhh', '....hehh', '....hhhh', '.....hhh']
+];
+const BODIES = [
+  ['....?bbb', '...abbbb', '...abbbb', '...a?bbb'],
+  ['...?bbbb', '..abbbbb', '..abbbbb', '..a?bbbb'],
+  ['.....bbb', '....abbb', '....abbb', '....abbb']
+];
+const LEGS = [
+  ['.....lll', '.....ll.', '.....ll.', '....fff.'],
+  ['....?lll', '.....ll.', '.....ll.', '.....ff.']
+];
+const CREATURE_BODY = [
+  '........', '......cc', '.....ccc', '....bbbb', '...bbbbb', '..bbebbb', '..bbbbbb', '.bbbbbbb',
+  '.b?bbbbb', '.bbbbbbb', '..bbbbbb', '..?bbbbb', '...b?b?b', '........', '........', '........'
+];
+/** First row of the humanoid legs, which move separately when walking. */
+const LEGS_ROW = 12;
+
+/*
+ * Item icons by category on a 16x16 grid; `mirror` shapes give the left
+ * half. a main, b dark, c accent, g glass.
+ */
+const ITEM_SHAPES = {
+  weapon: {
+    mirror: false,
+    rows: [
+      '................', '.............aa.', '............aaa.', '...........aaa..',
+      '..........aaa...', '.........aaa....', '........aaa.....', '...cc..aaa......',
+      '....ccaaa.......', '.....cca........', '.....bcc........', '....bb..c.......',
+      '...bb...........', '..cb............', '..c.............', '................'
+    ]
+  },
+  armor: {
+    mirror: true,
+    rows: [
+      '........', '........', '..bbbbbb', '..baaaaa', '..baaaaa', '..baaacc', '..baaccc', '..baaacc',
+      '..baaaaa', '...baaaa', '...baaaa', '....baaa', '.....baa', '......bb', '........', '........'
+    ]
+  },
+  consumable: {
+    mirror: true,
+    rows: [
+      '........', '........', '......bb', '......bb', '......gg', '......ga', '.....gaa', '....gaaa',
+      '...gaaaa', '...gaaca', '...gaaaa', '...gaaaa', '....gaaa', '.....ggg', '........', '........'
+    ]
+  },
+  quest: {
+    mirror: true,
+    rows: [
+      '........', '........', '........', '....cccc', '...caaaa', '..caaaaa', '.caaaaaa', '.baaaaaa',
+      '..baaaaa', '...baaaa', '....baaa', '.....baa', '......bb', '........', '........', '........'
+    ]
+  }
+};
+
+/** Small deterministic random generator (mulberry32) seeded from a string. */
+function rng(seedText) {
+  let seed = 2166136261;
+  for (const ch of String(seedText)) seed = Math.imul(seed ^ ch.charCodeAt(0), 16777619) >>> 0;
+  const next = () => {
+    seed = (seed + 0x6d2b79f5) >>> 0;
+    let t = seed;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  next.pick = list => list[Math.floor(next() * list.length)];
+  return next;
+}
+
+/** DB32 colours matching any keyword in `texts`; the whole palette when none match. */
+function coloursFor(...texts) {
+  const text = texts.filter(Boolean).join(' ').toLowerCase();
+  const matched = COLOUR_GROUPS.filter(([re]) => re.test(text)).flatMap(([, colours]) => colours);
+  return matched.length > 0 ? [...new Set(matched)] : DB32.slice(2);
+}
+
+/** Empty pixel grid; each cell holds a colour or null. */
+function grid(w, h) {
+  return Array.from({ length: h }, () => new Array(w).fill(null));
+}
+
+/** Expand half rows into full symmetric rows. */
+function mirrored(rows) {
+  return rows.map(row => row + [...row].reverse().join(''));
+}
+
+/** Paint shape rows into a grid using a letter -> colour map. */
+function paint(rows, colours, w = 16) {
+  const g = grid(w, rows.length);
+  rows.forEach((row, y) => [...row].forEach((ch, x) => {
+    if (colours[ch]) g[y][x] = colours[ch];
+  }));
+  return g;
+}
+
+/** Add a dark outline around every filled pixel. */
+function outline(g) {
+  const out = g.map(row => [...row]);
+  g.forEach((row, y) => row.forEach((c, x) => {
+    if (c) return;
+    const near = [[1, 0], [-1, 0], [0, 1], [0, -1]].some(([dx, dy]) => g[y + dy]?.[x + dx]);
+    if (near) out[y][x] = OUTLINE;
+  }));
+  return out;
+}
+
+/**
+ * One animation frame of a character: the upper body moves by `bob` rows
+ * and each leg (left and right half below LEGS_ROW) can lift by a row.
+ */
+function frame(base, { bob = 0, liftLeft = 0, liftRight = 0, legsRow = LEGS_ROW } = {}) {
+  const g = grid(16, 16);
+  const put = (x, y, c) => { if (y >= 0 && y < 16) g[y][x] = c; };
+  // Legs first so the body covers them when it dips
+  base.forEach((row, y) => row.forEach((c, x) => {
+    if (c && y >= legsRow) put(x, y - (x < 8 ? liftLeft : liftRight), c);
+  }));
+  base.forEach((row, y) => row.forEach((c, x) => {
+    if (c && y < legsRow) put(x, y + bob, c);
+  }));
+  return outline(g);
+}
+
+/**
+ * Character frames for one kind and variant: two idle frames (breathing)
+ * and four walk frames (legs alternate, creatures bounce).
+ */
+function characterFrames(kind, variant, pool) {
+  const r = rng(`${kind}#${variant}`);
+  const colours = { b: r.pick(pool), l: r.pick(pool), H: r.pick([...pool, ...SKIN.slice(2), OUTLINE]) };
+  colours.a = r() < 0.5 ? colours.b : r.pick(SKIN);
+  colours.f = '#45283c';
+  let half;
+  let legsRow = LEGS_ROW;
+  if (CREATURE.test(kind.toLowerCase())) {
+    Object.assign(colours, { c: r.pick(pool), e: '#ffffff' });
+    half = CREATURE_BODY;
+    legsRow = 16;
+  } else {
+    Object.assign(colours, { h: r.pick(SKIN), e: '#000000' });
+    half = [...r.pick(HEADS), ...r.pick(BODIES), ...r.pick(LEGS)];
+  }
+  // Optional pixels are decided once per row so both halves agree
+  const rows = half.map(row => row.replace(/\?/g, () => (r() < 0.5 ? 'b' : '.')));
+  const base = paint(mirrored(rows), colours);
+  const creature = legsRow === 16;
+  return {
+    idle: [frame(base, { legsRow }), frame(base, { legsRow, bob: 1 })],
+    walk: creature
+      ? [frame(base, { legsRow }), frame(base, { legsRow, bob: -1 }), frame(base, { legsRow }), frame(base, { legsRow, bob: -1 })]
+      : [frame(base, { liftLeft: 1 }), frame(base), frame(base, { liftRight: 1 }), frame(base)]
+  };
+}
+
+/** Icon for an inventory item, shaped by its category. */
+function itemFrame(item, pool) {
+  const r = rng(item.item_id);
+  const shape = ITEM_SHAPES[item.category] || ITEM_SHAPES.quest;
+  const main = item.category === 'weapon' ? r.pick(METAL) : r.pick(pool);
+  const colours = { a: main, b: r.pick(pool.filter(c => c !== main)) || OUTLINE, c: r.pick(pool), g: GLASS };
+  return outline(paint(shape.mirror ? mirrored(shape.rows) : shape.rows, colours));
+}
+
+/**
+ * A building for a zone on a 32x32 grid (two tiles square): walls with
+ * brick speckles, a pitched or battlemented roof, two lit windows and a
+ * door spanning the middle fifth of the bottom edge, where main.js puts
+ * the entrance.
+ */
+function buildingFrame(zone, pool) {
+  const r = rng(zone.id || zone.name);
+  const wall = r.pick(pool);
+  const brick = r.pick(pool.filter(c => c !== wall)) || OUTLINE;
+  const roof = r.pick(pool.filter(c => c !== wall)) || '#663931';
+  const pitched = r() < 0.6;
+  const g = grid(32, 32);
+  const set = (x, y, c) => { g[y][x] = c; g[y][31 - x] = c; };
+  for (let y = 12; y < 31; y++) {
+    for (let x = 3; x < 16; x++) set(x, y, r() < 0.08 ? brick : wall);
+  }
+  if (pitched) {
+    for (let y = 2; y < 12; y++) {
+      for (let x = 15 - (y - 2) * 1.4; x < 16; x++) set(Math.max(1, Math.floor(x)), y, roof);
+    }
+  } else {
+    for (let y = 8; y < 12; y++) {
+      for (let x = 2; x < 16; x++) if (y > 9 || x % 4 < 2) set(x, y, roof);
+    }
+  }
+  for (let y = 15; y < 19; y++) {
+    for (let x = 6; x < 10; x++) set(x, y, '#fbf236');
+  }
+  for (let y = 23; y < 31; y++) {
+    for (let x = 13; x < 16; x++) set(x, y, '#663931');
+  }
+  return outline(g);
+}
+
+/** RGBA canvas that pixel grids are drawn into, scaled by `cell`. */
+function sheet(w, h) {
+  const data = Buffer.alloc(w * h * 4);
+  return {
+    w,
+    h,
+    data,
+    draw(g, cell, ox, oy) {
+      g.forEach((row, y) => row.forEach((c, x) => {
+        if (!c) return;
+        const rgb = [1, 3, 5].map(i => parseInt(c.slice(i, i + 2), 16));
+        for (let py = 0; py < cell; py++) {
+          for (let px = 0; px < cell; px++) {
+            const at = ((oy + y * cell + py) * w + ox + x * cell + px) * 4;
+            data[at] = rgb[0]; data[at + 1] = rgb[1]; data[at + 2] = rgb[2]; data[at + 3] = 255;
+          }
+        }
+      }));
+    }
+  };
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+/** Encode an RGBA sheet as a PNG file. */
+function encodePNG({ w, h, data }) {
+  const chunk = (type, body) => {
+    const len = Buffer.alloc(4);
+    len.writeUInt32BE(body.length);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(Buffer.concat([Buffer.from(type), body])));
+    return Buffer.concat([len, Buffer.from(type), body, crc]);
+  };
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(w, 0);
+  header.writeUInt32BE(h, 4);
+  header.set([8, 6, 0, 0, 0], 8); // 8-bit RGBA, no interlace
+  // Each scanline starts with filter type 0 (none)
+  const raw = Buffer.alloc((w * 4 + 1) * h);
+  for (let y = 0; y < h; y++) data.copy(raw, y * (w * 4 + 1) + 1, y * w * 4, (y + 1) * w * 4);
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Generate all sprites for a world. Returns `{ atlas, sheets }` where
+ * sheets maps file names to PNG buffers and atlas is the manifest:
+ *
+ *   { palette, tile_size, sheets: { characters: file, ... },
+ *     sprites: { "character:<kind>" | "item:<item_id>" | "building:<zone id>":
+ *       { sheet, w, h, fps: { idle, walk }, variants: [ { idle: [[x, y], ...], walk: [...] } ] } } }
+ *
+ * Every art plan sprite kind gets `count` variants (at most `max_variants`).
+ */
+export function generateSprites({ architect = {}, art_plan = {}, world = {}, inventory = {} }, { max_variants = 4 } = {}) {
+  // Sprites are designed on a 16 pixel grid and scaled up by whole pixels
+  const tile = Math.max(16, Number(architect.tile_size) || 32);
+  const cell = Math.floor(tile / 16);
+  const pad = Math.floor((tile - 16 * cell) / 2);
+  const hints = [...(art_plan.palettes || []), architect.theme, world.title].filter(Boolean).join(' ');
+  const counts = new Map([['player', 1]]);
+  (art_plan.sprites || []).forEach(s => counts.set(s.kind, Math.min(max_variants, Math.max(counts.get(s.kind) || 1, s.count || 1))));
+  (world.npcs || []).forEach(npc => { if (!counts.has(npc.kind)) counts.set(npc.kind, 1); });
+  const atlas = { palette: 'DB32', tile_size: tile, sheets: {}, sprites: {} };
+  const sheets = {};
+  const add = (name, w, h, draw) => {
+    if (w === 0 || h === 0) return;
+    const s = sheet(w, h);
+    draw(s);
+    const file = `sprites_${name}.png`;
+    atlas.sheets[name] = file;
+    sheets[file] = encodePNG(s);
+  };
+
+  // Characters: one row per kind variant, two idle then four walk frames
+  const rows = [...counts].flatMap(([kind, n]) => Array.from({ length: n }, (_, v) => ({ kind, v })));
+  add('characters', tile * 6, tile * rows.length, s => rows.forEach(({ kind, v }, row) => {
+    const frames = characterFrames(kind, v, coloursFor(kind, hints));
+    const key = `character:${kind}`;
+    atlas.sprites[key] = atlas.sprites[key] || { sheet: 'characters', w: tile, h: tile, fps: { idle: 2, walk: 8 }, variants: [] };
+    const at = col => [col * tile, row * tile];
+    atlas.sprites[key].variants.push({ idle: [at(0), at(1)], walk: [at(2), at(3), at(4), at(5)] });
+    [...frames.idle, ...frames.walk].forEach((g, col) => s.draw(g, cell, col * tile + pad, row * tile + pad));
+  }));
+
+  // Items: eight icons per row
+  const items = inventory.items || [];
+  const perRow = 8;
+  add('items', tile * Math.min(perRow, items.length), tile * Math.ceil(items.length / perRow), s => items.forEach((item, i) => {
+    const x = (i % perRow) * tile;
+    const y = Math.floor(i / perRow) * tile;
+    s.draw(itemFrame(item, coloursFor(item.name, hints)), cell, x + pad, y + pad);
+    atlas.sprites[`item:${item.item_id}`] = { sheet: 'items', w: tile, h: tile, fps: { idle: 1 }, variants: [{ idle: [[x, y]] }] };
+  }));
+
+  // Buildings: one per zone, two tiles square
+  const zones = world.zones || [];
+  add('buildings', tile * 2 * zones.length, tile * 2, s => zones.forEach((zone, i) => {
+    const x = i * tile * 2;
+    s.draw(buildingFrame(zone, coloursFor(zone.name, hints)), cell, x + pad * 2, pad * 2);
+    atlas.sprites[`building:${zone.id}`] = { sheet: 'buildings', w: tile * 2, h: tile * 2, fps: { idle: 1 }, variants: [{ idle: [[x, 0]] }] };
+  }));
+  return { atlas, sheets };
+}
+
+/** Generate sprites and write the PNG sheets into `dir`. Returns the atlas. */
+export function writeSprites(dir, input, options) {
+  const { atlas, sheets } = generateSprites(input, options);
+  Object.entries(sheets).forEach(([file, png]) => fs.writeFileSync(path.join(dir, file), png));
+  return atlas;
+}
+
+function main() {
+  const __filename = fileURLToPath(import.meta.url);
+  const rootDir = path.join(path.dirname(__filename), '..');
+  const dir = path.resolve(process.argv[2] || path.join(rootDir, 'build'));
+  const read = (file, required) => {
+    const full = path.join(dir, file);
+    if (!fs.existsSync(full)) {
+      if (required) throw new Error(`${full} does not exist`);
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(full, 'utf8'));
+  };
+  const atlas = writeSprites(dir, {
+    architect: read('architect.json'),
+    art_plan: read('art_plan.json'),
+    world: read('world_spec.json', true),
+    inventory: read('inventory.json')
+  });
+  fs.writeFileSync(path.join(dir, 'sprites.json'), JSON.stringify(atlas, null, 2));
+  console.log(`Wrote ${Object.keys(atlas.sprites).length} sprites in ${Object.values(atlas.sheets).join(', ')} and sprites.json to ${dir}`);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  try {
+    main();
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
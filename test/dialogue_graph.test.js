@@ -0,0 +1,100 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { analyseDialogue, describeProblems, needsRegeneration, repairDialogue, repairDialogues } from '../scripts/dialogue_graph.js';
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Build a dialogue from `{ node_id: [to_id or null, ...] }`; null is an
+ * option that ends the conversation. The first key is the start node.
+ */
+function dialogue(links, id = 'd1') {
+  return {
+    id,
+    nodes: Object.entries(links).map(([nodeId, options]) => ({
+      node_id: nodeId,
+      speaker: 'npc1',
+      text: `Node ${nodeId}.`,
+      options: options.map((to, i) => ({ choice_text: `Option ${i}`, ...(to ? { to_id: to } : {}) }))
+    }))
+  };
+}
+
+test('a branching dialogue with exits has no problems', () => {
+  const report = analyseDialogue(dialogue({ n1: ['n2', 'n3', 'n4'], n2: ['n5'], n3: ['n5', null], n4: [null], n5: ['n1', null] }));
+  assert.deepEqual(describeProblems(report), []);
+  assert.deepEqual(report.stats, {
+    nodes: 5, reachable: 5, exits: 3, depth: 2, branching_factor: 1.8, max_options: 3, three_way_nodes: 1
+  });
+});
+
+test('dead ends, unreachable nodes and broken links are found', () => {
+  const report = analyseDialogue(dialogue({ n1: ['n2', 'n9'], n2: ['n3'], n3: [], n4: [null], n5: [null] }));
+  assert.deepEqual(report.dead_ends, ['n3']);
+  assert.deepEqual(report.unreachable, ['n4', 'n5']);
+  assert.deepEqual(report.broken_links, [{ node_id: 'n1', option: 1, to_id: 'n9' }]);
+  assert.equal(report.too_short, true);
+  assert.equal(needsRegeneration(report), true);
+  assert.deepEqual(describeProblems(report), [
+    'only 3 reachable node(s), at least 5 wanted',
+    'node "n1" option 1 links to missing node "n9"',
+    'unreachable node(s): n4, n5',
+    'dead end(s) with no options: n3'
+  ]);
+});
+
+test('only cycles the player cannot leave are reported', () => {
+  // n2 <-> n3 loops with no exit; n4 <-> n5 loops but n5 can leave
+  const report = analyseDialogue(dialogue({ n1: ['n2', 'n4'], n2: ['n3'], n3: ['n2'], n4: ['n5'], n5: ['n4', null], n6: ['n6'] }));
+  assert.deepEqual(report.exitless_cycles, [['n2', 'n3']]);
+  assert.deepEqual(report.dead_ends, []);
+  const selfLoop = analyseDialogue(dialogue({ n1: ['n2', null], n2: ['n2'] }));
+  assert.deepEqual(selfLoop.exitless_cycles, [['n2']]);
+});
+
+test('repairDialogue ends broken links, adds goodbyes and prunes unreachable nodes', () => {
+  const dlg = dialogue({ n1: ['n2', 'n9'], n2: ['n3', 'n5'], n3: ['n2'], n4: [null], n5: [] });
+  assert.deepEqual(repairDialogue(dlg), [
+    'd1: "n1" option "Option 1" ended the link to missing "n9"',
+    'd1: added a goodbye to dead end "n5"',
+    'd1: pruned unreachable node(s) n4'
+  ]);
+  assert.deepEqual(dlg.nodes.map(n => n.node_id), ['n1', 'n2', 'n3', 'n5']);
+  assert.deepEqual(dlg.nodes[3].options, [{ choice_text: 'Goodbye.', grants_item_ids: [], tags: [] }]);
+  const closed = dialogue({ n1: ['n2'], n2: ['n3'], n3: ['n2'] });
+  assert.deepEqual(repairDialogue(closed), ['d1: added a goodbye to "n2" to leave cycle n2 -> n3']);
+  const report = analyseDialogue(closed);
+  assert.deepEqual([report.dead_ends, report.exitless_cycles, report.unreachable], [[], [], []]);
+});
+
+test('repairDialogues keeps a regeneration only when it is better', async () => {
+  const short = dialogue({ n1: [null] }, 'short');
+  const broken = dialogue({ n1: ['n2', 'n9'], n2: ['n3'], n3: ['n4'], n4: ['n5'], n5: [null] }, 'broken');
+  const asked = [];
+  const result = await repairDialogues({ dialogues: [short, broken] }, {
+    ask: async (dlg, problems) => {
+      asked.push([dlg.id, problems]);
+      if (dlg.id === 'short') return { dialogues: [dialogue({ n1: ['n2', null], n2: ['n3'], n3: ['n4'], n4: ['n5'], n5: [null] }, 'other')] };
+      throw new Error('model offline');
+    }
+  });
+  assert.deepEqual(asked, [
+    ['short', ['only 1 reachable node(s), at least 5 wanted']],
+    ['broken', ['node "n1" option 1 links to missing node "n9"']]
+  ]);
+  assert.deepEqual(result.regenerated, ['short']);
+  assert.equal(result.reports[0].id, 'short');
+  assert.equal(result.reports[0].stats.reachable, 5);
+  assert.deepEqual(result.changes, ['broken: "n1" option "Option 1" ended the link to missing "n9"']);
+  assert.equal(result.reports.every(r => describeProblems(r).length === 0), true);
+});
+
+test('the default world and the build dialogues have sound graphs', () => {
+  ['app/data', 'build'].forEach(dir => {
+    const data = JSON.parse(fs.readFileSync(path.join(rootDir, dir, 'dialogue.json'), 'utf8'));
+    data.dialogues.forEach(dlg => assert.deepEqual(describeProblems(analyseDialogue(dlg)), [], `${dir} ${dlg.id}`));
+  });
+});
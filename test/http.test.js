@@ -0,0 +1,133 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { HttpError, httpPost, httpPostStream } from '../scripts/http.js';
+
+/**
+ * Start a local server that answers the n-th request with `handlers[n]`
+ * (the last handler answers the rest) and close it when the test ends.
+ * Resolves with its URL and the request bodies it received.
+ */
+async function stub(t, ...handlers) {
+  const bodies = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      bodies.push(body);
+      handlers[Math.min(bodies.length, handlers.length) - 1](req, res);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  return { url: `http://127.0.0.1:${server.address().port}/v1/chat`, bodies };
+}
+
+const json = data => (req, res) => {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+};
+
+const status = (code, headers = {}) => (req, res) => {
+  res.writeHead(code, headers);
+  res.end(`error ${code}`);
+};
+
+test('httpPost sends the body and parses the JSON response', async t => {
+  const server = await stub(t, json({ ok: true }));
+  assert.deepEqual(await httpPost(server.url, '{"a":1}'), { ok: true });
+  assert.deepEqual(server.bodies, ['{"a":1}']);
+});
+
+test('429 and 5xx responses are retried with backoff', async t => {
+  const server = await stub(t, status(429, { 'Retry-After': '0.01' }), status(503), json({ ok: true }));
+  const retries = [];
+  const data = await httpPost(server.url, '{}', { onRetry: (err, n, delay) => retries.push([err.status, n, delay]) });
+  assert.deepEqual(data, { ok: true });
+  assert.equal(server.bodies.length, 3);
+  assert.deepEqual(retries[0], [429, 1, 10]);
+  assert.equal(retries[1][0], 503);
+  assert.equal(retries[1][1], 2);
+  assert.ok(retries[1][2] >= 1000 && retries[1][2] < 1250, `second backoff ${retries[1][2]}ms`);
+});
+
+test('other 4xx responses fail at once with the status and body', async t => {
+  const server = await stub(t, status(400));
+  const err = await httpPost(server.url, '{}').catch(e => e);
+  assert.ok(err instanceof HttpError);
+  assert.equal(err.status, 400);
+  assert.equal(err.retryable, false);
+  assert.match(err.message, /failed with HTTP 400: error 400/);
+  assert.equal(server.bodies.length, 1);
+});
+
+test('retries stop after the configured count', async t => {
+  const server = await stub(t, status(500, { 'Retry-After': '0.01' }));
+  const err = await httpPost(server.url, '{}', { retries: 2 }).catch(e => e);
+  assert.equal(err.status, 500);
+  assert.equal(server.bodies.length, 3);
+});
+
+test('a server that never answers times out and is retried', async t => {
+  const server = await stub(t, () => {}, json({ ok: true }));
+  const retries = [];
+  const data = await httpPost(server.url, '{}', { timeout: 50, onRetry: err => retries.push(err.message) });
+  assert.deepEqual(data, { ok: true });
+  assert.match(retries[0], /timed out after 0\.05s without a response/);
+});
+
+test('a body that stalls after the headers times out', async t => {
+  const server = await stub(t, (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.write('{"ok":');
+  });
+  const err = await httpPost(server.url, '{}', { timeout: 50, retries: 0 }).catch(e => e);
+  assert.ok(err instanceof HttpError);
+  assert.equal(err.retryable, true);
+  assert.match(err.message, /timed out after 0\.05s without more of the response/);
+});
+
+test('a body cut off by the server is retried', async t => {
+  const server = await stub(t, (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Content-Length': '100' });
+    res.write('{"ok":', () => res.socket.destroy());
+  }, json({ ok: true }));
+  const retries = [];
+  const data = await httpPost(server.url, '{}', { onRetry: err => retries.push(err) });
+  assert.deepEqual(data, { ok: true });
+  assert.equal(retries.length, 1);
+  assert.ok(retries[0] instanceof HttpError);
+});
+
+test('httpPostStream passes server-sent events and NDJSON lines to onData', async t => {
+  const server = await stub(t, (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write(': keep-alive\n\ndata: {"n":1}\n\nda');
+    res.end('ta: {"n":2}\n\ndata: [DONE]\n\ndata: {"n":3}\n\n');
+  }, (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+    res.end('{"n":1}\n{"n":2}');
+  });
+  const sse = [];
+  await httpPostStream(server.url, '{}', event => sse.push(event.n));
+  assert.deepEqual(sse, [1, 2]);
+  const ndjson = [];
+  await httpPostStream(server.url, '{}', event => ndjson.push(event.n));
+  assert.deepEqual(ndjson, [1, 2]);
+});
+
+test('httpPostStream retries before the first byte and times out a stalled stream', async t => {
+  const server = await stub(t, status(502, { 'Retry-After': '0.01' }), (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write('data: {"n":1}\n\n');
+  });
+  const events = [];
+  const err = await httpPostStream(server.url, '{}', event => events.push(event.n), { timeout: 50 }).catch(e => e);
+  assert.equal(server.bodies.length, 2);
+  assert.deepEqual(events, [1]);
+  assert.ok(err instanceof HttpError);
+  assert.match(err.message, /without more of the response/);
+});
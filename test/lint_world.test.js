@@ -0,0 +1,111 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadWorld, lintWorld, fixWorld, formatReport } from '../scripts/lint_world.js';
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/** A small world whose references all resolve. */
+function cleanWorld() {
+  return {
+    world_spec: {
+      title: 'Ash',
+      zones: [{ id: 'z1', name: 'Ash Plain' }, { id: 'z2', name: 'Cinder Wood' }],
+      npcs: [{ id: 'npc1', kind: 'villager', home_zone: 'z1' }, { id: 'npc2', kind: 'smith', home_zone: 'z2' }]
+    },
+    inventory: { items: [{ item_id: 'item_1', name: 'Ash Bread', category: 'consumable' }] },
+    dialogue: {
+      dialogues: [
+        { id: 'd1', nodes: [{ node_id: 'n1', speaker: 'npc1', text: 'Bread?', grants_item_ids: ['item_1'], options: [] }] },
+        { id: 'd2', nodes: [{ node_id: 'n2', speaker: 'npc2', text: 'Hot today.', options: [] }] }
+      ]
+    },
+    quests: {
+      quests: [{ id: 'q1', title: 'Bread run', steps: [{ goal: 'Fetch bread', location_hint: 'z2', requires_item_ids: ['item_1'] }] }]
+    },
+    events: { events: [{ id: 'ev_1', title: 'Ash fall', description: 'Ash drifts down.', location: 'z1' }] }
+  };
+}
+
+/** Issues as `path: message` strings, errors only. */
+function errors(world) {
+  return lintWorld(world).filter(i => i.level === 'error').map(i => `${i.path}: ${i.message}`);
+}
+
+test('a world whose references resolve has no issues', () => {
+  assert.deepEqual(lintWorld(cleanWorld()), []);
+});
+
+test('dangling references are remapped when there is an obvious target and dropped otherwise', () => {
+  const world = cleanWorld();
+  world.world_spec.npcs[1].home_zone = 'zone2';
+  world.quests.quests[0].steps[0].location_hint = 'Cinder Wood';
+  world.dialogue.dialogues[0].nodes[0].grants_item_ids = ['Ash Bread', 'golden_key'];
+  world.dialogue.dialogues[0].nodes[0].options = [{ choice_text: 'More?', to_id: 'n9' }];
+  assert.deepEqual(errors(world), [
+    'npcs[1].home_zone: unknown zone "zone2" (fix: remap to "z2")',
+    'quests[0].steps[0].location_hint: unknown zone "Cinder Wood" (fix: remap to "z2")',
+    'dialogues[0].nodes[0].grants_item_ids[0]: unknown item "Ash Bread" (fix: remap to "item_1")',
+    'dialogues[0].nodes[0].grants_item_ids[1]: unknown item "golden_key" (fix: drop)',
+    'dialogues[0].nodes[0].options[0].to_id: unknown node "n9" (fix: drop)'
+  ]);
+  assert.equal(fixWorld(world), 5);
+  assert.deepEqual(lintWorld(world), []);
+  assert.equal(world.world_spec.npcs[1].home_zone, 'z2');
+  assert.equal(world.quests.quests[0].steps[0].location_hint, 'z2');
+  assert.deepEqual(world.dialogue.dialogues[0].nodes[0].grants_item_ids, ['item_1']);
+  assert.equal('to_id' in world.dialogue.dialogues[0].nodes[0].options[0], false);
+});
+
+test('duplicate ids get a numbered suffix', () => {
+  const world = cleanWorld();
+  world.inventory.items.push({ item_id: 'item_1', name: 'Ash Cake', category: 'consumable' }, { item_id: 'item_1', name: 'Ash Pie', category: 'consumable' });
+  assert.deepEqual(errors(world), ['items: duplicate item_id "item_1"']);
+  fixWorld(world);
+  assert.deepEqual(world.inventory.items.map(i => i.item_id), ['item_1', 'item_1_2', 'item_1_3']);
+});
+
+test('an unknown speaker is reported but left for a person to fix', () => {
+  const world = cleanWorld();
+  world.dialogue.dialogues[1].nodes[0].speaker = 'ghost';
+  const issues = lintWorld(world);
+  const speaker = issues.find(i => i.level === 'error');
+  assert.equal(speaker.message, 'unknown speaker "ghost" (no automatic fix)');
+  assert.equal(speaker.fix, undefined);
+  assert.equal(fixWorld(world), 0);
+  assert.match(formatReport(issues), /^dialogue\.json\n {2}error {3}dialogues\[1\]\.nodes\[0\]\.speaker: unknown speaker "ghost"/m);
+  assert.match(formatReport(issues), /^1 error\(s\), \d+ warning\(s\)$/m);
+});
+
+test('orphaned NPCs and zones are warnings', () => {
+  const world = cleanWorld();
+  world.world_spec.zones.push({ id: 'z3', name: 'Glass Lake' });
+  world.dialogue.dialogues.pop();
+  const warnings = lintWorld(world).map(i => `${i.level} ${i.path}: ${i.message}`);
+  assert.ok(warnings.includes('warning npcs[1]: NPC "npc2" has no dialogue'));
+  assert.ok(warnings.includes('warning zones[2]: zone "z3" has no NPCs, quest steps or events'));
+  assert.equal(warnings.some(w => w.startsWith('error')), false);
+});
+
+test('the default world and the build outputs lint without errors', () => {
+  ['app/data', 'build'].forEach(dir => {
+    const issues = lintWorld(loadWorld(path.join(rootDir, dir)));
+    assert.deepEqual(issues.filter(i => i.level === 'error').map(i => `${i.file} ${i.path}: ${i.message}`), [], dir);
+  });
+});
+
+test('a complete_step effect needs a step the quest has', () => {
+  const world = cleanWorld();
+  world.dialogue.dialogues[0].nodes[0].effects = [
+    { type: 'complete_step', quest_id: 'q1' },
+    { type: 'complete_step', quest_id: 'q1', step: 3 },
+    { type: 'complete_step', quest_id: 'q1', step: 0 }
+  ];
+  assert.deepEqual(lintWorld(world).map(i => `${i.level} ${i.path}: ${i.message}`), [
+    'error dialogues[0].nodes[0].effects[0].step: complete_step names no step (fix: drop the effect)',
+    'warning dialogues[0].nodes[0].effects[1].step: quest "q1" has no step 3; the effect never fires'
+  ]);
+  fixWorld(world);
+  assert.deepEqual(world.dialogue.dialogues[0].nodes[0].effects.map(e => e.step), [3, 0]);
+});
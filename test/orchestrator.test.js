@@ -0,0 +1,87 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { checkGraph, downstreamOf, runGraph } from '../scripts/orchestrator.js';
+
+const stage = (name, inputs = []) => ({ name, inputs });
+
+// architect -> world -> { inventory, quests } -> dialogue (needs both)
+const STAGES = [
+  stage('architect'),
+  stage('world', ['architect']),
+  stage('inventory', ['world']),
+  stage('quests', ['world']),
+  stage('dialogue', ['inventory', 'quests'])
+];
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+test('checkGraph rejects unknown inputs and cycles', () => {
+  assert.throws(() => checkGraph([stage('world', ['architect'])]), /Stage "world" depends on unknown stage "architect"/);
+  assert.throws(() => checkGraph([stage('a', ['c']), stage('b', ['a']), stage('c', ['b'])]),
+    /Stage dependency cycle: a -> c -> b -> a/);
+  assert.doesNotThrow(() => checkGraph(STAGES));
+});
+
+test('downstreamOf includes every transitive dependant', () => {
+  assert.deepEqual([...downstreamOf(STAGES, ['inventory'])].sort(), ['dialogue', 'inventory']);
+  assert.equal(downstreamOf(STAGES, ['architect']).size, STAGES.length);
+});
+
+test('runGraph runs stages after their inputs and passes outputs through', async () => {
+  const order = [];
+  const results = await runGraph(STAGES, async st => {
+    order.push(st.name);
+    await tick();
+    return `${st.name} output`;
+  }, { concurrency: 4 });
+  STAGES.forEach(st => {
+    assert.equal(results.get(st.name).status, 'done');
+    assert.equal(results.get(st.name).output, `${st.name} output`);
+    st.inputs.forEach(dep => assert.ok(order.indexOf(dep) < order.indexOf(st.name), `${dep} before ${st.name}`));
+  });
+});
+
+test('runGraph keeps to the concurrency limit', async () => {
+  const wide = [stage('root'), ...['a', 'b', 'c', 'd', 'e'].map(name => stage(name, ['root']))];
+  const run = async limit => {
+    let active = 0;
+    let peak = 0;
+    await runGraph(wide, async () => {
+      peak = Math.max(peak, ++active);
+      await tick();
+      active--;
+    }, { concurrency: limit });
+    return peak;
+  };
+  assert.equal(await run(1), 1);
+  assert.equal(await run(2), 2);
+  assert.equal(await run(10), 5);
+});
+
+test('a failing stage skips its downstream stages while its siblings finish', async () => {
+  const events = [];
+  const results = await runGraph(STAGES, async st => {
+    await tick();
+    if (st.name === 'inventory') throw new Error('model returned nothing');
+    return st.name;
+  }, { concurrency: 2, onEvent: (type, st) => events.push(`${type} ${st.name}`) });
+  assert.equal(results.get('inventory').status, 'failed');
+  assert.equal(results.get('inventory').error.message, 'model returned nothing');
+  assert.equal(results.get('quests').status, 'done');
+  assert.equal(results.get('dialogue').status, 'skipped');
+  assert.equal(results.get('dialogue').error.message, 'input "inventory" did not complete');
+  assert.ok(events.includes('failed inventory'));
+  assert.ok(events.includes('done quests'));
+  assert.ok(events.includes('skipped dialogue'));
+  assert.equal(events.includes('start dialogue'), false);
+});
+
+test('skips cascade through every stage below a failure', async () => {
+  const chain = [stage('a'), stage('b', ['a']), stage('c', ['b']), stage('d', ['c']), stage('side')];
+  const results = await runGraph(chain, async st => {
+    if (st.name === 'a') throw new Error('boom');
+    return st.name;
+  });
+  assert.deepEqual(chain.map(st => results.get(st.name).status), ['failed', 'skipped', 'skipped', 'skipped', 'done']);
+  assert.equal(results.get('c').error.message, 'input "b" did not complete');
+});
@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { SCHEMAS, validate } from '../scripts/schemas.js';
+import { loadWorld, lintWorld } from '../scripts/lint_world.js';
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const fixtures = path.join(rootDir, 'test', 'fixtures', 'replay');
+
+/**
+ * Copy what the pipeline needs into a scratch directory so its build/,
+ * cache and world library writes stay out of the working tree.
+ */
+function scratchTree(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pipeline-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  ['scripts', 'prompts', 'package.json', 'pipeline.config.json'].forEach(entry => {
+    const from = path.join(rootDir, entry);
+    if (fs.existsSync(from)) fs.cpSync(from, path.join(dir, entry), { recursive: true });
+  });
+  return dir;
+}
+
+/** Run the pipeline with only the given arguments; LM_* settings from the shell are ignored. */
+function runPipeline(dir, args) {
+  const env = Object.fromEntries(Object.entries(process.env).filter(([key]) => !key.startsWith('LM_') && key !== 'THEME'));
+  return spawnSync(process.execPath, [path.join(dir, 'scripts', 'run_pipeline.js'), ...args], { env, encoding: 'utf8', timeout: 120000 });
+}
+
+test('a recorded run replays end to end without a model', t => {
+  const dir = scratchTree(t);
+  const run = runPipeline(dir, ['--provider', 'replay', '--replay', fixtures, 'ember test']);
+  assert.equal(run.status, 0, run.stdout + run.stderr);
+  // The first quests answer was missing a title and went back for repair
+  assert.match(run.stdout, /quests: repairing \(attempt 2\/3\)/);
+  const buildDir = path.join(dir, 'build');
+  const read = file => JSON.parse(fs.readFileSync(path.join(buildDir, file), 'utf8'));
+  assert.deepEqual(validate(SCHEMAS.world, read('world_spec.json')), []);
+  assert.deepEqual(validate(SCHEMAS.quests, read('quests.json')), []);
+  assert.deepEqual(validate(SCHEMAS.dialogue, read('dialogue.json')), []);
+  assert.deepEqual(lintWorld(loadWorld(buildDir)).filter(i => i.level === 'error'), []);
+  const [bundle] = fs.readdirSync(path.join(dir, 'app', 'worlds')).filter(name => name.startsWith('ember-test-'));
+  assert.ok(bundle, 'a world bundle was written');
+});
+
+test('a request with no recording fails the stage and names the fixture', t => {
+  const dir = scratchTree(t);
+  const run = runPipeline(dir, ['--replay', fixtures, 'another theme']);
+  assert.notEqual(run.status, 0);
+  assert.match(run.stdout + run.stderr, /No recorded response for stage "architect"/);
+});
@@ -0,0 +1,128 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { createProvider, requestKey, withRecording } from '../scripts/providers.js';
+
+const REQUEST = {
+  stage: 'world',
+  messages: [{ role: 'system', content: 'You are the World Builder.' }, { role: 'user', content: 'ember' }],
+  model: 'local-model',
+  temperature: 0.7
+};
+
+/**
+ * Start a local server that records each parsed request body and answers
+ * with `reply(body)`: an object sent as JSON, or an array of strings
+ * written one chunk at a time. Closed when the test ends.
+ */
+async function stub(t, reply) {
+  const bodies = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const body = JSON.parse(raw);
+      bodies.push(body);
+      const answer = reply(body);
+      if (!Array.isArray(answer)) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(answer));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      answer.forEach(chunk => res.write(chunk));
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  return { url: `http://127.0.0.1:${server.address().port}/chat`, bodies };
+}
+
+const sse = events => [...events.map(e => `data: ${JSON.stringify(e)}\n\n`), 'data: [DONE]\n\n'];
+const ndjson = events => events.map(e => `${JSON.stringify(e)}\n`);
+
+test('openai posts a chat completions request and reads the message', async t => {
+  const server = await stub(t, () => ({ choices: [{ message: { content: '{"title":"Ash"}' } }] }));
+  const text = await createProvider('openai', { url: server.url }).complete(REQUEST);
+  assert.equal(text, '{"title":"Ash"}');
+  assert.deepEqual(server.bodies[0], { model: 'local-model', messages: REQUEST.messages, temperature: 0.7 });
+});
+
+test('openai maps options to its own fields and streams deltas', async t => {
+  const server = await stub(t, () => sse([{ choices: [{ delta: { content: '{"title":' } }] }, { choices: [{ delta: {} }] },
+    { choices: [{ delta: { content: '"Ash"}' } }] }]));
+  const tokens = [];
+  const text = await createProvider('openai', { url: server.url, stream: true })
+    .complete({ ...REQUEST, options: { max_tokens: 512, seed: 7, stop: ['</s>'] }, onToken: token => tokens.push(token) });
+  assert.equal(text, '{"title":"Ash"}');
+  assert.deepEqual(tokens, ['{"title":', '"Ash"}']);
+  assert.deepEqual(server.bodies[0], {
+    model: 'local-model', messages: REQUEST.messages, temperature: 0.7, max_tokens: 512, seed: 7, stop: ['</s>'], stream: true
+  });
+});
+
+test('ollama asks for JSON and puts sampling settings under options', async t => {
+  const server = await stub(t, () => ({ message: { role: 'assistant', content: '{}' }, done: true }));
+  const provider = createProvider('ollama', { url: server.url });
+  assert.equal(await provider.complete({ ...REQUEST, options: { max_tokens: 256, seed: 3, stop: [] } }), '{}');
+  assert.deepEqual(server.bodies[0], {
+    model: 'local-model', messages: REQUEST.messages, stream: false, format: 'json',
+    options: { temperature: 0.7, num_predict: 256, seed: 3 }
+  });
+});
+
+test('ollama streams newline-delimited JSON', async t => {
+  const server = await stub(t, () => ndjson([{ message: { content: '{"a"' } }, { message: { content: ':1}' } }, { done: true }]));
+  const text = await createProvider('ollama', { url: server.url, stream: true }).complete(REQUEST);
+  assert.equal(text, '{"a":1}');
+  assert.equal(server.bodies[0].stream, true);
+  assert.deepEqual(server.bodies[0].options, { temperature: 0.7 });
+});
+
+test('llamacpp caches the prompt and maps max_tokens to n_predict', async t => {
+  const server = await stub(t, () => ({ content: '{}' }));
+  const provider = createProvider('llamacpp', { url: server.url });
+  assert.equal(await provider.complete(REQUEST), '{}');
+  assert.equal(await provider.complete({ ...REQUEST, options: { max_tokens: 128, stop: ['\n\n'] } }), '{}');
+  assert.deepEqual(server.bodies[0], { messages: REQUEST.messages, temperature: 0.7, cache_prompt: true, n_predict: -1 });
+  assert.deepEqual(server.bodies[1], {
+    messages: REQUEST.messages, temperature: 0.7, cache_prompt: true, n_predict: 128, stop: ['\n\n']
+  });
+});
+
+test('llamacpp streams both chat deltas and native content events', async t => {
+  const server = await stub(t, () => sse([{ choices: [{ delta: { content: '{"a":' } }] }, { content: '1}' }]));
+  const text = await createProvider('llamacpp', { url: server.url, stream: true }).complete(REQUEST);
+  assert.equal(text, '{"a":1}');
+  assert.equal(server.bodies[0].stream, true);
+  assert.equal(server.bodies[0].cache_prompt, true);
+});
+
+test('recorded responses replay without a server and unknown requests fail', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const server = await stub(t, () => ({ choices: [{ message: { content: '{"title":"Ash"}' } }] }));
+  const recorder = withRecording(createProvider('openai', { url: server.url }), dir);
+  assert.equal(recorder.wraps.name, 'openai');
+  assert.equal(await recorder.complete(REQUEST), '{"title":"Ash"}');
+  const [file] = fs.readdirSync(dir);
+  assert.equal(file, `world-${requestKey(REQUEST).slice(0, 16)}.json`);
+  assert.equal(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')).provider, 'openai');
+
+  const replay = createProvider('replay', { fixtures: dir });
+  assert.equal(await replay.complete(REQUEST), '{"title":"Ash"}');
+  await assert.rejects(replay.complete({ ...REQUEST, temperature: 0.2 }), /No recorded response for stage "world"/);
+  assert.equal(server.bodies.length, 1);
+});
+
+test('createProvider rejects unknown providers and replay without fixtures', () => {
+  assert.throws(() => createProvider('gpt'), /Unknown provider "gpt"/);
+  assert.throws(() => createProvider('replay'), /needs a fixture directory/);
+});
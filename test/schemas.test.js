@@ -0,0 +1,89 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SCHEMAS, validate, ValidationError } from '../scripts/schemas.js';
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Output file of each stage that has a schema
+const STAGE_FILES = {
+  architect: 'architect.json',
+  world: 'world_spec.json',
+  art_plan: 'art_plan.json',
+  status_effects: 'status_effects.json',
+  abilities: 'abilities.json',
+  inventory: 'inventory.json',
+  quests: 'quests.json',
+  dialogue: 'dialogue.json',
+  events: 'events.json'
+};
+
+test('validate accepts a value matching the schema', () => {
+  const world = {
+    title: 'Ash',
+    zones: [{ id: 'z1', name: 'Ash Plain' }],
+    npcs: [{ id: 'npc1', kind: 'villager', home_zone: 'z1' }]
+  };
+  assert.deepEqual(validate(SCHEMAS.world, world), []);
+});
+
+test('validate reports missing fields and wrong types with their JSON path', () => {
+  const errors = validate(SCHEMAS.world, { title: 'Ash', zones: [{ id: 'z1' }], npcs: 'none' });
+  assert.deepEqual(errors, ['$.zones[0].name: is required', '$.npcs: expected array, got string']);
+  assert.deepEqual(validate(SCHEMAS.world, null), ['$: expected object, got null']);
+});
+
+test('validate checks enums, bounds, empty strings and minimum lengths', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      kind: { type: 'string', enum: ['buff', 'debuff'] },
+      count: { type: 'number', minimum: 1, maximum: 3 },
+      name: { type: 'string' },
+      tags: { type: 'array', items: { type: 'string' }, minItems: 2 }
+    }
+  };
+  assert.deepEqual(validate(schema, { kind: 'curse', count: 0, name: '  ', tags: ['a'] }), [
+    '$.kind: expected one of "buff", "debuff", got "curse"',
+    '$.count: must be at least 1, got 0',
+    '$.name: must not be empty',
+    '$.tags: must contain at least 2 item(s), got 1'
+  ]);
+  assert.deepEqual(validate(schema, { count: 4 }), ['$.count: must be at most 3, got 4']);
+});
+
+test('ValidationError shows the first 20 errors of the last repair attempt', () => {
+  const errors = Array.from({ length: 25 }, (_, i) => `$.items[${i}].name: is required`);
+  const err = new ValidationError('inventory', 3, errors);
+  const lines = err.message.split('\n');
+  assert.equal(lines[0], 'Stage "inventory" failed validation after 3 attempt(s):');
+  assert.equal(lines[1], '  - $.items[0].name: is required');
+  assert.equal(lines.length, 22);
+  assert.equal(lines[21], '  ... and 5 more');
+  assert.equal(err.stage, 'inventory');
+  assert.equal(err.errors.length, 25);
+});
+
+test('the default world and the build outputs match their stage schemas', () => {
+  ['app/data', 'build'].forEach(dir => {
+    Object.entries(STAGE_FILES).forEach(([stage, file]) => {
+      const full = path.join(rootDir, dir, file);
+      if (!fs.existsSync(full)) return;
+      assert.deepEqual(validate(SCHEMAS[stage], JSON.parse(fs.readFileSync(full, 'utf8'))), [], `${dir}/${file}`);
+    });
+  });
+});
+
+test('a complete_step effect must name the step it completes', () => {
+  const dialogue = effects => ({
+    dialogues: [{ id: 'd1', nodes: [{ node_id: 'n1', speaker: 'npc1', text: 'Well met.', options: [], effects }] }]
+  });
+  assert.deepEqual(validate(SCHEMAS.dialogue, dialogue([{ type: 'complete_step', quest_id: 'q1' }])),
+    ['$.dialogues[0].nodes[0].effects[0].step: is required']);
+  assert.deepEqual(validate(SCHEMAS.dialogue, dialogue([
+    { type: 'complete_step', quest_id: 'q1', step: 0 },
+    { type: 'give_gold', amount: 5 }
+  ])), []);
+});